@@ -1,53 +1,439 @@
 const WebCrawler = require('./src/WebCrawler');
+const SeoAuditor = require('./src/SeoAuditor');
+const SiteGraph = require('./src/SiteGraph');
+const UrlNormalizer = require('./src/UrlNormalizer');
+const GraphExporter = require('./src/utils/GraphExporter');
+const CrawlServer = require('./src/CrawlServer');
+const CrawlHistory = require('./src/CrawlHistory');
+const CrawlDiff = require('./src/CrawlDiff');
+const SearchIndex = require('./src/SearchIndex');
+const DiffReport = require('./src/utils/DiffReport');
+const FileManager = require('./src/utils/FileManager');
+const CliArgs = require('./src/utils/CliArgs');
+const Logger = require('./src/utils/Logger');
+const UrlUtils = require('./src/utils/UrlUtils');
 const readline = require('readline');
 
-const rl = readline.createInterface({
-  input: process.stdin,
-  output: process.stdout
-});
+const EXIT_CODES = {
+  OK: 0,
+  CRAWL_FAILED: 1,
+  USAGE: 2,
+  TOO_MANY_FAILURES: 3,
+  REGRESSIONS: 4,
+  INTERRUPTED: 130
+};
 
-async function main() {
-  console.log('🕸️  Web Crawler - Crawl entire websites and save to JSON\n');
-  
-  rl.question('Enter the website URL to crawl: ', async (url) => {
-    if (!url) {
-      console.log('❌ Please provide a valid URL');
+// Defaults used when neither a config file nor a flag sets an option
+const DEFAULT_OPTIONS = {
+  maxPages: 100,        // Maximum pages to crawl
+  delay: 1000,          // Delay between requests (ms)
+  maxDepth: 5,          // Maximum crawl depth
+  respectRobots: false, // Don't respect robots.txt - crawl freely
+  timeout: 30000,       // Request timeout (ms)
+  retries: 3,           // Number of retries for failed requests
+  skipUnauthorized: false, // Don't skip unauthorized URLs - try to crawl everything
+  ignoreRestrictions: true // Ignore all crawling restrictions
+};
+
+function normalizeStartUrl(url) {
+  url = url.trim();
+
+  // Add protocol if missing
+  if (!url.startsWith('http://') && !url.startsWith('https://')) {
+    url = 'https://' + url;
+  }
+
+  return url;
+}
+
+function promptForUrl() {
+  const rl = readline.createInterface({
+    input: process.stdin,
+    output: process.stdout
+  });
+
+  return new Promise(resolve => {
+    rl.question('Enter the website URL to crawl: ', (url) => {
       rl.close();
-      return;
+      resolve(url.trim());
+    });
+  });
+}
+
+// Ctrl+C stops the crawl gracefully (checkpoint + partial results); a second Ctrl+C exits at once
+function handleInterrupts(crawler) {
+  const onSigint = () => {
+    if (crawler.stopping) {
+      process.exit(EXIT_CODES.INTERRUPTED);
     }
+    crawler.stop();
+  };
 
-    // Add protocol if missing
-    if (!url.startsWith('http://') && !url.startsWith('https://')) {
-      url = 'https://' + url;
+  process.on('SIGINT', onSigint);
+  return () => process.removeListener('SIGINT', onSigint);
+}
+
+async function resolveStartUrls(parsed, config, logger) {
+  let urls = parsed.urls.length > 0 ? parsed.urls : [].concat(config.urls || []);
+
+  // Only prompt when no start URL was given at all
+  if (urls.length === 0) {
+    if (!process.stdin.isTTY) {
+      throw new Error('No URL given. Pass one or more URLs, or set "urls" in a config file.');
+    }
+
+    logger.info('🕸️  Web Crawler - Crawl entire websites and save to JSON\n');
+    const url = await promptForUrl();
+    if (!url) {
+      throw new Error('Please provide a valid URL');
     }
+    urls = [url];
+  }
 
-    console.log(`\n🚀 Starting crawl of: ${url}\n`);
+  urls = urls.map(normalizeStartUrl);
+  const invalidUrl = urls.find(url => !UrlUtils.isValidUrl(url));
+  if (invalidUrl) {
+    throw new Error(`Invalid URL: ${invalidUrl}`);
+  }
 
-    const crawler = new WebCrawler({
-      maxPages: 100,        // Maximum pages to crawl
-      delay: 1000,          // Delay between requests (ms)
-      maxDepth: 5,          // Maximum crawl depth
-      respectRobots: false, // Don't respect robots.txt - crawl freely
-      timeout: 30000,       // Request timeout (ms)
-      retries: 3,           // Number of retries for failed requests
-      skipUnauthorized: false, // Don't skip unauthorized URLs - try to crawl everything
-      ignoreRestrictions: true // Ignore all crawling restrictions
+  return urls;
+}
+
+// Audits the pages of a saved result without crawling again
+async function auditResults(resultFile, crawlerOptions, logger) {
+  const crawlData = await FileManager.loadCrawlData(resultFile);
+  const normalizer = new UrlNormalizer(crawlerOptions.normalization !== undefined ? crawlerOptions.normalization : {});
+  const auditor = new SeoAuditor({ ...crawlerOptions.seo, normalize: url => normalizer.normalize(url) });
+  crawlData.pages.forEach(page => auditor.addPage(page));
+
+  // NDJSON results have no crawlInfo
+  const firstUrl = crawlData.pages[0]?.url;
+  const crawlInfo = crawlData.crawlInfo || (firstUrl ? { domain: UrlUtils.getDomain(firstUrl), startUrl: firstUrl } : {});
+
+  const report = auditor.getReport();
+  const files = await FileManager.saveSeoAudit(report, crawlInfo, FileManager.getResultBase(resultFile));
+  logger.info(`📋 ${report.counts.total} issues on ${report.pagesAudited} pages`, { counts: report.counts, ...files });
+  logger.info(`📁 Report saved to: ${files.reportFile}`);
+}
+
+// Builds the link graph of a saved result and writes its exports next to it
+async function graphResults(resultFile, crawlerOptions, logger) {
+  const crawlData = await FileManager.loadCrawlData(resultFile);
+  const graph = SiteGraph.fromCrawlData(crawlData, typeof crawlerOptions.graph === 'object' ? crawlerOptions.graph : {});
+  const formats = [].concat(crawlerOptions.graphFormats || GraphExporter.FORMATS);
+  GraphExporter.checkFormats(formats);
+
+  const report = graph.getReport();
+  const files = await FileManager.saveGraph(graph, formats, FileManager.getResultBase(resultFile));
+  logger.info(`🕸️  ${report.nodes} pages, ${report.edges} links, ${report.orphanCount} orphans, ${report.deadEndCount} dead ends`, {
+    nodes: report.nodes,
+    edges: report.edges,
+    orphans: report.orphanCount,
+    deadEnds: report.deadEndCount,
+    files
+  });
+  logger.info(`📁 Graph saved to: ${Object.values(files).join(', ')}`);
+}
+
+// Lists the runs recorded for one domain, or every domain with a history
+async function showHistory(domain, crawlerOptions, logger) {
+  const history = new CrawlHistory(crawlerOptions.outputDir);
+
+  if (domain) {
+    const runs = await history.list(UrlUtils.getDomain(normalizeStartUrl(domain)) || domain);
+    if (logger.format === 'json') {
+      logger.info('Crawl history', { domain, runs });
+    } else if (runs.length === 0) {
+      logger.info(`No runs recorded for ${domain} in ${history.outputDir}`);
+    } else {
+      runs.forEach(run => logger.info(
+        `${run.runId}  ${run.completed ? 'completed' : 'stopped  '}  ${String(run.pages).padStart(6)} pages  ${run.failedRequests} failed  ${run.startUrl}`
+      ));
+    }
+    return;
+  }
+
+  const domains = await history.listDomains();
+  const untracked = await history.listUntracked();
+  if (logger.format === 'json') {
+    logger.info('Crawl history', { domains, untracked });
+    return;
+  }
+
+  domains.forEach(entry => logger.info(`${entry.domain}  ${entry.runs} runs, latest ${entry.latest ? entry.latest.runId : 'none'}`));
+  if (untracked.length > 0) logger.info(`Result files without a run ID: ${untracked.join(', ')}`);
+  if (domains.length === 0 && untracked.length === 0) logger.info(`No crawls recorded in ${history.outputDir}`);
+}
+
+// Compares two runs (run IDs or result files), or the last two completed runs of a domain.
+// The JSON and text reports are written next to the newer result.
+async function diffResults(refs, crawlerOptions, logger) {
+  const history = new CrawlHistory(crawlerOptions.outputDir);
+
+  let files;
+  let runs;
+  if (refs.length === 1) {
+    const pair = await history.getLatestPair(UrlUtils.getDomain(normalizeStartUrl(refs[0])) || refs[0]);
+    files = pair.map(run => CrawlHistory.getResultFile(run));
+    runs = pair;
+  } else {
+    files = [await history.resolve(refs[0]), await history.resolve(refs[1])];
+    runs = await Promise.all(refs.map(ref => history.find(ref)));
+  }
+
+  const [base, target] = await Promise.all(files.map(file => FileManager.loadCrawlData(file)));
+  const diff = new CrawlDiff(crawlerOptions.diff).compare(base, target, {
+    base: { runId: runs[0]?.runId, file: files[0] },
+    target: { runId: runs[1]?.runId, file: files[1] }
+  });
+
+  const saved = await FileManager.saveDiff(diff, FileManager.getResultBase(files[1]));
+  if (logger.format === 'json') {
+    logger.info('Crawl diff', { counts: diff.counts, ...saved });
+  } else {
+    logger.info(DiffReport.render(diff));
+    logger.info(`📁 Diff saved to: ${saved.diffFile}, ${saved.reportFile}`);
+  }
+  return diff;
+}
+
+// Adds earlier JSON or NDJSON results to the search indexes of their domains, oldest first
+async function indexResults(resultFiles, crawlerOptions, logger) {
+  for (const resultFile of resultFiles) {
+    const crawlData = await FileManager.loadCrawlData(resultFile);
+    const update = await SearchIndex.update(crawlData, {
+      ...(typeof crawlerOptions.searchIndex === 'object' && crawlerOptions.searchIndex),
+      outputDir: crawlerOptions.outputDir,
+      domain: UrlUtils.getDomain(crawlData.pages?.[0]?.url || '')
     });
+    logger.info(`🔎 ${resultFile}: ${update.added} added, ${update.updated} updated, ${update.unchanged} unchanged, ${update.removed} removed; ${update.documents} pages in ${update.indexFile}`, {
+      resultFile,
+      ...update
+    });
+  }
+}
+
+async function searchIndex(domain, query, crawlerOptions, cliSettings, logger) {
+  const index = new SearchIndex(UrlUtils.getDomain(normalizeStartUrl(domain)) || domain, {
+    ...(typeof crawlerOptions.searchIndex === 'object' && crawlerOptions.searchIndex),
+    outputDir: crawlerOptions.outputDir
+  });
+  if (!await index.load()) {
+    throw new Error(`No search index for ${domain} in ${index.outputDir}; crawl with --search-index or run "index" first`);
+  }
+
+  const json = logger.format === 'json';
+  const found = index.search(query, {
+    limit: cliSettings.limit || 10,
+    highlight: json ? undefined : { pre: '**', post: '**' }
+  });
+  if (json) {
+    logger.info('Search results', found);
+    return;
+  }
+
+  logger.info(`🔎 ${found.total} pages match "${query}"`);
+  found.results.forEach((result, i) => {
+    logger.info(`\n${i + 1}. ${result.title || result.url}\n   ${result.url}\n   ${result.snippet}`);
+  });
+}
+
+// Runs the HTTP API until Ctrl+C, which cancels running crawls (they keep their checkpoints)
+async function serve(crawlerOptions, cliSettings, logger) {
+  const server = new CrawlServer({
+    crawlerOptions,
+    maxConcurrentCrawls: cliSettings.maxConcurrentCrawls,
+    logger
+  });
+  await server.listen(cliSettings.port, cliSettings.host);
 
-    try {
-      const results = await crawler.crawl(url);
-      console.log(`\n✅ Crawling completed! Found ${results.pages.length} pages`);
-      console.log(`📁 Data saved to: ${results.fileName}`);
-      console.log(`⏱️  Total time: ${results.totalTime}ms`);
-      console.log(`🔗 Unique links found: ${results.totalLinks}`);
-      console.log(`❌ Failed requests: ${results.failedRequests}`);
-      console.log(`🔒 Skipped requests: ${results.skippedRequests}`);
-    } catch (error) {
-      console.error('❌ Crawling failed:', error.message);
+  await new Promise(resolve => {
+    process.once('SIGINT', resolve);
+    process.once('SIGTERM', resolve);
+  });
+  logger.info('🛑 Shutting down, cancelling running crawls...');
+  await server.close();
+}
+
+async function main(argv) {
+  const command = ['resume', 'audit', 'graph', 'history', 'diff', 'index', 'search', 'serve'].includes(argv[0]) ? argv[0] : 'crawl';
+  const args = command === 'crawl' ? argv : argv.slice(1);
+
+  let parsed;
+  let config = {};
+
+  try {
+    parsed = CliArgs.parse(args);
+    if (parsed.values.help) {
+      console.log(CliArgs.usage());
+      return EXIT_CODES.OK;
+    }
+    if (parsed.values.config) {
+      config = await CliArgs.loadConfigFile(parsed.values.config);
     }
+  } catch (error) {
+    console.error(`❌ ${error.message}\n`);
+    console.error(CliArgs.usage());
+    return EXIT_CODES.USAGE;
+  }
 
-    rl.close();
+  // A resumed crawl keeps the options saved in its checkpoint unless they are overridden
+  const { crawlerOptions, cliSettings } = CliArgs.splitOptions({
+    ...(['crawl', 'serve'].includes(command) ? DEFAULT_OPTIONS : {}),
+    ...config,
+    ...parsed.values
   });
+
+  const logger = new Logger({
+    format: cliSettings.json ? 'json' : 'pretty',
+    level: cliSettings.quiet ? 'error' : 'info',
+    emoji: cliSettings.emoji !== false
+  });
+
+  let crawler;
+  let start;
+
+  try {
+    CliArgs.exceedsFailureThreshold(cliSettings.maxFailures, 0, 0);
+
+    if (command === 'audit') {
+      if (!parsed.urls[0]) {
+        throw new Error('Usage: node crawler.js audit <result-file> [options]');
+      }
+      await auditResults(parsed.urls[0], crawlerOptions, logger);
+      return EXIT_CODES.OK;
+    }
+
+    if (command === 'graph') {
+      if (!parsed.urls[0]) {
+        throw new Error('Usage: node crawler.js graph <result-file> [options]');
+      }
+      await graphResults(parsed.urls[0], crawlerOptions, logger);
+      return EXIT_CODES.OK;
+    }
+
+    if (command === 'history') {
+      await showHistory(parsed.urls[0], crawlerOptions, logger);
+      return EXIT_CODES.OK;
+    }
+
+    if (command === 'diff') {
+      if (parsed.urls.length < 1 || parsed.urls.length > 2) {
+        throw new Error('Usage: node crawler.js diff <domain> | diff <base-run> <target-run> [options]');
+      }
+      const diff = await diffResults(parsed.urls, crawlerOptions, logger);
+      return diff.counts.newBroken > 0 || diff.counts.removed > 0 ? EXIT_CODES.REGRESSIONS : EXIT_CODES.OK;
+    }
+
+    if (command === 'index') {
+      if (parsed.urls.length === 0) {
+        throw new Error('Usage: node crawler.js index <result-file...> [options]');
+      }
+      await indexResults(parsed.urls, crawlerOptions, logger);
+      return EXIT_CODES.OK;
+    }
+
+    if (command === 'search') {
+      if (parsed.urls.length < 2) {
+        throw new Error('Usage: node crawler.js search <domain> <query...> [options]');
+      }
+      await searchIndex(parsed.urls[0], parsed.urls.slice(1).join(' '), crawlerOptions, cliSettings, logger);
+      return EXIT_CODES.OK;
+    }
+
+    if (command === 'serve') {
+      await serve(crawlerOptions, cliSettings, logger);
+      return EXIT_CODES.OK;
+    }
+
+    if (command === 'resume') {
+      const checkpointFile = parsed.urls[0];
+      if (!checkpointFile) {
+        throw new Error('Usage: node crawler.js resume <checkpoint-file> [options]');
+      }
+
+      logger.info(`\n♻️  Resuming crawl from: ${checkpointFile}\n`, { checkpointFile });
+      crawler = await WebCrawler.fromCheckpoint(checkpointFile, { ...crawlerOptions, logger });
+      start = () => crawler.resume();
+    } else {
+      const urls = await resolveStartUrls(parsed, config, logger);
+
+      logger.info(`\n🚀 Starting crawl of: ${urls.join(', ')}\n`, { urls });
+      crawler = new WebCrawler({ ...crawlerOptions, logger });
+      start = () => crawler.crawl(urls);
+    }
+  } catch (error) {
+    logger.error(`❌ ${error.message}`);
+    return EXIT_CODES.USAGE;
+  }
+
+  const removeInterruptHandler = handleInterrupts(crawler);
+
+  let results;
+  try {
+    results = await start();
+  } catch (error) {
+    logger.error(`❌ Crawling failed: ${error.message}`, { error: error.message });
+    return EXIT_CODES.CRAWL_FAILED;
+  } finally {
+    removeInterruptHandler();
+  }
+
+  const summary = {
+    pages: results.pages,
+    fileName: results.fileName,
+    outputFiles: results.outputFiles,
+    totalTime: results.totalTime,
+    totalLinks: results.totalLinks,
+    failedRequests: results.failedRequests,
+    skippedRequests: results.skippedRequests,
+    warcFile: results.warcFile,
+    throttle: results.throttle,
+    completed: results.completed
+  };
+
+  if (logger.format === 'json') {
+    logger.info(results.completed ? 'Crawling completed' : 'Crawling stopped', summary);
+  } else {
+    if (results.completed) {
+      logger.info(`\n✅ Crawling completed! Found ${summary.pages} pages`);
+    } else {
+      logger.info(`\n🛑 Crawling stopped after ${summary.pages} pages`);
+    }
+    logger.info(`📁 Data saved to: ${summary.outputFiles.join(', ')}`);
+    if (summary.warcFile) logger.info(`📼 WARC archive: ${summary.warcFile}`);
+    logger.info(`⏱️  Total time: ${summary.totalTime}ms`);
+    logger.info(`🔗 Unique links found: ${summary.totalLinks}`);
+    logger.info(`❌ Failed requests: ${summary.failedRequests}`);
+    logger.info(`🔒 Skipped requests: ${summary.skippedRequests}`);
+    const throttle = summary.throttle;
+    if (throttle && (throttle.rateLimited || throttle.slowDown || throttle.circuitOpened)) {
+      logger.info(`🚦 Throttling: ${throttle.rateLimited} rate-limited responses, ${throttle.slowDown} slowdowns, ${throttle.circuitOpened} circuit breaks, ${throttle.deferred} deferred requests`);
+    }
+  }
+
+  if (!results.completed) {
+    logger.info(`♻️  Continue with: node crawler.js resume ${results.checkpointFile}`);
+    return EXIT_CODES.INTERRUPTED;
+  }
+
+  const attempted = results.pages + results.failedRequests;
+  if (CliArgs.exceedsFailureThreshold(cliSettings.maxFailures, results.failedRequests, attempted)) {
+    logger.error(`❌ Failed requests (${results.failedRequests}) exceeded the threshold of ${cliSettings.maxFailures}`, {
+      failedRequests: results.failedRequests,
+      maxFailures: cliSettings.maxFailures
+    });
+    return EXIT_CODES.TOO_MANY_FAILURES;
+  }
+
+  return EXIT_CODES.OK;
 }
 
-main().catch(console.error);
\ No newline at end of file
+main(process.argv.slice(2))
+  .then(code => {
+    process.exitCode = code;
+  })
+  .catch(error => {
+    console.error(error);
+    process.exitCode = EXIT_CODES.CRAWL_FAILED;
+  });
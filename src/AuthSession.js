@@ -0,0 +1,238 @@
+const axios = require('axios');
+const cheerio = require('cheerio');
+const CookieJar = require('./CookieJar');
+const UrlUtils = require('./utils/UrlUtils');
+
+const ENV_REFERENCE = /\$\{([A-Za-z_][A-Za-z0-9_]*)\}/g;
+const REDACTED = '[redacted]';
+
+// Option values that are never secret, so they are kept when the options are saved
+const PUBLIC_KEYS = ['url', 'formUrl', 'method', 'format', 'username', 'name', 'domain', 'path', 'secure'];
+
+// Credentials and cookies for crawling sites behind a login. `auth` looks like:
+//   hosts:   { 'docs.example.com': { headers, basic: { username, password }, bearer } }
+//   cookies: [{ name, value, domain, path }]
+//   login:   { url, formUrl, method, format: 'form' | 'json', fields }
+// Strings may reference environment variables as ${NAME}, resolved here and never saved.
+class AuthSession {
+  constructor(auth = {}, options = {}) {
+    this.auth = AuthSession.resolveSecrets(auth);
+    this.timeout = options.timeout || 30000;
+    this.userAgent = options.userAgent;
+    this.logger = options.logger;
+
+    this.jar = new CookieJar();
+    (this.auth.cookies || []).forEach(cookie => this.jar.add(cookie));
+
+    // Bumped on every login, so requests that saw an expired session only log in again once
+    this.generation = 0;
+    this.loggingIn = null;
+  }
+
+  // Headers for a request to url: the host's headers and credentials plus matching cookies
+  getHeaders(url) {
+    const headers = {};
+    const host = this.getHostAuth(url);
+
+    if (host) {
+      Object.assign(headers, host.headers);
+      if (host.basic) {
+        const credentials = `${host.basic.username || ''}:${host.basic.password || ''}`;
+        headers.Authorization = `Basic ${Buffer.from(credentials).toString('base64')}`;
+      }
+      if (host.bearer) {
+        headers.Authorization = `Bearer ${host.bearer}`;
+      }
+    }
+
+    const cookie = this.jar.getCookieHeader(url);
+    if (cookie) headers.Cookie = cookie;
+
+    return headers;
+  }
+
+  // Host keys are hostnames, or "*.example.com" for a domain and all its subdomains
+  getHostAuth(url) {
+    const hostname = UrlUtils.getDomain(url);
+    const hosts = this.auth.hosts || {};
+    if (!hostname) return null;
+
+    if (hosts[hostname]) return hosts[hostname];
+    const wildcard = Object.keys(hosts).find(key =>
+      key.startsWith('*.') && UrlUtils.isSubdomainOf(hostname, key.slice(2))
+    );
+    return wildcard ? hosts[wildcard] : null;
+  }
+
+  storeCookies(url, setCookieHeaders) {
+    this.jar.setCookies(url, setCookieHeaders);
+  }
+
+  // For axios' beforeRedirect: keeps cookies set by the redirect response and swaps the
+  // headers of the host being left for those of the host redirected to
+  onRedirect(fromUrl, responseHeaders, redirectOptions) {
+    this.storeCookies(fromUrl, responseHeaders?.['set-cookie']);
+
+    const stale = new Set(['authorization', 'cookie', ...Object.keys(this.getHeaders(fromUrl)).map(name => name.toLowerCase())]);
+    for (const name of Object.keys(redirectOptions.headers)) {
+      if (stale.has(name.toLowerCase())) delete redirectOptions.headers[name];
+    }
+    Object.assign(redirectOptions.headers, this.getHeaders(redirectOptions.href));
+  }
+
+  get hasLogin() {
+    return Boolean(this.auth.login);
+  }
+
+  // A page that was redirected to the login form means the session has expired
+  isLoginRedirect(url, response) {
+    if (!this.hasLogin || !response.redirects || response.redirects.length === 0) return false;
+    return this.isLoginPage(response.finalUrl) && !this.isLoginPage(url);
+  }
+
+  isLoginPage(url) {
+    const { login } = this.auth;
+    return [login.url, login.formUrl].filter(Boolean).some(loginUrl => {
+      try {
+        const target = new URL(url);
+        const page = new URL(loginUrl);
+        return target.origin === page.origin && target.pathname === page.pathname;
+      } catch {
+        return false;
+      }
+    });
+  }
+
+  // Logs in again after the session expired. Requests that notice at the same time share
+  // one login, and a request that started before the last login just retries.
+  async relogin(generation) {
+    if (this.loggingIn) return this.loggingIn;
+    if (generation !== this.generation) return;
+
+    this.logger.warn('🔑 Session expired, logging in again');
+    return this.login();
+  }
+
+  async login() {
+    if (!this.hasLogin) return;
+    if (this.loggingIn) return this.loggingIn;
+
+    this.loggingIn = this.submitLogin().finally(() => {
+      this.loggingIn = null;
+    });
+    return this.loggingIn;
+  }
+
+  async submitLogin() {
+    const { login } = this.auth;
+    if (!login.url) {
+      throw new Error('auth.login needs the url the login form is submitted to');
+    }
+
+    // The form page is loaded first for its cookies and hidden fields (e.g. CSRF tokens)
+    const form = await this.send('get', login.formUrl || login.url);
+    const fields = { ...this.getHiddenFields(form, login.fields || {}), ...login.fields };
+
+    const isJson = login.format === 'json';
+    const response = await this.send(login.method || 'post', login.url, {
+      data: isJson ? fields : new URLSearchParams(fields).toString(),
+      headers: { 'Content-Type': isJson ? 'application/json' : 'application/x-www-form-urlencoded' }
+    });
+
+    // Failed logins usually show the form again, or redirect back to it
+    const backToForm = response.redirected && this.isLoginPage(response.finalUrl);
+    if (response.status >= 400 || backToForm) {
+      throw new Error(`Login to ${login.url} failed (status ${response.status}${backToForm ? ', redirected back to the login page' : ''})`);
+    }
+
+    this.generation++;
+    this.logger.info(`🔑 Logged in at ${login.url} (${this.jar.size} cookies)`, { url: login.url, cookies: this.jar.size });
+  }
+
+  async send(method, url, { data, headers = {} } = {}) {
+    let currentUrl = url;
+    let redirected = false;
+
+    const response = await axios.request({
+      method,
+      url,
+      data,
+      timeout: this.timeout,
+      headers: {
+        'User-Agent': this.userAgent,
+        ...this.getHeaders(url),
+        ...headers
+      },
+      maxRedirects: 5,
+      beforeRedirect: (redirectOptions, { headers: responseHeaders }) => {
+        this.onRedirect(currentUrl, responseHeaders, redirectOptions);
+        currentUrl = redirectOptions.href;
+        redirected = true;
+      },
+      validateStatus: () => true
+    });
+
+    this.storeCookies(currentUrl, response.headers['set-cookie']);
+    return { status: response.status, headers: response.headers, data: response.data, finalUrl: currentUrl, redirected };
+  }
+
+  // Hidden inputs of the form holding the configured fields (or of the first form)
+  getHiddenFields(response, fields) {
+    const contentType = response.headers['content-type'] || '';
+    if (typeof response.data !== 'string' || !contentType.includes('html')) return {};
+
+    const $ = cheerio.load(response.data);
+    const names = Object.keys(fields);
+    const forms = $('form').toArray();
+    const form = forms.find(element => names.some(name => $(element).find(`[name="${name}"]`).length > 0)) || forms[0];
+    if (!form) return {};
+
+    const hidden = {};
+    $(form).find('input[type="hidden"][name]').each((_, input) => {
+      hidden[$(input).attr('name')] = $(input).attr('value') || '';
+    });
+    return hidden;
+  }
+
+  // Replaces ${NAME} references with environment variables
+  static resolveSecrets(value, path = 'auth') {
+    if (typeof value === 'string') {
+      if (value === REDACTED) {
+        throw new Error(`${path} was not saved with the crawl; pass the auth options again (e.g. with --config) or use \${NAME} environment references`);
+      }
+      return value.replace(ENV_REFERENCE, (match, name) => {
+        if (process.env[name] === undefined) {
+          throw new Error(`Environment variable ${name} is not set (used in ${path})`);
+        }
+        return process.env[name];
+      });
+    }
+    if (Array.isArray(value)) {
+      return value.map((item, index) => this.resolveSecrets(item, `${path}[${index}]`));
+    }
+    if (value && typeof value === 'object') {
+      return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, this.resolveSecrets(item, `${path}.${key}`)]));
+    }
+    return value;
+  }
+
+  // A copy of the auth options that is safe to save: literal secrets are replaced, while
+  // ${NAME} references (which only name a variable) and non-secret settings are kept
+  static redact(value, key = null) {
+    if (typeof value === 'string') {
+      if (PUBLIC_KEYS.includes(key)) return value;
+      return value.replace(ENV_REFERENCE, '').trim() === '' && value !== '' ? value : REDACTED;
+    }
+    if (Array.isArray(value)) {
+      return value.map(item => this.redact(item, key));
+    }
+    if (value && typeof value === 'object') {
+      return Object.fromEntries(Object.entries(value).map(([name, item]) => [name, this.redact(item, name)]));
+    }
+    return value;
+  }
+}
+
+AuthSession.REDACTED = REDACTED;
+
+module.exports = AuthSession;
@@ -0,0 +1,76 @@
+const FileManager = require('./utils/FileManager');
+
+// Compares pages against a previous crawl result to support incremental re-crawls
+class ChangeTracker {
+  constructor(previousCrawl) {
+    this.previousCrawl = previousCrawl;
+    this.previousPages = new Map(previousCrawl.pages.map(page => [page.url, page]));
+  }
+
+  // Accepts the crawl data of a JSON or NDJSON output sink (as FileManager.loadCrawlData reads it) or a path to its file
+  static async load(source) {
+    const previousCrawl = typeof source === 'string' ? await FileManager.loadCrawlData(source) : source;
+    if (!previousCrawl || !Array.isArray(previousCrawl.pages)) {
+      throw new Error('Previous crawl result has no pages');
+    }
+    return new ChangeTracker(previousCrawl);
+  }
+
+  getPreviousPage(url) {
+    return this.previousPages.get(url) || null;
+  }
+
+  getConditionalHeaders(url) {
+    const headers = {};
+    const previousHeaders = this.getPreviousPage(url)?.headers;
+    if (!previousHeaders) return headers;
+
+    if (previousHeaders.etag) headers['If-None-Match'] = previousHeaders.etag;
+    if (previousHeaders['last-modified']) headers['If-Modified-Since'] = previousHeaders['last-modified'];
+    return headers;
+  }
+
+  classify(pageData) {
+    const previousPage = this.getPreviousPage(pageData.url);
+
+    let status;
+    if (!previousPage) {
+      status = 'new';
+    } else if (pageData.notModified || previousPage.contentHash === pageData.contentHash) {
+      status = 'unchanged';
+    } else {
+      status = 'changed';
+    }
+
+    pageData.changeStatus = status;
+    return status;
+  }
+
+  // Pages from the previous crawl that were not crawled successfully this time
+  getRemovedPages(crawledUrls) {
+    const removed = [];
+    for (const [url, page] of this.previousPages) {
+      if (!crawledUrls.has(url)) {
+        removed.push({ url, title: page.title });
+      }
+    }
+    return removed;
+  }
+
+  // crawledUrls and changeStatuses come from CrawlStatistics
+  getReport(crawledUrls, changeStatuses = {}) {
+    const counts = { new: 0, changed: 0, unchanged: 0, ...changeStatuses };
+    const removed = this.getRemovedPages(crawledUrls);
+
+    return {
+      previousCrawl: {
+        startUrl: this.previousCrawl.crawlInfo?.startUrl || null,
+        timestamp: this.previousCrawl.crawlInfo?.timestamp || null
+      },
+      counts: { ...counts, removed: removed.length },
+      removed
+    };
+  }
+}
+
+module.exports = ChangeTracker;
@@ -0,0 +1,147 @@
+// Keeps the cookies servers set and sends them back on later requests, following the
+// domain, path, expiry and Secure rules of RFC 6265. Cookies only live for one crawl.
+class CookieJar {
+  constructor() {
+    this.cookies = new Map(); // "domain;path;name" -> { name, value, domain, hostOnly, path, expires, secure }
+  }
+
+  // Stores the cookies from a response's Set-Cookie header(s)
+  setCookies(url, setCookieHeaders) {
+    if (!setCookieHeaders) return;
+
+    for (const header of [].concat(setCookieHeaders)) {
+      const cookie = this.parse(url, header);
+      if (cookie) this.store(cookie);
+    }
+  }
+
+  // Adds a cookie given in the options: { name, value, domain, path }
+  add({ name, value, domain, path = '/', secure = false }) {
+    if (!name || !domain) {
+      throw new Error('Cookies need at least a name and a domain');
+    }
+
+    this.store({
+      name,
+      value: String(value ?? ''),
+      domain: domain.replace(/^\./, '').toLowerCase(),
+      hostOnly: false,
+      path,
+      expires: null,
+      secure
+    });
+  }
+
+  parse(url, header) {
+    const { hostname, pathname } = new URL(url);
+    const [pair, ...attributes] = header.split(';');
+
+    const equalsIndex = pair.indexOf('=');
+    if (equalsIndex === -1) return null;
+    const name = pair.slice(0, equalsIndex).trim();
+    if (!name) return null;
+
+    const cookie = {
+      name,
+      value: pair.slice(equalsIndex + 1).trim(),
+      domain: hostname.toLowerCase(),
+      hostOnly: true,
+      path: this.getDefaultPath(pathname),
+      expires: null,
+      secure: false
+    };
+    let maxAge = null;
+
+    for (const attribute of attributes) {
+      const [key, ...rest] = attribute.split('=');
+      const value = rest.join('=').trim();
+
+      switch (key.trim().toLowerCase()) {
+        case 'domain': {
+          const domain = value.replace(/^\./, '').toLowerCase();
+          // A server can only set cookies for its own domain or a parent of it
+          if (!domain || !this.domainMatches(cookie.domain, domain)) return null;
+          cookie.domain = domain;
+          cookie.hostOnly = false;
+          break;
+        }
+        case 'path':
+          if (value.startsWith('/')) cookie.path = value;
+          break;
+        case 'max-age': {
+          const seconds = Number(value);
+          if (value && !Number.isNaN(seconds)) maxAge = seconds;
+          break;
+        }
+        case 'expires': {
+          const time = Date.parse(value);
+          if (!Number.isNaN(time)) cookie.expires = time;
+          break;
+        }
+        case 'secure':
+          cookie.secure = true;
+          break;
+      }
+    }
+
+    // Max-Age wins over Expires
+    if (maxAge !== null) cookie.expires = Date.now() + maxAge * 1000;
+
+    return cookie;
+  }
+
+  store(cookie) {
+    const key = `${cookie.domain};${cookie.path};${cookie.name}`;
+    // An expiry in the past is how servers delete a cookie
+    if (cookie.expires !== null && cookie.expires <= Date.now()) {
+      this.cookies.delete(key);
+    } else {
+      this.cookies.set(key, cookie);
+    }
+  }
+
+  // The Cookie header to send to url, or null when no cookie applies
+  getCookieHeader(url) {
+    const { protocol, hostname, pathname } = new URL(url);
+    const host = hostname.toLowerCase();
+    const now = Date.now();
+
+    const matching = [...this.cookies.values()].filter(cookie => {
+      if (cookie.expires !== null && cookie.expires <= now) return false;
+      if (cookie.secure && protocol !== 'https:') return false;
+      if (cookie.hostOnly ? host !== cookie.domain : !this.domainMatches(host, cookie.domain)) return false;
+      return this.pathMatches(pathname, cookie.path);
+    });
+
+    if (matching.length === 0) return null;
+
+    // Cookies with longer paths go first
+    return matching
+      .sort((a, b) => b.path.length - a.path.length)
+      .map(cookie => `${cookie.name}=${cookie.value}`)
+      .join('; ');
+  }
+
+  domainMatches(host, domain) {
+    return host === domain || host.endsWith(`.${domain}`);
+  }
+
+  pathMatches(requestPath, cookiePath) {
+    if (requestPath === cookiePath) return true;
+    if (!requestPath.startsWith(cookiePath)) return false;
+    return cookiePath.endsWith('/') || requestPath[cookiePath.length] === '/';
+  }
+
+  // The directory of the request path, e.g. /docs for /docs/login
+  getDefaultPath(pathname) {
+    if (!pathname.startsWith('/')) return '/';
+    const lastSlash = pathname.lastIndexOf('/');
+    return lastSlash === 0 ? '/' : pathname.slice(0, lastSlash);
+  }
+
+  get size() {
+    return this.cookies.size;
+  }
+}
+
+module.exports = CookieJar;
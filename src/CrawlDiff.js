@@ -0,0 +1,161 @@
+const DEFAULT_DIFF_OPTIONS = {
+  wordCountChange: 0.1 // Word counts are reported as changed when they move by this share or more
+};
+
+// Compares two crawl results of the same site (the base, usually the older run, and the
+// target) page by page: pages added and removed, changed titles, meta tags, headings, word
+// counts, status codes and internal links, and URLs that broke or were fixed in between.
+// Broken URLs are failed requests, skipped URLs and pages with a 4xx/5xx status, and the
+// broken links of the link audit when it ran.
+class CrawlDiff {
+  constructor(options = {}) {
+    this.options = { ...DEFAULT_DIFF_OPTIONS, ...options };
+  }
+
+  // base and target are loaded results (see FileManager.loadCrawlData); runs are their history entries
+  compare(base, target, runs = {}) {
+    const basePages = new Map((base.pages || []).map(page => [page.url, page]));
+    const targetPages = new Map((target.pages || []).map(page => [page.url, page]));
+
+    const added = [];
+    const changed = [];
+    let unchanged = 0;
+    for (const [url, page] of targetPages) {
+      const previous = basePages.get(url);
+      if (!previous) {
+        added.push({ url, title: page.title ?? null });
+        continue;
+      }
+
+      const changes = this.comparePages(previous, page);
+      if (Object.keys(changes).length > 0) {
+        changed.push({ url, changes });
+      } else {
+        unchanged++;
+      }
+    }
+
+    const removed = [...basePages.values()]
+      .filter(page => !targetPages.has(page.url))
+      .map(page => ({ url: page.url, title: page.title ?? null }));
+
+    const baseBroken = CrawlDiff.getBrokenUrls(base);
+    const targetBroken = CrawlDiff.getBrokenUrls(target);
+    const newBroken = [...targetBroken.values()].filter(entry => !baseBroken.has(entry.url));
+    const fixed = [...baseBroken.values()].filter(entry => !targetBroken.has(entry.url));
+
+    return {
+      base: CrawlDiff.describe(base, runs.base),
+      target: CrawlDiff.describe(target, runs.target),
+      counts: {
+        added: added.length,
+        removed: removed.length,
+        changed: changed.length,
+        unchanged,
+        newBroken: newBroken.length,
+        fixed: fixed.length,
+        linksAdded: changed.reduce((total, page) => total + (page.changes.links?.added.length || 0), 0),
+        linksRemoved: changed.reduce((total, page) => total + (page.changes.links?.removed.length || 0), 0)
+      },
+      added,
+      removed,
+      changed,
+      broken: { new: newBroken, fixed }
+    };
+  }
+
+  // Only what differs, e.g. { title: { from, to }, wordCount: { from, to, delta } }
+  comparePages(previous, page) {
+    const changes = {};
+
+    if ((previous.title ?? null) !== (page.title ?? null)) {
+      changes.title = { from: previous.title ?? null, to: page.title ?? null };
+    }
+
+    const previousStatus = previous.http?.status ?? null;
+    const status = page.http?.status ?? null;
+    if (previousStatus !== null && status !== null && previousStatus !== status) {
+      changes.status = { from: previousStatus, to: status };
+    }
+
+    const meta = {};
+    const previousMeta = previous.meta || {};
+    const currentMeta = page.meta || {};
+    new Set([...Object.keys(previousMeta), ...Object.keys(currentMeta)]).forEach((name) => {
+      if (JSON.stringify(previousMeta[name]) !== JSON.stringify(currentMeta[name])) {
+        meta[name] = { from: previousMeta[name] ?? null, to: currentMeta[name] ?? null };
+      }
+    });
+    if (Object.keys(meta).length > 0) changes.meta = meta;
+
+    const headings = CrawlDiff.compareLists(CrawlDiff.getHeadings(previous), CrawlDiff.getHeadings(page));
+    if (headings) changes.headings = headings;
+
+    const wordCount = this.compareWordCounts(previous.wordCount, page.wordCount);
+    if (wordCount) changes.wordCount = wordCount;
+
+    const links = CrawlDiff.compareLists(CrawlDiff.getInternalLinks(previous), CrawlDiff.getInternalLinks(page));
+    if (links) changes.links = links;
+
+    return changes;
+  }
+
+  compareWordCounts(from, to) {
+    if (typeof from !== 'number' || typeof to !== 'number' || from === to) return null;
+    const delta = to - from;
+    if (from > 0 && Math.abs(delta) / from < this.options.wordCountChange) return null;
+    return { from, to, delta };
+  }
+
+  // { added, removed } between two lists of strings, or null when they hold the same items
+  static compareLists(from, to) {
+    const fromSet = new Set(from);
+    const toSet = new Set(to);
+    const added = [...toSet].filter(item => !fromSet.has(item));
+    const removed = [...fromSet].filter(item => !toSet.has(item));
+    return added.length > 0 || removed.length > 0 ? { added, removed } : null;
+  }
+
+  // "h2: Pricing"
+  static getHeadings(page) {
+    return (page.headings || []).map(heading => `h${heading.level}: ${heading.text}`);
+  }
+
+  static getInternalLinks(page) {
+    return (page.links || []).filter(link => link.inScope !== false && link.isInternal !== false).map(link => link.url);
+  }
+
+  // url -> { url, status, error, source }, the first report of each URL
+  static getBrokenUrls(crawlData) {
+    const broken = new Map();
+    const add = (url, status, error, source) => {
+      if (!broken.has(url)) broken.set(url, { url, status: status ?? null, error: error ?? null, source: source ?? null });
+    };
+
+    (crawlData.failedUrls || []).forEach(failure => add(failure.url, null, failure.error, failure.parent));
+    (crawlData.skippedUrls || []).forEach((entry) => {
+      if (entry.statusCode >= 400) add(entry.url, entry.statusCode, entry.reason, entry.parent);
+    });
+    (crawlData.pages || []).forEach((page) => {
+      if (page.http?.status >= 400) add(page.url, page.http.status, null, page.parent);
+    });
+    (crawlData.linkAudit?.brokenBySource || []).forEach(({ page, links }) => {
+      links.forEach(link => add(link.url, link.status, link.error, page));
+    });
+    return broken;
+  }
+
+  static describe(crawlData, run = null) {
+    return {
+      runId: run?.runId || crawlData.crawlInfo?.runId || null,
+      file: run?.file || null,
+      startUrl: crawlData.crawlInfo?.startUrl || crawlData.pages?.[0]?.url || null,
+      timestamp: crawlData.crawlInfo?.timestamp || null,
+      pages: (crawlData.pages || []).length
+    };
+  }
+}
+
+CrawlDiff.DEFAULT_DIFF_OPTIONS = DEFAULT_DIFF_OPTIONS;
+
+module.exports = CrawlDiff;
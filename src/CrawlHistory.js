@@ -0,0 +1,123 @@
+const fs = require('fs').promises;
+const path = require('path');
+const FileManager = require('./utils/FileManager');
+
+// Index writes queued per file, so crawls finishing at the same time don't drop each other's runs
+const pendingWrites = new Map();
+
+// The runs crawled into an output directory, one index per domain:
+// crawl-results/example_com.history.json holds { domain, runs: [...] }, oldest run first.
+// Each run lists its ID, start URL, times, page and failure counts and output files, so
+// runs can be found by ID (or as the latest of a domain) and compared with CrawlDiff.
+class CrawlHistory {
+  constructor(outputDir = 'crawl-results') {
+    this.outputDir = path.resolve(process.cwd(), outputDir);
+  }
+
+  getIndexPath(domain) {
+    return path.join(this.outputDir, `${FileManager.getDomainKey(domain)}.history.json`);
+  }
+
+  async loadIndex(domain) {
+    try {
+      return JSON.parse(await fs.readFile(this.getIndexPath(domain), 'utf8'));
+    } catch (error) {
+      if (error.code === 'ENOENT') return { domain, runs: [] };
+      throw new Error(`Could not read the crawl history of ${domain}: ${error.message}`);
+    }
+  }
+
+  // Adds a run, or replaces the entry of a run that was stopped and has now been resumed
+  async record(run) {
+    const indexPath = this.getIndexPath(run.domain);
+    const write = (pendingWrites.get(indexPath) || Promise.resolve())
+      .catch(() => {})
+      .then(async () => {
+        const index = await this.loadIndex(run.domain);
+        index.runs = index.runs.filter(existing => existing.runId !== run.runId);
+        index.runs.push(run);
+        index.runs.sort((a, b) => a.runId.localeCompare(b.runId));
+        await FileManager.writeJsonAtomic(index, indexPath, 2);
+      });
+
+    pendingWrites.set(indexPath, write);
+    try {
+      await write;
+    } finally {
+      if (pendingWrites.get(indexPath) === write) pendingWrites.delete(indexPath);
+    }
+    return indexPath;
+  }
+
+  async list(domain) {
+    return (await this.loadIndex(domain)).runs;
+  }
+
+  // Domains with an index, as { domain, runs (count), latest (run) }
+  async listDomains() {
+    let files;
+    try {
+      files = await fs.readdir(this.outputDir);
+    } catch {
+      return [];
+    }
+
+    const domains = [];
+    for (const file of files.filter(name => name.endsWith('.history.json')).sort()) {
+      const index = JSON.parse(await fs.readFile(path.join(this.outputDir, file), 'utf8'));
+      domains.push({ domain: index.domain, runs: index.runs.length, latest: index.runs[index.runs.length - 1] || null });
+    }
+    return domains;
+  }
+
+  async find(runId) {
+    for (const { domain } of await this.listDomains()) {
+      const run = (await this.list(domain)).find(entry => entry.runId === runId);
+      if (run) return run;
+    }
+    return null;
+  }
+
+  // The two most recent completed runs of a domain, as [previous, latest]
+  async getLatestPair(domain) {
+    const runs = (await this.list(domain)).filter(run => run.completed);
+    if (runs.length < 2) {
+      throw new Error(`${domain} needs two completed runs in ${this.outputDir} to compare (found ${runs.length})`);
+    }
+    return runs.slice(-2);
+  }
+
+  // A run ID or the path to a result file, as the result file to load
+  async resolve(ref) {
+    const run = await this.find(ref);
+    if (run) return CrawlHistory.getResultFile(run);
+
+    try {
+      await fs.access(ref);
+      return ref;
+    } catch {
+      throw new Error(`${ref} is neither a run ID in ${this.outputDir} nor a result file`);
+    }
+  }
+
+  // JSON result files in the output directory that no index lists, e.g. from before run IDs
+  async listUntracked() {
+    const tracked = new Set();
+    for (const { domain } of await this.listDomains()) {
+      (await this.list(domain)).forEach(run => run.outputFiles.forEach(file => tracked.add(path.basename(file))));
+    }
+    return (await FileManager.listCrawlResults(this.outputDir)).filter(file => !tracked.has(file));
+  }
+
+  // The run's JSON output, or its NDJSON output when it has no JSON one
+  static getResultFile(run) {
+    const file = run.outputFiles.find(outputFile => outputFile.endsWith('.json')) ||
+      run.outputFiles.find(outputFile => outputFile.endsWith('.ndjson'));
+    if (!file) {
+      throw new Error(`Run ${run.runId} has no JSON or NDJSON output to compare`);
+    }
+    return file;
+  }
+}
+
+module.exports = CrawlHistory;
@@ -0,0 +1,163 @@
+const crypto = require('crypto');
+const WebCrawler = require('./WebCrawler');
+const CrawlScope = require('./CrawlScope');
+
+// Crawls submitted through the API server. At most maxConcurrent run at once and the rest
+// wait in submission order. Each crawl writes its own files, named after its run ID.
+class CrawlJobQueue {
+  constructor(options = {}) {
+    this.maxConcurrent = options.maxConcurrent || 2;
+    this.crawlerOptions = options.crawlerOptions || {};
+    this.logger = options.logger;
+
+    this.jobs = new Map();
+    this.waiting = [];
+    this.running = new Set();
+  }
+
+  // Throws when the crawler rejects the options, so the caller can report it before queueing
+  submit(urls, options = {}) {
+    // The crawler only builds its scope when the crawl starts
+    CrawlScope.validate({ ...this.crawlerOptions, ...options });
+
+    const id = crypto.randomBytes(6).toString('hex');
+    const controller = new AbortController();
+    const crawler = new WebCrawler({
+      ...this.crawlerOptions,
+      ...options,
+      logger: this.createLogger(id),
+      signal: controller.signal
+    });
+
+    const job = {
+      id,
+      runId: crawler.runId,
+      urls,
+      status: 'queued',
+      createdAt: new Date().toISOString(),
+      startedAt: null,
+      finishedAt: null,
+      progress: null,
+      results: null,
+      error: null,
+      cancelRequested: false,
+      crawler,
+      controller,
+      promise: null
+    };
+    crawler.on('progress', (progress) => {
+      job.progress = progress;
+    });
+
+    this.jobs.set(id, job);
+    this.waiting.push(job);
+    this.logger.info(`📥 Crawl ${id} queued: ${urls.join(', ')}`, { crawl: id, urls });
+    this.schedule();
+    return job;
+  }
+
+  get(id) {
+    return this.jobs.get(id) || null;
+  }
+
+  list() {
+    return [...this.jobs.values()];
+  }
+
+  schedule() {
+    while (this.waiting.length > 0 && this.running.size < this.maxConcurrent) {
+      this.start(this.waiting.shift());
+    }
+  }
+
+  start(job) {
+    job.status = 'running';
+    job.startedAt = new Date().toISOString();
+    this.running.add(job);
+    this.logger.info(`▶️  Crawl ${job.id} started`, { crawl: job.id });
+
+    job.promise = job.crawler.crawl(job.urls)
+      .then((results) => {
+        job.results = results;
+        if (results.completed) {
+          job.status = 'completed';
+        } else {
+          job.status = job.cancelRequested ? 'cancelled' : 'stopped';
+        }
+      })
+      .catch((error) => {
+        job.status = 'failed';
+        job.error = error.message;
+      })
+      .finally(() => {
+        job.finishedAt = new Date().toISOString();
+        job.crawler = null;
+        this.running.delete(job);
+        this.logger.info(`⏹️  Crawl ${job.id} ${job.status}`, { crawl: job.id, status: job.status });
+        this.schedule();
+      });
+  }
+
+  // Queued crawls are dropped; running ones stop and keep a checkpoint and partial results.
+  // Returns false when the crawl had already finished.
+  async cancel(id) {
+    const job = this.jobs.get(id);
+    if (!job || !['queued', 'running'].includes(job.status)) return false;
+
+    if (job.status === 'queued') {
+      this.waiting.splice(this.waiting.indexOf(job), 1);
+      job.status = 'cancelled';
+      job.finishedAt = new Date().toISOString();
+      await job.crawler.closeFetchers();
+      job.crawler = null;
+      return true;
+    }
+
+    job.cancelRequested = true;
+    job.controller.abort();
+    return true;
+  }
+
+  // Cancels everything and waits for running crawls to save their checkpoints
+  async close() {
+    const jobs = this.list();
+    await Promise.all(jobs.map(job => this.cancel(job.id)));
+    await Promise.all(jobs.map(job => job.promise).filter(Boolean));
+  }
+
+  // What the API shows of a job
+  toJSON(job) {
+    return {
+      id: job.id,
+      runId: job.runId,
+      urls: job.urls,
+      status: job.status,
+      createdAt: job.createdAt,
+      startedAt: job.startedAt,
+      finishedAt: job.finishedAt,
+      progress: job.progress,
+      ...(job.results && {
+        results: {
+          pages: job.results.pages,
+          outputFiles: job.results.outputFiles,
+          totalTime: job.results.totalTime,
+          failedRequests: job.results.failedRequests,
+          skippedRequests: job.results.skippedRequests,
+          checkpointFile: job.results.checkpointFile
+        }
+      }),
+      ...(job.error && { error: job.error })
+    };
+  }
+
+  // Crawl log lines carry the crawl ID in their data
+  createLogger(id) {
+    const logger = {};
+    ['debug', 'info', 'warn', 'error'].forEach((method) => {
+      logger[method] = (message, data = {}) => this.logger[method](message, { crawl: id, ...data });
+    });
+    return logger;
+  }
+}
+
+module.exports = CrawlJobQueue;
@@ -0,0 +1,198 @@
+const UrlUtils = require('./utils/UrlUtils');
+
+// Crawl frontier split into one FIFO per host, so each host can be scheduled politely
+// while several hosts are fetched in parallel.
+class CrawlQueue {
+  constructor(options = {}) {
+    this.delay = options.delay || 0; // Minimum gap between request starts on one host (ms)
+    this.maxConcurrencyPerHost = options.maxConcurrencyPerHost || 1;
+
+    this.hosts = new Map();
+    this.known = new Set();
+    this.pending = 0;
+    this.active = 0;
+    this.inFlight = new Map();
+    this.waiters = [];
+  }
+
+  get length() {
+    return this.pending;
+  }
+
+  has(url) {
+    return this.known.has(url);
+  }
+
+  // Returns false when the URL has already been queued at some point
+  push(item) {
+    if (this.known.has(item.url)) return false;
+    this.known.add(item.url);
+
+    const host = this.getHostState(UrlUtils.getDomain(item.url) || '');
+    host.items.push(item);
+    this.pending++;
+    this.notify();
+    return true;
+  }
+
+  // Puts a request taken with next() back, e.g. when it was cancelled, so it is saved as pending
+  requeue(item) {
+    const host = this.getHostState(UrlUtils.getDomain(item.url) || '');
+    host.items.push(item);
+    this.pending++;
+  }
+
+  getHostState(hostname) {
+    if (!this.hosts.has(hostname)) {
+      this.hosts.set(hostname, {
+        items: [],
+        head: 0,
+        active: 0,
+        nextAllowedAt: 0,
+        lastStartedAt: 0,
+        delay: null,
+        adaptiveDelay: 0,
+        maxConcurrency: null
+      });
+    }
+    return this.hosts.get(hostname);
+  }
+
+  setHostDelay(hostname, delay) {
+    const host = this.getHostState(hostname);
+    host.delay = delay;
+    // Also applies to the gap after the request that is already running
+    host.nextAllowedAt = Math.max(host.nextAllowedAt, host.lastStartedAt + delay);
+  }
+
+  getHostDelay(hostname) {
+    const host = this.getHostState(hostname);
+    return host.delay !== null ? host.delay : this.delay;
+  }
+
+  // Extra delay chosen by the throttle; the larger of it and the host delay applies
+  setAdaptiveDelay(hostname, delay) {
+    const host = this.getHostState(hostname);
+    host.adaptiveDelay = delay;
+    host.nextAllowedAt = Math.max(host.nextAllowedAt, host.lastStartedAt + delay);
+  }
+
+  getEffectiveDelay(hostname) {
+    return Math.max(this.getHostDelay(hostname), this.getHostState(hostname).adaptiveDelay);
+  }
+
+  // Nothing on the host starts before `until` (a timestamp)
+  pauseHost(hostname, until) {
+    const host = this.getHostState(hostname);
+    host.nextAllowedAt = Math.max(host.nextAllowedAt, until);
+  }
+
+  // Overrides maxConcurrencyPerHost for one host; null goes back to it
+  setHostConcurrency(hostname, limit) {
+    this.getHostState(hostname).maxConcurrency = limit;
+    this.notify();
+  }
+
+  getHostConcurrency(host) {
+    return host.maxConcurrency ?? this.maxConcurrencyPerHost;
+  }
+
+  // A request slot on a host for a request that isn't one of the queue's items (a link check):
+  // { acquired: true }, or { waitMs } until the host's delay has passed (null while it is at
+  // its concurrency cap). Give the slot back with releaseHost().
+  acquireHost(hostname, now = Date.now()) {
+    const host = this.getHostState(hostname);
+    if (host.active >= this.getHostConcurrency(host)) return { acquired: false, waitMs: null };
+    if (host.nextAllowedAt > now) return { acquired: false, waitMs: host.nextAllowedAt - now };
+
+    this.startRequest(hostname, host, now);
+    return { acquired: true, waitMs: null };
+  }
+
+  releaseHost(hostname) {
+    this.getHostState(hostname).active--;
+    this.notify();
+  }
+
+  startRequest(hostname, host, now) {
+    host.active++;
+    host.lastStartedAt = now;
+    host.nextAllowedAt = now + this.getEffectiveDelay(hostname);
+  }
+
+  // Takes the next item whose host is free. Returns { item } when one can start now,
+  // otherwise { waitMs } with the time until the earliest host becomes ready (null if none is queued).
+  next(now = Date.now()) {
+    let waitMs = null;
+
+    for (const [hostname, host] of this.hosts) {
+      if (host.head >= host.items.length) continue;
+      if (host.active >= this.getHostConcurrency(host)) continue;
+
+      if (host.nextAllowedAt > now) {
+        const hostWait = host.nextAllowedAt - now;
+        waitMs = waitMs === null ? hostWait : Math.min(waitMs, hostWait);
+        continue;
+      }
+
+      const item = host.items[host.head];
+      host.items[host.head++] = undefined;
+      if (host.head === host.items.length) {
+        host.items = [];
+        host.head = 0;
+      }
+
+      this.startRequest(hostname, host, now);
+      this.pending--;
+      this.active++;
+      this.inFlight.set(item.url, item);
+      return { item };
+    }
+
+    return { waitMs };
+  }
+
+  // Marks a request taken with next() as finished
+  release(url) {
+    const host = this.getHostState(UrlUtils.getDomain(url) || '');
+    host.active--;
+    this.active--;
+    this.inFlight.delete(url);
+    this.notify();
+  }
+
+  // Resolves the next time an item is pushed or a request is released
+  waitForChange() {
+    return new Promise(resolve => this.waiters.push(resolve));
+  }
+
+  notify() {
+    const waiters = this.waiters;
+    this.waiters = [];
+    waiters.forEach(resolve => resolve());
+  }
+
+  isDrained() {
+    return this.pending === 0 && this.active === 0;
+  }
+
+  // In-flight requests are saved as pending so a resumed crawl fetches them again
+  toJSON() {
+    const pending = [...this.inFlight.values()];
+    for (const host of this.hosts.values()) {
+      pending.push(...host.items.slice(host.head));
+    }
+
+    return {
+      pending,
+      known: [...this.known]
+    };
+  }
+
+  restore(state) {
+    state.pending.forEach(item => this.push(item));
+    state.known.forEach(url => this.known.add(url));
+  }
+}
+
+module.exports = CrawlQueue;
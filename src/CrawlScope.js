@@ -0,0 +1,143 @@
+const { URL } = require('url');
+const UrlUtils = require('./utils/UrlUtils');
+
+const SCOPE_MODES = ['host', 'subdomains', 'domain', 'path', 'any'];
+
+// Recent decisions kept, so URLs linked from every page are checked and counted once
+const MAX_DECISIONS = 10000;
+
+// Decides which discovered URLs may be fetched. A URL is in scope when it matches
+// the scope mode for at least one start URL, no exclude pattern and (if any are set)
+// at least one include pattern.
+class CrawlScope {
+  constructor(options = {}, startUrls = []) {
+    CrawlScope.validateMode(options.scope);
+    this.mode = options.scope || 'host';
+    this.include = CrawlScope.compilePatterns(options.include || [], 'include');
+    this.exclude = CrawlScope.compilePatterns(options.exclude || UrlUtils.DEFAULT_EXCLUDE_PATTERNS, 'exclude');
+
+    this.roots = startUrls.map(url => {
+      const urlObj = new URL(url);
+      return {
+        hostname: urlObj.hostname,
+        domain: UrlUtils.getRegistrableDomain(url),
+        pathPrefix: options.pathPrefix || this.getPathPrefix(urlObj.pathname)
+      };
+    });
+
+    this.decisions = new Map();
+    this.rejections = {};
+  }
+
+  // Throws on an unknown scope mode or include/exclude patterns that can't be compiled, so
+  // options can be checked before a crawl starts
+  static validate(options = {}) {
+    CrawlScope.validateMode(options.scope);
+    CrawlScope.compilePatterns(options.include || [], 'include');
+    CrawlScope.compilePatterns(options.exclude || [], 'exclude');
+  }
+
+  // No mode means host
+  static validateMode(mode) {
+    if (mode && !SCOPE_MODES.includes(mode)) {
+      throw new Error(`Unknown scope "${mode}". Expected one of: ${SCOPE_MODES.join(', ')}`);
+    }
+  }
+
+  // A single pattern may be given on its own instead of in a list
+  static compilePatterns(patterns, option) {
+    return [].concat(patterns).map((pattern) => {
+      if (typeof pattern !== 'string' && !(pattern instanceof RegExp)) {
+        throw new Error(`"${option}" patterns must be strings or regular expressions`);
+      }
+      return UrlUtils.compilePattern(pattern);
+    });
+  }
+
+  // "/docs/intro.html" and "/docs/" both scope to "/docs/"; "/docs" scopes to "/docs/"
+  getPathPrefix(pathname) {
+    if (pathname.endsWith('/')) return pathname;
+    const lastSegment = pathname.split('/').pop();
+    return lastSegment.includes('.') ?
+      pathname.slice(0, pathname.length - lastSegment.length) :
+      `${pathname}/`;
+  }
+
+  // Returns the name of the rule that rejects the URL, or null when it is in scope.
+  // A URL is counted once in the rejection statistics while its decision is cached; the
+  // cache holds the last MAX_DECISIONS URLs.
+  check(url) {
+    if (this.decisions.has(url)) return this.decisions.get(url);
+
+    const rule = this.findRejectingRule(url);
+    this.decisions.set(url, rule);
+    if (this.decisions.size > MAX_DECISIONS) {
+      this.decisions.delete(this.decisions.keys().next().value);
+    }
+    if (rule) {
+      this.rejections[rule] = (this.rejections[rule] || 0) + 1;
+    }
+    return rule;
+  }
+
+  isInScope(url) {
+    return this.check(url) === null;
+  }
+
+  findRejectingRule(url) {
+    let urlObj;
+    try {
+      urlObj = new URL(url);
+    } catch {
+      return 'invalid-url';
+    }
+
+    if (!['http:', 'https:'].includes(urlObj.protocol)) return 'protocol';
+
+    if (!this.roots.some(root => this.matchesMode(urlObj, root))) {
+      return `scope:${this.mode}`;
+    }
+
+    const excludedBy = this.exclude.find(pattern => pattern.test(url));
+    if (excludedBy) return `exclude:${excludedBy.source}`;
+
+    if (this.include.length > 0 && !this.include.some(pattern => pattern.test(url))) {
+      return 'include';
+    }
+
+    return null;
+  }
+
+  matchesMode(urlObj, root) {
+    switch (this.mode) {
+      case 'host':
+        return urlObj.hostname === root.hostname;
+      case 'subdomains':
+        return UrlUtils.isSubdomainOf(urlObj.hostname, root.hostname);
+      case 'domain':
+        return UrlUtils.getRegistrableDomain(urlObj.href) === root.domain;
+      case 'path':
+        return urlObj.hostname === root.hostname &&
+          (urlObj.pathname.startsWith(root.pathPrefix) || `${urlObj.pathname}/` === root.pathPrefix);
+      default:
+        return true;
+    }
+  }
+
+  getStats() {
+    return { ...this.rejections };
+  }
+
+  // Decisions are only a cache and are not saved
+  toJSON() {
+    return { rejections: this.rejections };
+  }
+
+  restore(state) {
+    this.rejections = { ...state.rejections };
+  }
+}
+
+CrawlScope.MODES = SCOPE_MODES;
+
+module.exports = CrawlScope;
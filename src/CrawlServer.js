@@ -0,0 +1,342 @@
+const http = require('http');
+const fs = require('fs');
+const path = require('path');
+const { Readable } = require('stream');
+const { pipeline } = require('stream/promises');
+const CrawlJobQueue = require('./CrawlJobQueue');
+const CrawlHistory = require('./CrawlHistory');
+const SearchIndex = require('./SearchIndex');
+const FileManager = require('./utils/FileManager');
+const Logger = require('./utils/Logger');
+const UrlUtils = require('./utils/UrlUtils');
+
+const MAX_BODY_SIZE = 1024 * 1024;
+
+// Options that would let a client read or write files on the server, or start programs
+const SERVER_OPTIONS = ['outputDir', 'checkpointFile', 'previousCrawl', 'browserOptions', 'replay'];
+
+const CONTENT_TYPES = {
+  '.json': 'application/json',
+  '.ndjson': 'application/x-ndjson',
+  '.csv': 'text/csv; charset=utf-8',
+  '.sqlite': 'application/vnd.sqlite3'
+};
+
+// JSON API for running crawls in the background:
+//   GET    /crawls               crawls submitted to this server, plus finished results on disk
+//   POST   /crawls               { urls, options } queues a crawl
+//   GET    /crawls/:id           status and live progress
+//   DELETE /crawls/:id           cancels a crawl (a running one keeps its partial results)
+//   GET    /crawls/:id/results   streams a finished crawl's output file (?format=csv etc.)
+//   GET    /results/:file        streams a result file listed by GET /crawls
+//   GET    /history/:domain      the runs recorded for a domain, oldest first
+//   GET    /search/:domain       ranked pages of a domain's search index (?q=...&limit=10&offset=0)
+// Crawls use the server's crawler options, overridden by the options in the request.
+// There is no authentication, so the server listens on localhost unless told otherwise.
+class CrawlServer {
+  constructor(options = {}) {
+    const { logger, crawlerOptions = {}, maxConcurrentCrawls = 2 } = options;
+    this.logger = Logger.from(logger);
+    this.outputDir = crawlerOptions.outputDir || 'crawl-results';
+    this.jobs = new CrawlJobQueue({
+      maxConcurrent: maxConcurrentCrawls,
+      crawlerOptions: { ...crawlerOptions, outputDir: this.outputDir },
+      logger: this.logger
+    });
+    this.server = http.createServer((req, res) => this.handle(req, res));
+  }
+
+  listen(port = 3000, host = '127.0.0.1') {
+    return new Promise((resolve, reject) => {
+      this.server.once('error', reject);
+      this.server.listen(port, host, () => {
+        this.server.removeListener('error', reject);
+        const address = this.server.address();
+        this.logger.info(`🛰️  Crawl API listening on http://${address.address}:${address.port}`, address);
+        resolve(address);
+      });
+    });
+  }
+
+  // Stops accepting requests, then cancels all crawls and waits for their checkpoints
+  async close() {
+    const closed = new Promise(resolve => this.server.close(resolve));
+    await this.jobs.close();
+    this.server.closeAllConnections();
+    await closed;
+  }
+
+  async handle(req, res) {
+    try {
+      const { pathname, searchParams } = new URL(req.url, 'http://localhost');
+      const segments = pathname.split('/').filter(Boolean).map(decodeURIComponent);
+      await this.route(req, res, segments, searchParams);
+    } catch (error) {
+      const status = error.status || 500;
+      if (status === 500) {
+        this.logger.error(`❌ API error on ${req.method} ${req.url}: ${error.message}`, { error: error.message });
+      }
+      if (!res.headersSent) {
+        this.sendJson(res, status, { error: error.message });
+      } else {
+        res.destroy();
+      }
+    }
+  }
+
+  async route(req, res, segments, searchParams) {
+    const [collection, id, action] = segments;
+    const allow = (...methods) => {
+      if (!methods.includes(req.method)) {
+        res.setHeader('Allow', methods.join(', '));
+        throw CrawlServer.createError(405, `${req.method} is not allowed here`);
+      }
+    };
+
+    if (collection === 'crawls' && segments.length === 1) {
+      allow('GET', 'POST');
+      return req.method === 'GET' ? this.listCrawls(res) : this.createCrawl(req, res);
+    }
+
+    if (collection === 'crawls' && segments.length === 2) {
+      allow('GET', 'DELETE');
+      const job = this.getJob(id);
+      if (req.method === 'GET') return this.sendJson(res, 200, this.jobs.toJSON(job));
+
+      if (!await this.jobs.cancel(job.id)) {
+        throw CrawlServer.createError(409, `Crawl ${job.id} has already ${job.status === 'cancelled' ? 'been cancelled' : 'finished'}`);
+      }
+      return this.sendJson(res, 202, this.jobs.toJSON(job));
+    }
+
+    if (collection === 'crawls' && segments.length === 3 && action === 'results') {
+      allow('GET');
+      return this.sendJobResults(res, this.getJob(id), searchParams.get('format'));
+    }
+
+    if (collection === 'results' && segments.length === 2) {
+      allow('GET');
+      const files = await FileManager.listCrawlResults(this.outputDir);
+      if (!files.includes(id)) throw CrawlServer.createError(404, `No result file named ${id}`);
+      return this.sendFile(res, path.resolve(process.cwd(), this.outputDir, id));
+    }
+
+    if (collection === 'history' && segments.length === 2) {
+      allow('GET');
+      const runs = await new CrawlHistory(this.outputDir).list(id);
+      if (runs.length === 0) throw CrawlServer.createError(404, `No runs recorded for ${id}`);
+      return this.sendJson(res, 200, { domain: id, runs });
+    }
+
+    if (collection === 'search' && segments.length === 2) {
+      allow('GET');
+      return this.search(res, id, searchParams);
+    }
+
+    throw CrawlServer.createError(404, `Not found: ${req.method} /${segments.join('/')}`);
+  }
+
+  // Snippets are HTML-escaped, with matches in <mark> elements
+  async search(res, domain, searchParams) {
+    const query = (searchParams.get('q') || '').trim();
+    if (!query) throw CrawlServer.createError(400, 'A search needs a query: ?q=...');
+    const limit = Number(searchParams.get('limit') || 10);
+    const offset = Number(searchParams.get('offset') || 0);
+    if (!Number.isInteger(limit) || limit < 1 || limit > 100 || !Number.isInteger(offset) || offset < 0) {
+      throw CrawlServer.createError(400, '"limit" must be between 1 and 100, and "offset" 0 or more');
+    }
+
+    const index = new SearchIndex(domain, { outputDir: this.outputDir });
+    if (!await index.load()) throw CrawlServer.createError(404, `No search index for ${domain}`);
+    this.sendJson(res, 200, { domain, ...index.search(query, { limit, offset, escapeHtml: true }) });
+  }
+
+  async listCrawls(res) {
+    const files = await FileManager.listCrawlResults(this.outputDir);
+    this.sendJson(res, 200, {
+      crawls: this.jobs.list().map(job => this.jobs.toJSON(job)),
+      results: files.map(file => ({ file, url: `/results/${encodeURIComponent(file)}` }))
+    });
+  }
+
+  async createCrawl(req, res) {
+    const body = await this.readJson(req);
+    const urls = [].concat(body.urls || body.url || []);
+    if (urls.length === 0) throw CrawlServer.createError(400, 'A crawl needs "urls" (or "url")');
+
+    const invalidUrl = urls.find(url => typeof url !== 'string' || !/^https?:\/\//i.test(url) || !UrlUtils.isValidUrl(url));
+    if (invalidUrl !== undefined) throw CrawlServer.createError(400, `Invalid URL: ${invalidUrl}`);
+
+    const options = body.options || {};
+    this.validateOptions(options);
+
+    let job;
+    try {
+      job = this.jobs.submit(urls, options);
+    } catch (error) {
+      throw CrawlServer.createError(400, error.message);
+    }
+
+    res.setHeader('Location', `/crawls/${job.id}`);
+    this.sendJson(res, 202, this.jobs.toJSON(job));
+  }
+
+  validateOptions(options) {
+    if (typeof options !== 'object' || Array.isArray(options)) {
+      throw CrawlServer.createError(400, '"options" must be an object');
+    }
+
+    const serverOption = SERVER_OPTIONS.find(key => key in options);
+    if (serverOption) throw CrawlServer.createError(400, `"${serverOption}" can't be set through the API`);
+
+    if (options.warc !== undefined && typeof options.warc !== 'boolean') {
+      throw CrawlServer.createError(400, '"warc" must be true or false through the API, not a path');
+    }
+
+    const outputs = [].concat(options.outputs || []);
+    if (outputs.some(output => typeof output !== 'string' || !FileManager.OUTPUT_TYPES.includes(output))) {
+      throw CrawlServer.createError(400, `"outputs" may only list output types (${FileManager.OUTPUT_TYPES.join(', ')}), not paths`);
+    }
+
+    // ${NAME} references would read the server's environment
+    if (options.auth && JSON.stringify(options.auth).includes('${')) {
+      throw CrawlServer.createError(400, 'Environment variable references are not allowed in "auth" through the API');
+    }
+  }
+
+  getJob(id) {
+    const job = this.jobs.get(id);
+    if (!job) throw CrawlServer.createError(404, `No crawl with id ${id}`);
+    return job;
+  }
+
+  // The JSON output unless another format is asked for, once the crawl has finished;
+  // while it runs, the pages written so far
+  async sendJobResults(res, job, format) {
+    if (job.status === 'running') return this.sendPartialResults(res, job, format);
+    if (!job.results) {
+      const message = job.status === 'queued' ?
+        `Crawl ${job.id} is still queued; results are available once it starts` :
+        `Crawl ${job.id} has no results (${job.status})`;
+      throw CrawlServer.createError(409, message);
+    }
+
+    const files = job.results.outputFiles;
+    const file = format ? files.find(outputFile => path.extname(outputFile) === `.${format}`) : files[0];
+    if (!file) throw CrawlServer.createError(404, `Crawl ${job.id} has no ${format} output (available: ${files.map(outputFile => path.extname(outputFile).slice(1)).join(', ')})`);
+
+    return this.sendFile(res, file);
+  }
+
+  // Streams the pages of a running crawl from its NDJSON output, or from the side file its
+  // JSON output appends pages to, as far as they are written when the request comes in.
+  // A JSON response has crawlInfo and pages only; the rest is added when the crawl finishes.
+  async sendPartialResults(res, job, format) {
+    const sinks = job.crawler.sinks.filter(sink => ['json', 'ndjson'].includes(sink.type));
+    const sink = format ? sinks.find(item => item.type === format) : sinks[0];
+    if (!sink) {
+      throw CrawlServer.createError(409, `Crawl ${job.id} is still running; ${format ? `its ${format} output` : 'results without a json or ndjson output'} can be read once it finishes`);
+    }
+
+    const size = await fs.promises.stat(sink.streamPath).then(stat => stat.size, () => 0);
+    const isJson = sink.type === 'json';
+    async function* chunks() {
+      if (isJson) yield `{\n  "crawlInfo": ${JSON.stringify({ runId: job.runId, completed: false })},\n  "pages": [`;
+      let count = 0;
+      for await (const line of CrawlServer.readLines(sink.streamPath, size)) {
+        if (!line) continue;
+        yield isJson ? `${count === 0 ? '' : ','}\n    ${line}` : `${line}\n`;
+        count++;
+      }
+      if (isJson) yield count === 0 ? ']\n}\n' : '\n  ]\n}\n';
+    }
+
+    res.writeHead(200, { 'Content-Type': CONTENT_TYPES[`.${sink.type}`] });
+    try {
+      await pipeline(Readable.from(chunks()), res);
+    } catch (error) {
+      // The client went away
+      if (error.code !== 'ERR_STREAM_PREMATURE_CLOSE') throw error;
+    }
+  }
+
+  // The complete lines in the first `size` bytes of a file; a line still being written is left out
+  static async *readLines(filePath, size) {
+    if (size === 0) return;
+    let rest = '';
+    for await (const chunk of fs.createReadStream(filePath, { end: size - 1, encoding: 'utf8' })) {
+      const lines = (rest + chunk).split('\n');
+      rest = lines.pop();
+      yield* lines;
+    }
+  }
+
+  async sendFile(res, filePath) {
+    let stat;
+    try {
+      stat = await fs.promises.stat(filePath);
+    } catch {
+      throw CrawlServer.createError(404, `${path.basename(filePath)} no longer exists`);
+    }
+
+    res.writeHead(200, {
+      'Content-Type': CONTENT_TYPES[path.extname(filePath)] || 'application/octet-stream',
+      'Content-Length': stat.size,
+      'Content-Disposition': `attachment; filename="${path.basename(filePath)}"`
+    });
+    await new Promise((resolve, reject) => {
+      const stream = fs.createReadStream(filePath);
+      stream.once('error', reject);
+      res.once('close', resolve);
+      stream.pipe(res);
+    });
+  }
+
+  readJson(req) {
+    return new Promise((resolve, reject) => {
+      const chunks = [];
+      let size = 0;
+      req.on('data', (chunk) => {
+        size += chunk.length;
+        // The rest of a body that is too large is read but not kept, so the 413 can be sent
+        if (size <= MAX_BODY_SIZE) chunks.push(chunk);
+      });
+      req.on('end', () => {
+        if (size > MAX_BODY_SIZE) {
+          reject(CrawlServer.createError(413, `Request body is larger than ${MAX_BODY_SIZE} bytes`));
+          return;
+        }
+
+        const text = Buffer.concat(chunks).toString('utf8');
+        try {
+          const body = text ? JSON.parse(text) : {};
+          if (!body || typeof body !== 'object' || Array.isArray(body)) {
+            throw new Error('expected an object');
+          }
+          resolve(body);
+        } catch (error) {
+          reject(CrawlServer.createError(400, `Invalid JSON body: ${error.message}`));
+        }
+      });
+      req.on('error', reject);
+    });
+  }
+
+  // A plain Error carrying the HTTP status to answer with
+  static createError(status, message) {
+    const error = new Error(message);
+    error.status = status;
+    return error;
+  }
+
+  sendJson(res, status, body) {
+    const json = JSON.stringify(body, null, 2);
+    res.writeHead(status, {
+      'Content-Type': 'application/json',
+      'Content-Length': Buffer.byteLength(json)
+    });
+    res.end(json);
+  }
+}
+
+module.exports = CrawlServer;
@@ -0,0 +1,207 @@
+const UrlUtils = require('./utils/UrlUtils');
+
+const TOP_PAGES = 10;
+
+// Request phases from page.http.timings whose percentiles are reported
+const TIMING_PHASES = ['dns', 'connect', 'tls', 'ttfb', 'download', 'total'];
+
+// Buckets grow by 2%, so percentiles are within 1% of the exact value
+const BUCKET_GROWTH = 1.02;
+const LOG_GROWTH = Math.log(BUCKET_GROWTH);
+
+// Percentiles over a stream of values in bounded memory: values are counted in logarithmic
+// buckets, so response times from a million pages take a few hundred entries
+class Histogram {
+  constructor(state = null) {
+    this.buckets = new Map(state ? state.buckets : []);
+    this.zeros = state ? state.zeros : 0;
+    this.count = state ? state.count : 0;
+    this.sum = state ? state.sum : 0;
+    this.min = state ? state.min : null;
+    this.max = state ? state.max : null;
+    this.integers = state ? state.integers : true;
+  }
+
+  add(value) {
+    this.count++;
+    this.sum += value;
+    this.min = this.min === null ? value : Math.min(this.min, value);
+    this.max = this.max === null ? value : Math.max(this.max, value);
+    if (!Number.isInteger(value)) this.integers = false;
+
+    if (value <= 0) {
+      this.zeros++;
+      return;
+    }
+    const bucket = Math.floor(Math.log(value) / LOG_GROWTH);
+    this.buckets.set(bucket, (this.buckets.get(bucket) || 0) + 1);
+  }
+
+  // Nearest rank, reported as the middle of its bucket (within the exact min and max)
+  percentile(p) {
+    const rank = Math.max(1, Math.ceil((p / 100) * this.count));
+    if (rank <= this.zeros) return 0;
+
+    let seen = this.zeros;
+    const buckets = [...this.buckets].sort(([a], [b]) => a - b);
+    for (const [bucket, count] of buckets) {
+      seen += count;
+      if (seen >= rank) {
+        const value = Math.min(this.max, Math.max(this.min, BUCKET_GROWTH ** (bucket + 0.5)));
+        return this.round(value);
+      }
+    }
+    return this.max;
+  }
+
+  round(value) {
+    return this.integers ? Math.round(value) : Math.round(value * 10) / 10;
+  }
+
+  // { count, min, mean, p50, p95, p99, max }
+  summarize() {
+    if (this.count === 0) return { count: 0 };
+
+    return {
+      count: this.count,
+      min: this.min,
+      mean: Math.round((this.sum / this.count) * 10) / 10,
+      p50: this.percentile(50),
+      p95: this.percentile(95),
+      p99: this.percentile(99),
+      max: this.max
+    };
+  }
+
+  toJSON() {
+    return {
+      buckets: [...this.buckets],
+      zeros: this.zeros,
+      count: this.count,
+      sum: this.sum,
+      min: this.min,
+      max: this.max,
+      integers: this.integers
+    };
+  }
+}
+
+// Running totals over the pages as they are written, so the statistics and the summary
+// file don't need the pages in memory. Only URLs are kept, for the change and sitemap reports.
+class CrawlStatistics {
+  constructor() {
+    this.pages = 0;
+    this.totalLinks = 0;
+    this.linkedDomains = new Set();
+    this.contentTypes = {};
+    this.structuredDataTypes = {};
+    this.changeStatuses = {};
+    this.crawledUrls = new Set();
+    this.linkedUrls = new Set();
+    this.topPages = [];
+    this.statusCodes = {};
+    this.timings = Object.fromEntries(TIMING_PHASES.map(phase => [phase, new Histogram()]));
+    this.sizes = new Histogram();
+  }
+
+  add(page) {
+    this.pages++;
+    this.crawledUrls.add(page.url);
+
+    const links = page.links || [];
+    this.totalLinks += links.length;
+    links.forEach(link => {
+      this.linkedUrls.add(link.url);
+      this.linkedDomains.add(UrlUtils.getDomain(link.url));
+    });
+
+    const type = page.contentType || 'unknown';
+    this.contentTypes[type] = (this.contentTypes[type] || 0) + 1;
+
+    Object.entries(page.structuredData?.types || {}).forEach(([dataType, items]) => {
+      this.structuredDataTypes[dataType] = (this.structuredDataTypes[dataType] || 0) + items.length;
+    });
+
+    if (page.changeStatus) {
+      this.changeStatuses[page.changeStatus] = (this.changeStatuses[page.changeStatus] || 0) + 1;
+    }
+
+    this.addResponse(page.http);
+    this.addTopPage(page);
+  }
+
+  addResponse(response) {
+    if (!response) return;
+
+    this.statusCodes[response.status] = (this.statusCodes[response.status] || 0) + 1;
+    if (typeof response.size === 'number') this.sizes.add(response.size);
+
+    for (const phase of TIMING_PHASES) {
+      const value = response.timings?.[phase];
+      if (typeof value === 'number') this.timings[phase].add(value);
+    }
+  }
+
+  // Keeps the pages with the most words, largest first
+  addTopPage(page) {
+    const entry = {
+      url: page.url,
+      title: page.title,
+      wordCount: page.wordCount,
+      linksCount: (page.links || []).length
+    };
+
+    const index = this.topPages.findIndex(top => (entry.wordCount || 0) > (top.wordCount || 0));
+    if (index === -1) {
+      if (this.topPages.length < TOP_PAGES) this.topPages.push(entry);
+    } else {
+      this.topPages.splice(index, 0, entry);
+      this.topPages.length = Math.min(this.topPages.length, TOP_PAGES);
+    }
+  }
+
+  getStatistics() {
+    return {
+      totalLinks: this.totalLinks,
+      uniqueDomains: this.linkedDomains.size,
+      averageLinksPerPage: Math.round(this.totalLinks / this.pages),
+      contentTypes: this.contentTypes,
+      structuredDataTypes: this.structuredDataTypes,
+      statusCodes: this.statusCodes,
+      timings: Object.fromEntries(TIMING_PHASES.map(phase => [phase, this.timings[phase].summarize()])),
+      responseSizes: {
+        ...this.sizes.summarize(),
+        total: this.sizes.sum
+      }
+    };
+  }
+
+  toJSON() {
+    return {
+      pages: this.pages,
+      totalLinks: this.totalLinks,
+      linkedDomains: [...this.linkedDomains],
+      contentTypes: this.contentTypes,
+      structuredDataTypes: this.structuredDataTypes,
+      changeStatuses: this.changeStatuses,
+      crawledUrls: [...this.crawledUrls],
+      linkedUrls: [...this.linkedUrls],
+      topPages: this.topPages,
+      statusCodes: this.statusCodes,
+      timings: Object.fromEntries(TIMING_PHASES.map(phase => [phase, this.timings[phase].toJSON()])),
+      sizes: this.sizes.toJSON()
+    };
+  }
+
+  restore(state) {
+    Object.assign(this, state, {
+      linkedDomains: new Set(state.linkedDomains),
+      crawledUrls: new Set(state.crawledUrls),
+      linkedUrls: new Set(state.linkedUrls),
+      timings: Object.fromEntries(TIMING_PHASES.map(phase => [phase, new Histogram(state.timings[phase])])),
+      sizes: new Histogram(state.sizes)
+    });
+  }
+}
+
+module.exports = CrawlStatistics;
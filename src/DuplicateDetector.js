@@ -0,0 +1,174 @@
+const crypto = require('crypto');
+
+const FINGERPRINT_BITS = 64;
+
+// Finds pages with (nearly) the same text, whatever their URLs. Each page's content.text gets
+// a 64-bit SimHash over its three-word shingles, stored as page.simhash; pages whose
+// fingerprints differ in at most `threshold` bits end up in the same cluster.
+//
+// Candidates are found by splitting fingerprints into threshold + 1 bands: two fingerprints
+// within the threshold always agree on at least one band, so only pages sharing a band are
+// compared. Only URLs and fingerprints are kept, not the pages.
+class DuplicateDetector {
+  constructor(options = {}) {
+    this.threshold = options.threshold !== undefined ? options.threshold : 3;
+    this.minWords = options.minWords !== undefined ? options.minWords : 20;
+    if (!Number.isInteger(this.threshold) || this.threshold < 0 || this.threshold >= FINGERPRINT_BITS / 2) {
+      throw new Error(`nearDuplicates.threshold must be a whole number of bits from 0 to ${FINGERPRINT_BITS / 2 - 1}`);
+    }
+
+    this.bandCount = this.threshold + 1;
+    this.urls = [];
+    this.fingerprints = [];
+    this.bands = Array.from({ length: this.bandCount }, () => new Map());
+    this.parents = [];
+  }
+
+  // Sets page.simhash and clusters the page; pages with too little text are left out
+  add(page) {
+    const fingerprint = DuplicateDetector.fingerprint(page.content?.text, this.minWords);
+    if (!fingerprint) return null;
+
+    page.simhash = fingerprint;
+    this.index(page.url, fingerprint);
+    return fingerprint;
+  }
+
+  index(url, fingerprint) {
+    const id = this.urls.length;
+    const bits = DuplicateDetector.toBits(fingerprint);
+    this.urls.push(url);
+    this.fingerprints.push(fingerprint);
+    this.parents.push(id);
+
+    const compared = new Set();
+    this.getBands(bits).forEach((band, index) => {
+      const bucket = this.bands[index].get(band);
+      if (!bucket) {
+        this.bands[index].set(band, [id]);
+        return;
+      }
+
+      for (const other of bucket) {
+        if (compared.has(other)) continue;
+        compared.add(other);
+        if (DuplicateDetector.distance(fingerprint, this.fingerprints[other]) <= this.threshold) {
+          this.union(id, other);
+        }
+      }
+      bucket.push(id);
+    });
+  }
+
+  getBands(bits) {
+    const width = Math.ceil(FINGERPRINT_BITS / this.bandCount);
+    return this.bands.map((_, index) => bits.slice(index * width, (index + 1) * width));
+  }
+
+  find(id) {
+    while (this.parents[id] !== id) {
+      this.parents[id] = this.parents[this.parents[id]];
+      id = this.parents[id];
+    }
+    return id;
+  }
+
+  union(a, b) {
+    const rootA = this.find(a);
+    const rootB = this.find(b);
+    // The page crawled first stays the root, so it is listed first in its cluster
+    if (rootA !== rootB) this.parents[Math.max(rootA, rootB)] = Math.min(rootA, rootB);
+  }
+
+  // Clusters of two or more pages, largest first. Distances are from the first page crawled.
+  getReport() {
+    const groups = new Map();
+    this.urls.forEach((_, id) => {
+      const root = this.find(id);
+      if (!groups.has(root)) groups.set(root, []);
+      groups.get(root).push(id);
+    });
+
+    const clusters = [...groups.values()]
+      .filter(ids => ids.length > 1)
+      .map(ids => {
+        const first = this.fingerprints[ids[0]];
+        const pages = ids.map(id => ({
+          url: this.urls[id],
+          simhash: this.fingerprints[id],
+          distance: DuplicateDetector.distance(first, this.fingerprints[id])
+        }));
+        return {
+          size: pages.length,
+          exact: pages.every(page => page.distance === 0),
+          pages
+        };
+      })
+      .sort((a, b) => b.size - a.size);
+
+    return {
+      threshold: this.threshold,
+      fingerprinted: this.urls.length,
+      clusterCount: clusters.length,
+      duplicatePages: clusters.reduce((total, cluster) => total + cluster.size - 1, 0),
+      clusters
+    };
+  }
+
+  toJSON() {
+    return this.urls.map((url, id) => [url, this.fingerprints[id]]);
+  }
+
+  restore(state) {
+    state.forEach(([url, fingerprint]) => this.index(url, fingerprint));
+  }
+
+  // 16 hex digits, or null when the text has fewer than minWords words
+  static fingerprint(text, minWords = 0) {
+    const words = String(text || '').toLowerCase().match(/[\p{L}\p{N}]+/gu) || [];
+    if (words.length === 0 || words.length < minWords) return null;
+
+    const shingleSize = Math.min(3, words.length);
+    const weights = new Map();
+    for (let i = 0; i + shingleSize <= words.length; i++) {
+      const shingle = words.slice(i, i + shingleSize).join(' ');
+      weights.set(shingle, (weights.get(shingle) || 0) + 1);
+    }
+
+    const vector = new Array(FINGERPRINT_BITS).fill(0);
+    for (const [shingle, weight] of weights) {
+      const hash = crypto.createHash('md5').update(shingle).digest();
+      for (let bit = 0; bit < FINGERPRINT_BITS; bit++) {
+        const isSet = (hash[bit >> 3] >> (7 - (bit & 7))) & 1;
+        vector[bit] += isSet ? weight : -weight;
+      }
+    }
+
+    const bytes = Buffer.alloc(FINGERPRINT_BITS / 8);
+    vector.forEach((value, bit) => {
+      if (value > 0) bytes[bit >> 3] |= 1 << (7 - (bit & 7));
+    });
+    return bytes.toString('hex');
+  }
+
+  static toBits(fingerprint) {
+    return [...Buffer.from(fingerprint, 'hex')].map(byte => byte.toString(2).padStart(8, '0')).join('');
+  }
+
+  // Number of differing bits between two fingerprints
+  static distance(a, b) {
+    const left = Buffer.from(a, 'hex');
+    const right = Buffer.from(b, 'hex');
+    let count = 0;
+    for (let i = 0; i < left.length; i++) {
+      let diff = left[i] ^ right[i];
+      while (diff) {
+        count += diff & 1;
+        diff >>= 1;
+      }
+    }
+    return count;
+  }
+}
+
+module.exports = DuplicateDetector;
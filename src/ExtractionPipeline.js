@@ -0,0 +1,151 @@
+const UrlUtils = require('./utils/UrlUtils');
+const DataExtractor = require('./utils/DataExtractor');
+const SchemaExtractor = require('./utils/SchemaExtractor');
+const StructuredDataExtractor = require('./utils/StructuredDataExtractor');
+
+// Built-in extractors in the order they run and their keys appear on a page record
+const BUILT_IN_EXTRACTORS = {
+  title: $ => DataExtractor.extractTitle($),
+  titleSource: $ => DataExtractor.getTitleSource($),
+  meta: $ => DataExtractor.extractMeta($),
+  structuredData: $ => StructuredDataExtractor.extract($),
+  headings: $ => DataExtractor.extractHeadings($),
+  content: ($, context) => DataExtractor.extractContent($, context.options, context.url),
+  images: ($, context) => DataExtractor.extractImages($, context.url, context.options.maxImages),
+  contentType: $ => DataExtractor.extractContentType($),
+  wordCount: $ => DataExtractor.getWordCount($)
+};
+
+// Page fields the crawler sets itself, which extractors may not replace
+const RESERVED_KEYS = [
+  'url', 'depth', 'parent', 'crawledAt', 'responseTime', 'links', 'headers', 'contentHash',
+  'changeStatus', 'notModified', 'discoveredVia', 'sitemap', 'robots', 'extractionErrors', 'redirects',
+  'http', 'simhash', 'graph'
+];
+
+// Runs the built-in extractors plus any registered extractors and schemas over each page.
+// An extractor is a function ($, context) returning the value stored under its name.
+class ExtractionPipeline {
+  constructor(options = {}) {
+    this.options = { ...DataExtractor.DEFAULT_EXTRACTION_OPTIONS, ...options.extraction };
+    this.extractors = new Map();
+
+    const disabled = options.disableExtractors || [];
+    const unknown = disabled.filter(name => !BUILT_IN_EXTRACTORS[name]);
+    if (unknown.length > 0) {
+      throw new Error(`Unknown built-in extractor(s): ${unknown.join(', ')}`);
+    }
+
+    for (const [name, extract] of Object.entries(BUILT_IN_EXTRACTORS)) {
+      if (!disabled.includes(name)) {
+        this.extractors.set(name, { name, extract, builtIn: true, urlPatterns: [] });
+      }
+    }
+
+    (options.schemas || []).forEach(schema => this.registerSchema(schema));
+  }
+
+  // Registering the name of a built-in extractor replaces it
+  register(name, extract, options = {}) {
+    if (RESERVED_KEYS.includes(name)) {
+      throw new Error(`"${name}" is set by the crawler and cannot be used as an extractor name`);
+    }
+    if (typeof extract !== 'function') {
+      throw new Error(`Extractor "${name}" must be a function`);
+    }
+
+    this.extractors.set(name, {
+      name,
+      extract,
+      builtIn: false,
+      urlPatterns: [].concat(options.urlPattern || []).map(pattern => UrlUtils.compilePattern(pattern))
+    });
+    return this;
+  }
+
+  unregister(name) {
+    this.extractors.delete(name);
+    return this;
+  }
+
+  // { name, urlPattern?, fields: { field: selector | { selector | xpath, attribute, multiple, transform, match } } }
+  registerSchema(schema) {
+    if (!schema || !schema.name || !schema.fields) {
+      throw new Error('A schema needs a name and fields');
+    }
+
+    return this.register(
+      schema.name,
+      ($, context) => SchemaExtractor.extract($, schema, context),
+      { urlPattern: schema.urlPattern }
+    );
+  }
+
+  appliesTo(extractor, url) {
+    return extractor.urlPatterns.length === 0 || extractor.urlPatterns.some(pattern => pattern.test(url));
+  }
+
+  // Returns { values, errors }. Custom extractors run before the built-in ones.
+  async run($, context) {
+    const fullContext = { ...context, options: this.options };
+    const values = {};
+    const errors = {};
+
+    const extractors = [...this.extractors.values()];
+    const ordered = [
+      ...extractors.filter(extractor => !extractor.builtIn),
+      ...extractors.filter(extractor => extractor.builtIn)
+    ];
+
+    for (const extractor of ordered) {
+      if (!this.appliesTo(extractor, context.url)) continue;
+      try {
+        values[extractor.name] = await extractor.extract($, fullContext);
+      } catch (error) {
+        values[extractor.name] = null;
+        errors[extractor.name] = error.message;
+      }
+    }
+
+    return { values, errors };
+  }
+
+  // Builds a page record with the same field order as DataExtractor.extractPageData
+  async extractPageData($, url, depth, parent) {
+    const { values, errors } = await this.run($, { url, depth, parent });
+
+    const builtIn = {};
+    const custom = {};
+    for (const [name, value] of Object.entries(values)) {
+      if (this.extractors.get(name).builtIn) {
+        builtIn[name] = value;
+      } else {
+        custom[name] = value;
+      }
+    }
+
+    const pick = names => Object.fromEntries(names.filter(name => name in builtIn).map(name => [name, builtIn[name]]));
+
+    const pageData = {
+      url,
+      ...pick(['title', 'titleSource', 'meta', 'structuredData', 'headings', 'content', 'images']),
+      depth,
+      parent,
+      crawledAt: new Date().toISOString(),
+      ...pick(['contentType', 'wordCount']),
+      responseTime: null, // Set by the crawler from the response timings
+      ...custom
+    };
+
+    if (Object.keys(errors).length > 0) {
+      pageData.extractionErrors = errors;
+    }
+
+    pageData.contentHash = DataExtractor.hashContent(pageData);
+    return pageData;
+  }
+}
+
+ExtractionPipeline.BUILT_IN_EXTRACTORS = Object.keys(BUILT_IN_EXTRACTORS);
+
+module.exports = ExtractionPipeline;
@@ -0,0 +1,302 @@
+const Backoff = require('./utils/Backoff');
+const UrlUtils = require('./utils/UrlUtils');
+
+const DEFAULT_OPTIONS = {
+  maxDelay: 30000, // Largest adaptive delay between request starts on one host (ms)
+  latencyFactor: 2, // Slow down when a host's latency reaches this multiple of its usual latency
+  errorRate: 0.3, // ... or when this share of its recent requests failed
+  window: 10, // Recent requests the error rate is taken over
+  backoffBase: 1000, // Pause after the first rate-limited response without Retry-After (ms), doubled each time
+  maxBackoff: 300000, // Longest backoff and circuit breaker pause (ms)
+  maxRetryAfter: 600000, // Longer Retry-After values are cut to this (ms)
+  failureThreshold: 5, // Failures in a row that open a host's circuit
+  cooldown: 30000, // First pause of an open circuit (ms), doubled each time it opens again
+  maxDeferrals: 5 // Times a URL goes back into the queue before it counts as failed
+};
+
+const EVENT_TYPES = ['slowDown', 'speedUp', 'rateLimited', 'circuitOpened', 'circuitClosed', 'deferred', 'deferralsExhausted'];
+
+const MIN_DELAY_STEP = 250; // Adaptive delay of a host that slows down for the first time (ms)
+const LATENCY_NOISE = 100; // Latency increases smaller than this are not a slowdown (ms)
+const ADJUST_EVERY = 5; // Responses between two delay adjustments
+const MAX_EVENTS = 200; // Most recent events kept for the statistics
+
+// Adapts the pace of each host to how it is coping, on top of the configured delay:
+// - 429 and 503 responses pause the host for their Retry-After, or an exponential backoff
+//   with jitter, and double its adaptive delay
+// - every few responses the delay doubles when latency or the error rate went up, and halves
+//   again once the host is back to normal
+// - failureThreshold failures in a row open the host's circuit: nothing is sent for a
+//   cooldown, then a single request probes the host and closes the circuit if it succeeds
+// The pauses and delays are applied to the CrawlQueue; URLs that were rate limited or failed
+// on a host with an open circuit are deferred (see shouldDefer) rather than failed.
+class HostThrottle {
+  constructor(options = {}) {
+    const { queue, logger, ...settings } = options;
+    this.options = { ...DEFAULT_OPTIONS, ...settings };
+    this.queue = queue;
+    this.logger = logger;
+
+    this.hosts = new Map();
+    // url -> times it was deferred
+    this.deferrals = new Map();
+    this.counts = Object.fromEntries(EVENT_TYPES.map(type => [type, 0]));
+    this.events = [];
+  }
+
+  getHost(hostname) {
+    if (!this.hosts.has(hostname)) {
+      this.hosts.set(hostname, {
+        requests: 0,
+        failures: 0,
+        consecutiveFailures: 0,
+        rateLimits: 0,
+        recent: [],
+        sinceAdjust: 0,
+        latency: null,
+        baseline: null,
+        delay: 0,
+        pausedUntil: 0,
+        circuit: 'closed',
+        openings: 0,
+        openUntil: 0,
+        events: {}
+      });
+    }
+    return this.hosts.get(hostname);
+  }
+
+  // latency is the time to first byte, or the whole request when that is unknown (ms)
+  recordResponse(url, response, latency = null) {
+    const hostname = UrlUtils.getDomain(url) || '';
+    const host = this.getHost(hostname);
+
+    if (Backoff.isRateLimited(response.status)) {
+      this.rateLimit(hostname, host, response);
+      this.recordOutcome(hostname, host, false);
+      return;
+    }
+
+    if (response.status < 500 && latency !== null) this.updateLatency(host, latency);
+    this.recordOutcome(hostname, host, response.status < 500);
+  }
+
+  // Requests that got no response; errors about the URL itself (redirect loops, bad URLs) don't count
+  recordError(url, error) {
+    if (!Backoff.isTransientError(error)) return;
+    const hostname = UrlUtils.getDomain(url) || '';
+    this.recordOutcome(hostname, this.getHost(hostname), false);
+  }
+
+  // Fast-moving average for the current latency, slow-moving one for what is usual for the host
+  updateLatency(host, latency) {
+    host.latency = host.latency === null ? latency : host.latency + 0.3 * (latency - host.latency);
+    host.baseline = host.baseline === null ? latency : host.baseline + 0.05 * (latency - host.baseline);
+  }
+
+  recordOutcome(hostname, host, ok) {
+    host.requests++;
+    host.recent.push(ok);
+    if (host.recent.length > this.options.window) host.recent.shift();
+
+    if (ok) {
+      host.consecutiveFailures = 0;
+      host.rateLimits = 0;
+    } else {
+      host.failures++;
+      host.consecutiveFailures++;
+    }
+
+    this.updateCircuit(hostname, host, ok);
+
+    host.sinceAdjust++;
+    if (host.sinceAdjust >= ADJUST_EVERY) {
+      host.sinceAdjust = 0;
+      this.adjustDelay(hostname, host);
+    }
+  }
+
+  rateLimit(hostname, host, response) {
+    const retryAfter = Backoff.parseRetryAfter(response.headers?.['retry-after']);
+    const wait = retryAfter !== null ?
+      Math.min(retryAfter, this.options.maxRetryAfter) :
+      Backoff.getDelay(host.rateLimits, this.options.backoffBase, this.options.maxBackoff);
+    host.rateLimits++;
+
+    this.pause(hostname, host, Date.now() + wait);
+    this.record(hostname, 'rateLimited', { status: response.status, wait, retryAfter });
+    this.logger.warn(`🚦 ${hostname} answered ${response.status}, pausing it for ${HostThrottle.formatDuration(wait)}${retryAfter !== null ? ' (Retry-After)' : ''}`, {
+      host: hostname,
+      status: response.status,
+      wait
+    });
+
+    host.sinceAdjust = 0;
+    this.slowDown(hostname, host, `${response.status} response`);
+  }
+
+  adjustDelay(hostname, host) {
+    const errors = host.recent.filter(ok => !ok).length;
+    const slow = host.latency !== null &&
+      host.latency > host.baseline * this.options.latencyFactor &&
+      host.latency - host.baseline > LATENCY_NOISE;
+
+    if (slow) {
+      this.slowDown(hostname, host, `latency ${Math.round(host.latency)}ms, usually ${Math.round(host.baseline)}ms`);
+    } else if (errors / host.recent.length >= this.options.errorRate) {
+      this.slowDown(hostname, host, `${errors} of the last ${host.recent.length} requests failed`);
+    } else if (errors === 0 && host.delay > 0) {
+      this.speedUp(hostname, host);
+    }
+  }
+
+  slowDown(hostname, host, reason) {
+    const delay = Math.min(this.options.maxDelay, Math.max(MIN_DELAY_STEP, host.delay * 2));
+    if (delay === host.delay) return;
+
+    host.delay = delay;
+    this.queue.setAdaptiveDelay(hostname, delay);
+    this.record(hostname, 'slowDown', { delay, reason });
+    this.logger.info(`🐢 Slowing down on ${hostname}: ${delay}ms between requests (${reason})`, { host: hostname, delay, reason });
+  }
+
+  speedUp(hostname, host) {
+    const delay = host.delay <= MIN_DELAY_STEP ? 0 : Math.round(host.delay / 2);
+
+    host.delay = delay;
+    this.queue.setAdaptiveDelay(hostname, delay);
+    this.record(hostname, 'speedUp', { delay });
+    this.logger.info(`🐇 ${hostname} is keeping up again: ${delay}ms between requests`, { host: hostname, delay });
+  }
+
+  updateCircuit(hostname, host, ok) {
+    if (host.circuit === 'open') {
+      // Requests that were already running when the circuit opened report in late;
+      // the first one after the pause is the probe
+      if (Date.now() < host.openUntil) return;
+      if (ok) {
+        this.closeCircuit(hostname, host);
+      } else {
+        this.openCircuit(hostname, host);
+      }
+      return;
+    }
+
+    if (!ok && host.consecutiveFailures >= this.options.failureThreshold) {
+      this.openCircuit(hostname, host);
+    }
+  }
+
+  openCircuit(hostname, host) {
+    const pause = Math.min(this.options.maxBackoff, this.options.cooldown * 2 ** host.openings);
+    host.openings++;
+    host.circuit = 'open';
+    host.openUntil = Date.now() + pause;
+
+    this.pause(hostname, host, host.openUntil);
+    this.queue.setHostConcurrency(hostname, 1);
+    this.record(hostname, 'circuitOpened', { failures: host.consecutiveFailures, pause });
+    this.logger.warn(`🔌 ${hostname} failed ${host.consecutiveFailures} times in a row, pausing it for ${HostThrottle.formatDuration(pause)}`, {
+      host: hostname,
+      failures: host.consecutiveFailures,
+      pause
+    });
+  }
+
+  closeCircuit(hostname, host) {
+    host.circuit = 'closed';
+    host.openings = 0;
+    // The failures before the pause say nothing about the host now
+    host.recent = [];
+
+    this.queue.setHostConcurrency(hostname, null);
+    this.record(hostname, 'circuitClosed', {});
+    this.logger.info(`🔌 ${hostname} is responding again, resuming`, { host: hostname });
+  }
+
+  pause(hostname, host, until) {
+    host.pausedUntil = Math.max(host.pausedUntil, until);
+    this.queue.pauseHost(hostname, until);
+  }
+
+  // Whether a failed URL goes back into the queue: when its host rate limited it, or failed
+  // while its circuit is open, the URL itself may well be fine. After maxDeferrals it fails.
+  shouldDefer(url, error) {
+    const hostname = UrlUtils.getDomain(url) || '';
+    const host = this.hosts.get(hostname);
+    const status = error.response?.status;
+    const hostFailing = host?.circuit === 'open' && (status >= 500 || Backoff.isTransientError(error));
+    if (!Backoff.isRateLimited(status) && !hostFailing) return false;
+
+    const count = (this.deferrals.get(url) || 0) + 1;
+    if (count > this.options.maxDeferrals) {
+      this.deferrals.delete(url);
+      this.record(hostname, 'deferralsExhausted', { url });
+      return false;
+    }
+
+    this.deferrals.set(url, count);
+    this.record(hostname, 'deferred', { url, attempt: count });
+    return true;
+  }
+
+  record(hostname, type, details) {
+    const host = this.getHost(hostname);
+    this.counts[type]++;
+    host.events[type] = (host.events[type] || 0) + 1;
+
+    this.events.push({ at: new Date().toISOString(), host: hostname, type, ...details });
+    if (this.events.length > MAX_EVENTS) this.events.shift();
+  }
+
+  // Event counts, the state each host ended in, and the most recent events
+  getStats() {
+    const now = Date.now();
+    const hosts = {};
+    for (const [hostname, host] of this.hosts) {
+      hosts[hostname] = {
+        requests: host.requests,
+        failures: host.failures,
+        delay: host.delay,
+        latency: host.latency === null ? null : Math.round(host.latency),
+        usualLatency: host.baseline === null ? null : Math.round(host.baseline),
+        circuit: host.circuit === 'open' && now >= host.openUntil ? 'half-open' : host.circuit,
+        pausedUntil: host.pausedUntil > now ? new Date(host.pausedUntil).toISOString() : null,
+        events: host.events
+      };
+    }
+
+    return { events: { ...this.counts }, hosts, recentEvents: this.events };
+  }
+
+  static formatDuration(ms) {
+    return ms < 1000 ? `${ms}ms` : `${Math.round(ms / 100) / 10}s`;
+  }
+
+  toJSON() {
+    return {
+      hosts: [...this.hosts],
+      deferrals: [...this.deferrals],
+      counts: this.counts,
+      events: this.events
+    };
+  }
+
+  // Puts the saved delays, pauses and open circuits back on the queue
+  restore(state) {
+    this.hosts = new Map(state.hosts);
+    this.deferrals = new Map(state.deferrals);
+    this.counts = { ...this.counts, ...state.counts };
+    this.events = state.events;
+
+    for (const [hostname, host] of this.hosts) {
+      if (host.delay > 0) this.queue.setAdaptiveDelay(hostname, host.delay);
+      if (host.pausedUntil > Date.now()) this.queue.pauseHost(hostname, host.pausedUntil);
+      if (host.circuit === 'open') this.queue.setHostConcurrency(hostname, 1);
+    }
+  }
+}
+
+HostThrottle.DEFAULT_OPTIONS = DEFAULT_OPTIONS;
+
+module.exports = HostThrottle;
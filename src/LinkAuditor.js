@@ -0,0 +1,267 @@
+const axios = require('axios');
+const UrlUtils = require('./utils/UrlUtils');
+
+const UNREACHABLE_ERRORS = ['ENOTFOUND', 'EAI_AGAIN', 'ECONNREFUSED', 'ECONNABORTED', 'ETIMEDOUT'];
+
+// Checks every link and image found on crawled pages, following redirects by hand so the
+// full chain is recorded. Runs beside the crawl with its own concurrency; each URL is
+// checked once, with results cached per domain.
+//
+// With `hosts`, requests to the hosts being crawled share the crawl's politeness:
+//   acquire(url)    resolves once the URL's host may be requested, to a function that is called
+//                   with { response } or { error } when the request is done (or to null when
+//                   the host isn't managed)
+//   isAllowed(url)  resolves to false when robots.txt disallows the URL
+// With `request(url)`, each hop is answered by it instead of the network: a replay passes the
+// archive's { status, headers }, and links the archive has no response for are left unchecked.
+class LinkAuditor {
+  constructor(options = {}) {
+    this.concurrency = options.concurrency || 10;
+    this.timeout = options.timeout || 15000;
+    this.userAgent = options.userAgent;
+    this.session = options.session || null; // AuthSession whose credentials and cookies are sent along
+    this.hosts = options.hosts || null;
+    this.requestHop = options.request || null;
+    this.maxRedirects = options.maxRedirects || 10;
+
+    this.cache = new Map(); // domain -> Map(url -> result)
+    this.sources = new Map(); // url -> [{ page, type, text }]
+    this.queued = new Set(); // Waiting or being checked
+    this.pending = [];
+    this.active = 0;
+    this.stopped = false;
+    this.idleWaiters = [];
+  }
+
+  // Queues the page's links and image sources; returns without waiting for the checks
+  addPage(page) {
+    const targets = [
+      ...(page.links || []).map(link => ({ url: link.url, type: 'link', text: link.text })),
+      ...(page.images || []).map(image => ({ url: image.src, type: 'image', text: image.alt }))
+    ];
+
+    for (const target of targets) {
+      if (!/^https?:/i.test(target.url)) continue;
+
+      if (!this.sources.has(target.url)) this.sources.set(target.url, []);
+      this.sources.get(target.url).push({ page: page.url, type: target.type, text: target.text || '' });
+
+      if (!this.queued.has(target.url) && !this.getResult(target.url)) {
+        this.queued.add(target.url);
+        this.pending.push(target.url);
+      }
+    }
+
+    this.pump();
+  }
+
+  getResult(url) {
+    const domain = UrlUtils.getDomain(url);
+    return this.cache.has(domain) ? this.cache.get(domain).get(url) || null : null;
+  }
+
+  setResult(url, result) {
+    const domain = UrlUtils.getDomain(url);
+    if (!this.cache.has(domain)) this.cache.set(domain, new Map());
+    this.cache.get(domain).set(url, result);
+  }
+
+  pump() {
+    while (!this.stopped && this.active < this.concurrency && this.pending.length > 0) {
+      const url = this.pending.shift();
+      this.active++;
+      this.check(url)
+        .then(result => this.setResult(url, result))
+        .finally(() => {
+          this.active--;
+          this.queued.delete(url);
+          this.pump();
+        });
+    }
+
+    if (this.active === 0 && (this.pending.length === 0 || this.stopped)) {
+      this.idleWaiters.splice(0).forEach(resolve => resolve());
+    }
+  }
+
+  // Resolves once every queued check has finished (or, after stop(), every running one)
+  drain() {
+    if (this.active === 0 && (this.pending.length === 0 || this.stopped)) return Promise.resolve();
+    return new Promise(resolve => this.idleWaiters.push(resolve));
+  }
+
+  // Unstarted checks stay queued, so they are saved in checkpoints and run on resume
+  stop() {
+    this.stopped = true;
+    this.pump();
+  }
+
+  // Follows redirects one hop at a time. Returns { url, status, finalUrl, redirects, broken, error }
+  async check(url) {
+    const redirects = [];
+    const seen = new Set([url]);
+    let current = url;
+
+    for (;;) {
+      if (this.hosts && !(await this.hosts.isAllowed(current))) {
+        return this.createResult(url, current, null, redirects, null, { blockedByRobots: true });
+      }
+
+      let response;
+      try {
+        response = await this.request(current);
+      } catch (error) {
+        if (error.code === 'ENOTARCHIVED') {
+          return this.createResult(url, current, null, redirects, null, { notArchived: true });
+        }
+        return this.createResult(url, current, null, redirects, error.code || error.message);
+      }
+
+      const location = response.headers.location;
+      if (response.status < 300 || response.status >= 400 || !location) {
+        const error = response.status >= 400 ? `HTTP ${response.status}` : null;
+        return this.createResult(url, current, response.status, redirects, error);
+      }
+
+      const next = UrlUtils.resolveUrl(current, location);
+      const hop = { url: current, status: response.status, location: next };
+      if (current.startsWith('http:') && next && next.startsWith('https:')) hop.httpsUpgrade = true;
+      redirects.push(hop);
+
+      if (!next) {
+        return this.createResult(url, current, response.status, redirects, `Invalid redirect location: ${location}`);
+      }
+      if (seen.has(next)) {
+        return this.createResult(url, next, response.status, redirects, 'Redirect loop', { loop: true });
+      }
+      if (redirects.length >= this.maxRedirects) {
+        return this.createResult(url, next, response.status, redirects, `More than ${this.maxRedirects} redirects`);
+      }
+
+      seen.add(next);
+      current = next;
+    }
+  }
+
+  // HEAD first; servers that reject or mishandle HEAD get a GET whose body is discarded
+  async request(url) {
+    if (this.requestHop) return this.requestHop(url);
+
+    const config = {
+      timeout: this.timeout,
+      headers: { 'User-Agent': this.userAgent, ...(this.session && this.session.getHeaders(url)) },
+      maxRedirects: 0,
+      validateStatus: () => true
+    };
+
+    try {
+      const response = await this.politely(url, () => axios.head(url, config));
+      if (response.status < 400) return response;
+    } catch (error) {
+      // Unreachable hosts won't answer a GET either
+      if (UNREACHABLE_ERRORS.includes(error.code)) throw error;
+    }
+
+    return this.politely(url, async () => {
+      const response = await axios.get(url, { ...config, responseType: 'stream' });
+      response.data.destroy();
+      return response;
+    });
+  }
+
+  // Sends a request once `hosts` lets it, for the hosts it manages
+  async politely(url, send) {
+    const done = this.hosts ? await this.hosts.acquire(url) : null;
+    if (!done) return send();
+
+    try {
+      const response = await send();
+      done({ response });
+      return response;
+    } catch (error) {
+      done({ error });
+      throw error;
+    }
+  }
+
+  createResult(url, finalUrl, status, redirects, error, extra = {}) {
+    return {
+      url,
+      status,
+      finalUrl,
+      redirects,
+      broken: error !== null,
+      error,
+      ...extra
+    };
+  }
+
+  getResults() {
+    return [...this.cache.values()].flatMap(results => [...results.values()]);
+  }
+
+  // Broken links grouped by the page that contains them, plus every redirect chain
+  getReport() {
+    const results = this.getResults();
+    const broken = results.filter(result => result.broken);
+    const redirected = results.filter(result => result.redirects.length > 0);
+
+    const bySource = new Map();
+    for (const result of broken) {
+      for (const source of this.sources.get(result.url) || []) {
+        if (!bySource.has(source.page)) bySource.set(source.page, []);
+        bySource.get(source.page).push({
+          url: result.url,
+          type: source.type,
+          text: source.text,
+          status: result.status,
+          error: result.error,
+          redirects: result.redirects
+        });
+      }
+    }
+
+    const statusCodes = {};
+    results.forEach(result => {
+      const key = result.blockedByRobots ? 'robots' : result.notArchived ? 'notArchived' : result.status === null ? 'error' : String(result.status);
+      statusCodes[key] = (statusCodes[key] || 0) + 1;
+    });
+
+    return {
+      checked: results.length,
+      unchecked: this.pending.length + this.active,
+      broken: broken.length,
+      redirected: redirected.length,
+      statusCodes,
+      brokenBySource: [...bySource.entries()].map(([page, links]) => ({ page, links })),
+      redirectChains: redirected.map(result => ({
+        url: result.url,
+        finalUrl: result.finalUrl,
+        status: result.status,
+        hops: result.redirects.length,
+        loop: result.loop || false,
+        redirects: result.redirects,
+        linkedFrom: (this.sources.get(result.url) || []).length
+      }))
+    };
+  }
+
+  toJSON() {
+    return {
+      results: this.getResults(),
+      sources: [...this.sources.entries()],
+      // Checks in flight are redone on resume
+      pending: [...this.queued]
+    };
+  }
+
+  restore(state) {
+    state.results.forEach(result => this.setResult(result.url, result));
+    this.sources = new Map(state.sources);
+    this.pending = state.pending;
+    this.pending.forEach(url => this.queued.add(url));
+    this.pump();
+  }
+}
+
+module.exports = LinkAuditor;
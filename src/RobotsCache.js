@@ -0,0 +1,99 @@
+const robotsParser = require('robots-parser');
+
+// Fetches robots.txt once per origin, the first time a URL on that origin is seen
+class RobotsCache {
+  constructor(options = {}) {
+    this.fetch = options.fetch; // async (url) => { status, data: Buffer }
+    this.logger = options.logger;
+    this.userAgent = options.userAgent;
+
+    this.entries = new Map();
+  }
+
+  // Resolves to { robots, lines } for the URL's origin; robots is null when there is no usable robots.txt
+  get(url) {
+    const origin = new URL(url).origin;
+    if (!this.entries.has(origin)) {
+      this.entries.set(origin, this.load(origin));
+    }
+    return this.entries.get(origin);
+  }
+
+  async load(origin) {
+    const robotsUrl = `${origin}/robots.txt`;
+    try {
+      const response = await this.fetch(robotsUrl);
+      if (response.status < 200 || response.status >= 300) {
+        this.logger.info(`🤖 No robots.txt for ${origin} (${response.status}), proceeding without restrictions`, { origin });
+        return { robots: null, lines: [] };
+      }
+
+      const body = response.data.toString('utf8');
+      this.logger.info(`🤖 Loaded robots.txt for ${origin}`, { origin });
+      return { robots: robotsParser(robotsUrl, body), lines: body.split(/\r?\n/) };
+    } catch (error) {
+      this.logger.warn(`⚠️  Could not load robots.txt for ${origin}, proceeding without restrictions`, { origin, error: error.message });
+      return { robots: null, lines: [] };
+    }
+  }
+
+  // Returns the rule that blocks the URL (e.g. "Disallow: /private (line 4)"), or null when it is allowed
+  async getBlockingRule(url) {
+    const { robots, lines } = await this.get(url);
+    if (!robots || robots.isAllowed(url, this.userAgent) !== false) return null;
+
+    const lineNumber = robots.getMatchingLineNumber(url, this.userAgent);
+    if (lineNumber > 0 && lines[lineNumber - 1]) {
+      return `${lines[lineNumber - 1].trim()} (line ${lineNumber})`;
+    }
+    return 'Disallow';
+  }
+
+  // Crawl-delay in milliseconds, or null when robots.txt sets none
+  async getCrawlDelay(url) {
+    const { robots } = await this.get(url);
+    const seconds = robots ? robots.getCrawlDelay(this.userAgent) : undefined;
+    return seconds === undefined ? null : seconds * 1000;
+  }
+
+  async getSitemaps(url) {
+    const { robots } = await this.get(url);
+    return robots ? robots.getSitemaps() : [];
+  }
+
+  // Reads noindex/nofollow from <meta name="robots"> and X-Robots-Tag headers.
+  // X-Robots-Tag values prefixed with a user agent ("googlebot: noindex") only apply to that agent.
+  static getPageDirectives(meta = {}, headers = {}, userAgent = '') {
+    const directives = { noindex: false, nofollow: false, rules: [] };
+    const agentToken = userAgent.split('/')[0].toLowerCase();
+
+    const apply = (value, source) => {
+      for (const directive of value.toLowerCase().split(',').map(part => part.trim())) {
+        if (directive === 'noindex' || directive === 'none') {
+          directives.noindex = true;
+          directives.rules.push(`${source}: ${directive}`);
+        }
+        if (directive === 'nofollow' || directive === 'none') {
+          directives.nofollow = true;
+          if (directive !== 'none') directives.rules.push(`${source}: ${directive}`);
+        }
+      }
+    };
+
+    if (meta.robots) apply(meta.robots, 'meta robots');
+
+    const headerValues = [].concat(headers['x-robots-tag'] || []);
+    for (const headerValue of headerValues) {
+      const agentMatch = /^\s*([a-z0-9_-]+)\s*:\s*(.*)$/i.exec(headerValue);
+      if (agentMatch && !['noindex', 'nofollow', 'none', 'unavailable_after'].includes(agentMatch[1].toLowerCase())) {
+        if (agentMatch[1].toLowerCase() === agentToken) apply(agentMatch[2], 'X-Robots-Tag');
+      } else {
+        apply(headerValue, 'X-Robots-Tag');
+      }
+    }
+
+    return directives;
+  }
+}
+
+module.exports = RobotsCache;
@@ -0,0 +1,377 @@
+const fs = require('fs').promises;
+const path = require('path');
+const FileManager = require('./utils/FileManager');
+
+const INDEX_VERSION = 1;
+
+// Indexed fields in the order their term frequencies are stored in the postings
+const FIELDS = ['title', 'headings', 'description', 'text'];
+
+const DEFAULT_SEARCH_OPTIONS = {
+  boosts: { title: 3, headings: 2, description: 1.5, text: 1 },
+  k1: 1.2, // Term frequency saturation
+  b: 0.75 // Length normalization
+};
+
+const SNIPPET_LENGTH = 200;
+const SNIPPET_CONTEXT = 40; // Characters shown before the first match
+
+// Pages that are gone from the site and are dropped from the index
+const GONE_STATUSES = [404, 410];
+
+const STOP_WORDS = new Set([
+  'a', 'an', 'and', 'are', 'as', 'at', 'be', 'but', 'by', 'for', 'from', 'has', 'have', 'if', 'in', 'into',
+  'is', 'it', 'its', 'of', 'on', 'or', 'our', 'so', 'than', 'that', 'the', 'their', 'then', 'there', 'these',
+  'they', 'this', 'to', 'was', 'we', 'were', 'will', 'with', 'you', 'your'
+]);
+
+const WORD_PATTERN = /[\p{L}\p{N}]+/gu;
+
+// Index updates queued per file, so crawls of one domain finishing together don't drop pages
+const pendingWrites = new Map();
+
+// Full-text search over the crawled pages of one domain, stored as an inverted index in
+// the output directory: crawl-results/example_com.search.json. Each page's title, headings,
+// meta description and text are indexed, and results are ranked with BM25F, which weighs
+// matches per field (title matches count most) and normalizes for field length.
+// Every run added updates the index in place: changed pages are re-indexed, unchanged ones
+// (same contentHash) kept, and pages the run found gone (404/410, or removed since the
+// previous crawl of an incremental run) dropped.
+class SearchIndex {
+  constructor(domain, options = {}) {
+    this.domain = domain;
+    this.outputDir = path.resolve(process.cwd(), options.outputDir || 'crawl-results');
+    this.options = {
+      ...DEFAULT_SEARCH_OPTIONS,
+      ...options,
+      boosts: { ...DEFAULT_SEARCH_OPTIONS.boosts, ...options.boosts }
+    };
+    this.reset();
+  }
+
+  reset() {
+    this.runs = [];
+    this.nextId = 1;
+    // id -> { url, title, description, text, contentHash, runId, lengths }
+    this.documents = new Map();
+    this.ids = new Map(); // url -> id
+    // term -> Map(id -> term frequency per field)
+    this.postings = new Map();
+  }
+
+  getIndexPath() {
+    return SearchIndex.getIndexPath(this.outputDir, this.domain);
+  }
+
+  static getIndexPath(outputDir, domain) {
+    return path.join(path.resolve(process.cwd(), outputDir), `${FileManager.getDomainKey(domain)}.search.json`);
+  }
+
+  // Returns false when the domain has no index yet
+  async load() {
+    let data;
+    try {
+      data = JSON.parse(await fs.readFile(this.getIndexPath(), 'utf8'));
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        this.reset();
+        return false;
+      }
+      throw new Error(`Could not read the search index of ${this.domain}: ${error.message}`);
+    }
+    if (data.version !== INDEX_VERSION) {
+      throw new Error(`The search index of ${this.domain} was written by another version; delete ${this.getIndexPath()} and index the results again`);
+    }
+
+    this.reset();
+    this.runs = data.runs;
+    this.nextId = data.nextId;
+    for (const [id, document] of Object.entries(data.documents)) {
+      this.documents.set(Number(id), document);
+      this.ids.set(document.url, Number(id));
+    }
+    // Postings are stored flat: [id, tf per field..., id, tf per field..., ...]
+    for (const [term, flat] of Object.entries(data.postings)) {
+      const postings = new Map();
+      for (let i = 0; i < flat.length; i += FIELDS.length + 1) {
+        postings.set(flat[i], flat.slice(i + 1, i + 1 + FIELDS.length));
+      }
+      this.postings.set(term, postings);
+    }
+    return true;
+  }
+
+  async save() {
+    const postings = {};
+    for (const [term, entries] of this.postings) {
+      postings[term] = [...entries].flatMap(([id, frequencies]) => [id, ...frequencies]);
+    }
+    return FileManager.writeJsonAtomic({
+      version: INDEX_VERSION,
+      domain: this.domain,
+      updatedAt: new Date().toISOString(),
+      runs: this.runs,
+      nextId: this.nextId,
+      documents: Object.fromEntries(this.documents),
+      postings
+    }, this.getIndexPath());
+  }
+
+  // Loads the domain's index, adds a crawl result (see FileManager.loadCrawlData, or
+  // FileManager.readPages for its pages) and saves it
+  static async update(crawlData, options = {}) {
+    const domain = crawlData.crawlInfo?.domain || options.domain;
+    if (!domain) throw new Error('The crawl result names no domain to index it under');
+
+    const index = new SearchIndex(domain, options);
+    const indexPath = index.getIndexPath();
+    const write = (pendingWrites.get(indexPath) || Promise.resolve())
+      .catch(() => {})
+      .then(async () => {
+        await index.load();
+        const counts = await index.addRun(crawlData);
+        await index.save();
+        return { indexFile: indexPath, documents: index.documents.size, ...counts };
+      });
+
+    pendingWrites.set(indexPath, write);
+    try {
+      return await write;
+    } finally {
+      if (pendingWrites.get(indexPath) === write) pendingWrites.delete(indexPath);
+    }
+  }
+
+  // Returns { added, updated, unchanged, removed } page counts. crawlData.pages may be an
+  // async iterable (see FileManager.readPages): each page is indexed as it is read, and the
+  // documents it replaces are dropped afterwards in one pass.
+  async addRun(crawlData) {
+    const runId = crawlData.crawlInfo?.runId || null;
+    const counts = { added: 0, updated: 0, unchanged: 0, removed: 0 };
+    const replaced = [];
+    const gone = new Set([
+      ...(crawlData.changes?.removed || []).map(page => page.url),
+      ...(crawlData.skippedUrls || []).filter(entry => GONE_STATUSES.includes(entry.statusCode)).map(entry => entry.url)
+    ]);
+
+    for await (const page of crawlData.pages || []) {
+      if (page.http?.status >= 400) {
+        gone.add(page.url);
+        continue;
+      }
+      const id = this.ids.get(page.url);
+      if (id !== undefined && page.contentHash && this.documents.get(id).contentHash === page.contentHash) {
+        this.documents.get(id).runId = runId;
+        counts.unchanged++;
+        continue;
+      }
+
+      if (id !== undefined) {
+        replaced.push(id);
+        // The old document stays until the end of the run, but no longer answers for its URL
+        this.ids.delete(page.url);
+      }
+      if (this.addPage(page, runId)) {
+        counts[id !== undefined ? 'updated' : 'added']++;
+      } else if (id !== undefined) {
+        counts.removed++;
+      }
+    }
+
+    const removedIds = [...gone].map(url => this.ids.get(url)).filter(id => id !== undefined);
+    counts.removed += removedIds.length;
+    this.removeDocuments([...replaced, ...removedIds]);
+
+    if (runId && !this.runs.includes(runId)) this.runs.push(runId);
+    return counts;
+  }
+
+  // Pages without any indexable text are left out
+  addPage(page, runId = null) {
+    const fields = SearchIndex.getFields(page);
+    const tokens = FIELDS.map(field => SearchIndex.tokenize(fields[field]));
+    if (tokens.every(fieldTokens => fieldTokens.length === 0)) return false;
+
+    const id = this.nextId++;
+    this.documents.set(id, {
+      url: page.url,
+      title: fields.title,
+      description: fields.description,
+      text: fields.text,
+      contentHash: page.contentHash || null,
+      runId,
+      lengths: tokens.map(fieldTokens => fieldTokens.length)
+    });
+    this.ids.set(page.url, id);
+
+    tokens.forEach((fieldTokens, field) => {
+      for (const term of fieldTokens) {
+        if (!this.postings.has(term)) this.postings.set(term, new Map());
+        const postings = this.postings.get(term);
+        if (!postings.has(id)) postings.set(id, FIELDS.map(() => 0));
+        postings.get(id)[field]++;
+      }
+    });
+    return true;
+  }
+
+  // One pass over the postings for any number of documents
+  removeDocuments(ids) {
+    if (ids.length === 0) return;
+    const removed = new Set(ids);
+    for (const id of removed) {
+      const { url } = this.documents.get(id);
+      if (this.ids.get(url) === id) this.ids.delete(url);
+      this.documents.delete(id);
+    }
+    for (const [term, postings] of this.postings) {
+      for (const id of postings.keys()) {
+        if (removed.has(id)) postings.delete(id);
+      }
+      if (postings.size === 0) this.postings.delete(term);
+    }
+  }
+
+  static getFields(page) {
+    return {
+      title: page.title || '',
+      headings: (page.headings || []).map(heading => heading.text).join('\n'),
+      description: page.meta?.description || '',
+      text: page.content?.text || ''
+    };
+  }
+
+  // Lowercased words without diacritics, stop words and plural endings
+  static tokenize(text) {
+    return (String(text || '').match(WORD_PATTERN) || []).map(SearchIndex.normalizeTerm).filter(Boolean);
+  }
+
+  // The indexed form of one word, or null for stop words
+  static normalizeTerm(word) {
+    const term = word.normalize('NFKD').replace(/\p{M}/gu, '').toLowerCase();
+    if (STOP_WORDS.has(term)) return null;
+    if (term.length > 4 && term.endsWith('ies')) return `${term.slice(0, -3)}y`;
+    if (term.length > 3 && term.endsWith('s') && !/(ss|us|is)$/.test(term)) return term.slice(0, -1);
+    return term;
+  }
+
+  // { query, total, results: [{ url, title, score, snippet }] }. Matches in the snippets are
+  // wrapped in highlight.pre and highlight.post; escapeHtml escapes the rest of the snippet.
+  search(query, options = {}) {
+    const { limit = 10, offset = 0, highlight = { pre: '<mark>', post: '</mark>' }, escapeHtml = false } = options;
+    const terms = [...new Set(SearchIndex.tokenize(query))];
+    const scores = this.score(terms);
+
+    const ranked = [...scores].sort((a, b) => b[1] - a[1] || a[0] - b[0]);
+    return {
+      query,
+      total: ranked.length,
+      results: ranked.slice(offset, offset + limit).map(([id, score]) => {
+        const document = this.documents.get(id);
+        const source = [document.text, document.description, document.title].find(text => text && SearchIndex.countMatches(text, terms) > 0) ||
+          document.text || document.description || '';
+        return {
+          url: document.url,
+          title: document.title,
+          score: Number(score.toPrecision(6)),
+          snippet: SearchIndex.createSnippet(source, terms, { ...highlight, escapeHtml })
+        };
+      })
+    };
+  }
+
+  // id -> BM25F score of every document matching at least one term
+  score(terms) {
+    const { boosts, k1, b } = this.options;
+    const count = this.documents.size;
+    const averageLengths = FIELDS.map((_, field) => {
+      let total = 0;
+      for (const document of this.documents.values()) total += document.lengths[field];
+      return count > 0 ? total / count : 0;
+    });
+
+    const scores = new Map();
+    for (const term of terms) {
+      const postings = this.postings.get(term);
+      if (!postings) continue;
+
+      const idf = Math.log(1 + (count - postings.size + 0.5) / (postings.size + 0.5));
+      for (const [id, frequencies] of postings) {
+        const { lengths } = this.documents.get(id);
+        const weighted = FIELDS.reduce((total, field, i) => {
+          if (frequencies[i] === 0) return total;
+          const norm = averageLengths[i] > 0 ? 1 - b + b * (lengths[i] / averageLengths[i]) : 1;
+          return total + (boosts[field] * frequencies[i]) / norm;
+        }, 0);
+        scores.set(id, (scores.get(id) || 0) + idf * ((weighted * (k1 + 1)) / (k1 + weighted)));
+      }
+    }
+    return scores;
+  }
+
+  // Matched words as [start, end] offsets
+  static findMatches(text, terms) {
+    const matches = [];
+    for (const match of text.matchAll(WORD_PATTERN)) {
+      if (terms.includes(SearchIndex.normalizeTerm(match[0]))) matches.push([match.index, match.index + match[0].length]);
+    }
+    return matches;
+  }
+
+  static countMatches(text, terms) {
+    return SearchIndex.findMatches(text, terms).length;
+  }
+
+  // Start of the window holding the most matches
+  static findDensestMatches(matches) {
+    let best = 0;
+    let bestCount = 0;
+    let next = 0;
+    for (let i = 0; i < matches.length; i++) {
+      const windowEnd = matches[i][0] + SNIPPET_LENGTH - SNIPPET_CONTEXT;
+      next = Math.max(next, i);
+      while (next < matches.length && matches[next][1] <= windowEnd) next++;
+      if (next - i > bestCount) {
+        best = i;
+        bestCount = next - i;
+      }
+    }
+    return matches[best][0];
+  }
+
+  // About SNIPPET_LENGTH characters around the densest run of matches, cut at word boundaries
+  static createSnippet(text, terms, options = {}) {
+    const { pre = '<mark>', post = '</mark>', escapeHtml = false } = options;
+    const matches = SearchIndex.findMatches(text, terms);
+
+    let start = 0;
+    if (matches.length > 0) {
+      const first = SearchIndex.findDensestMatches(matches);
+      start = Math.max(0, first - SNIPPET_CONTEXT);
+      const space = start > 0 ? text.indexOf(' ', start) : -1;
+      if (space !== -1 && space < first) start = space + 1;
+    }
+    let end = Math.min(text.length, start + SNIPPET_LENGTH);
+    if (end < text.length) {
+      const space = text.lastIndexOf(' ', end);
+      if (space > start) end = space;
+    }
+
+    const escape = value => (escapeHtml ? value.replace(/[&<>"']/g, char => `&#${char.charCodeAt(0)};`) : value);
+    let snippet = '';
+    let position = start;
+    for (const [matchStart, matchEnd] of matches) {
+      if (matchStart < start || matchEnd > end) continue;
+      snippet += `${escape(text.slice(position, matchStart))}${pre}${escape(text.slice(matchStart, matchEnd))}${post}`;
+      position = matchEnd;
+    }
+    snippet += escape(text.slice(position, end));
+
+    return `${start > 0 ? '… ' : ''}${snippet.trim()}${end < text.length ? ' …' : ''}`;
+  }
+}
+
+SearchIndex.DEFAULT_SEARCH_OPTIONS = DEFAULT_SEARCH_OPTIONS;
+SearchIndex.FIELDS = FIELDS;
+
+module.exports = SearchIndex;
@@ -0,0 +1,184 @@
+const UrlUtils = require('./utils/UrlUtils');
+
+const DEFAULT_SEO_OPTIONS = {
+  maxTitleLength: 60,
+  maxDescriptionLength: 160,
+  minWordCount: 300, // Fewer words than this is thin content
+  maxDepth: 3 // Pages more clicks than this from the start page are flagged as deep
+};
+
+const SEVERITIES = ['error', 'warning', 'notice'];
+
+// Flags on-page SEO issues. Pages are checked as they are added; duplicate titles and
+// descriptions are found in getReport(), once every page has been seen.
+class SeoAuditor {
+  // normalize rewrites URLs to the form the crawler deduplicates them under (see UrlNormalizer)
+  constructor(options = {}) {
+    const { normalize, ...settings } = options;
+    this.options = { ...DEFAULT_SEO_OPTIONS, ...settings };
+    this.normalize = normalize || (url => UrlUtils.normalizeUrl(url));
+    this.pages = 0;
+    this.issues = [];
+    // Lowercased text -> { value, urls }
+    this.titles = new Map();
+    this.descriptions = new Map();
+  }
+
+  // Only HTML pages are audited; PDFs, feeds and other documents have none of these elements
+  addPage(page) {
+    if (page.document) return;
+    this.pages++;
+    const issue = (type, severity, message, details) => {
+      this.issues.push({ url: page.url, type, severity, message, ...(details && { details }) });
+    };
+
+    this.checkTitle(page, issue);
+    this.checkDescription(page, issue);
+    this.checkHeadings(page, issue);
+
+    // An empty alt is right for decorative images; only a missing attribute is flagged
+    const missingAlt = (page.images || []).filter(image => image.alt === null || image.alt === undefined);
+    if (missingAlt.length > 0) {
+      issue('image-missing-alt', 'warning', `${missingAlt.length} image(s) without an alt attribute`, {
+        images: missingAlt.map(image => image.src)
+      });
+    }
+
+    const canonical = page.meta?.canonical;
+    if (canonical) {
+      const finalUrl = page.http?.finalUrl || page.url;
+      const resolved = UrlUtils.resolveUrl(finalUrl, canonical);
+      const target = resolved && this.normalize(resolved);
+      if (!target || (target !== this.normalize(page.url) && target !== this.normalize(finalUrl))) {
+        issue('canonical-mismatch', 'notice', `Canonical URL points to another page: ${canonical}`, { canonical: resolved || canonical });
+      }
+    }
+
+    if (typeof page.wordCount === 'number' && page.wordCount < this.options.minWordCount) {
+      issue('thin-content', 'warning', `Only ${page.wordCount} words (minimum ${this.options.minWordCount})`, { wordCount: page.wordCount });
+    }
+
+    if (page.depth > this.options.maxDepth) {
+      issue('deep-page', 'notice', `${page.depth} clicks from the start page (maximum ${this.options.maxDepth})`, { depth: page.depth });
+    }
+  }
+
+  // page.title falls back to the first <h1>; titleSource says whether the page has a <title> at all
+  checkTitle(page, issue) {
+    const hasTitle = page.titleSource === undefined ? page.title !== 'No title found' : page.titleSource === 'title';
+    const title = hasTitle && page.title ? page.title.trim() : '';
+    if (!title) {
+      issue('title-missing', 'error', 'Page has no title');
+      return;
+    }
+
+    if (title.length > this.options.maxTitleLength) {
+      issue('title-too-long', 'warning', `Title is ${title.length} characters (maximum ${this.options.maxTitleLength})`, { title });
+    }
+    this.index(this.titles, title, page.url);
+  }
+
+  checkDescription(page, issue) {
+    const description = (page.meta?.description || '').trim();
+    if (!description) {
+      issue('description-missing', 'warning', 'Page has no meta description');
+      return;
+    }
+
+    if (description.length > this.options.maxDescriptionLength) {
+      issue('description-too-long', 'warning', `Meta description is ${description.length} characters (maximum ${this.options.maxDescriptionLength})`, { description });
+    }
+    this.index(this.descriptions, description, page.url);
+  }
+
+  checkHeadings(page, issue) {
+    const headings = page.headings || [];
+    const h1Count = headings.filter(heading => heading.level === 1).length;
+    if (h1Count === 0) {
+      issue('h1-missing', 'error', 'Page has no h1');
+    } else if (h1Count > 1) {
+      issue('h1-multiple', 'warning', `Page has ${h1Count} h1 headings`, {
+        headings: headings.filter(heading => heading.level === 1).map(heading => heading.text)
+      });
+    }
+
+    // e.g. an h2 followed by an h4
+    const skipped = [];
+    headings.slice(1).forEach((heading, index) => {
+      const previousLevel = headings[index].level;
+      if (heading.level > previousLevel + 1) {
+        skipped.push({ from: `h${previousLevel}`, to: `h${heading.level}`, text: heading.text });
+      }
+    });
+    if (skipped.length > 0) {
+      issue('heading-level-skipped', 'notice', `${skipped.length} skipped heading level(s)`, { skipped });
+    }
+  }
+
+  index(map, value, url) {
+    const key = value.toLowerCase();
+    if (!map.has(key)) map.set(key, { value, urls: [] });
+    map.get(key).urls.push(url);
+  }
+
+  getDuplicateIssues(map, type, label) {
+    const issues = [];
+    for (const { value, urls } of map.values()) {
+      if (urls.length < 2) continue;
+      for (const url of urls) {
+        issues.push({
+          url,
+          type,
+          severity: 'warning',
+          message: `${label} is shared with ${urls.length - 1} other page(s)`,
+          details: { [label.toLowerCase()]: value, pages: urls.filter(other => other !== url) }
+        });
+      }
+    }
+    return issues;
+  }
+
+  // { pagesAudited, counts: { bySeverity, byType }, issues } with issues sorted by severity
+  getReport() {
+    const issues = [
+      ...this.issues,
+      ...this.getDuplicateIssues(this.titles, 'title-duplicate', 'Title'),
+      ...this.getDuplicateIssues(this.descriptions, 'description-duplicate', 'Description')
+    ].sort((a, b) => SEVERITIES.indexOf(a.severity) - SEVERITIES.indexOf(b.severity) || a.url.localeCompare(b.url));
+
+    const bySeverity = Object.fromEntries(SEVERITIES.map(severity => [severity, 0]));
+    const byType = {};
+    issues.forEach(item => {
+      bySeverity[item.severity]++;
+      byType[item.type] = (byType[item.type] || 0) + 1;
+    });
+
+    return {
+      pagesAudited: this.pages,
+      options: this.options,
+      counts: { total: issues.length, bySeverity, byType },
+      issues
+    };
+  }
+
+  toJSON() {
+    return {
+      pages: this.pages,
+      issues: this.issues,
+      titles: [...this.titles.entries()],
+      descriptions: [...this.descriptions.entries()]
+    };
+  }
+
+  restore(state) {
+    this.pages = state.pages;
+    this.issues = state.issues;
+    this.titles = new Map(state.titles);
+    this.descriptions = new Map(state.descriptions);
+  }
+}
+
+SeoAuditor.DEFAULT_SEO_OPTIONS = DEFAULT_SEO_OPTIONS;
+SeoAuditor.SEVERITIES = SEVERITIES;
+
+module.exports = SeoAuditor;
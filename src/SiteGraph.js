@@ -0,0 +1,255 @@
+// The internal link graph of a crawl: one node per stored page, one edge per in-scope link
+// between two stored pages. Pages are added as they are crawled (or from a saved result) and
+// only their URLs, a few fields and link targets are kept. analyze() then works out:
+//   inlinks / outlinks   distinct pages linking to / linked from each page
+//   pageRank             share of a random surfer's visits (all pages sum to 1)
+//   clickDepth / Path    fewest clicks from a start page (depth 0), null when unreachable
+//   orphans              pages no other page links to, apart from the start pages
+//   deadEnds             HTML pages without links to other pages
+// Links to URLs that redirected or deferred to a canonical URL count for the page kept instead.
+const TOP_PAGES = 10;
+
+class SiteGraph {
+  constructor(options = {}) {
+    this.damping = options.damping !== undefined ? options.damping : 0.85;
+    this.maxIterations = options.maxIterations || 100;
+    this.tolerance = options.tolerance || 1e-9;
+    this.normalize = options.normalize || (url => url);
+    if (typeof this.damping !== 'number' || this.damping < 0 || this.damping >= 1) {
+      throw new Error('graph.damping must be a number from 0 up to (not including) 1');
+    }
+
+    // url -> { url, title, depth, status, contentType, document, targets }
+    this.nodes = new Map();
+    // URL a link may point at -> URL of the stored page it ended up as
+    this.aliases = new Map();
+    this.analysis = null;
+  }
+
+  addPage(page) {
+    const targets = new Set();
+    for (const link of page.links || []) {
+      if (link.inScope !== false && link.url !== page.url) targets.add(link.url);
+    }
+
+    this.nodes.set(page.url, {
+      url: page.url,
+      title: page.title || null,
+      depth: page.depth,
+      status: page.http?.status ?? null,
+      contentType: page.contentType || null,
+      document: Boolean(page.document),
+      targets: [...targets]
+    });
+
+    const finalUrl = page.http?.finalUrl && this.normalize(page.http.finalUrl);
+    if (finalUrl && finalUrl !== page.url) this.addAlias(finalUrl, page.url);
+    this.analysis = null;
+  }
+
+  addAlias(url, target) {
+    if (url !== target) this.aliases.set(url, target);
+    this.analysis = null;
+  }
+
+  // Follows aliases (a redirect to a canonical, say) to a stored page, or null
+  resolve(url) {
+    const seen = new Set();
+    let current = url;
+    while (!this.nodes.has(current) && this.aliases.has(current) && !seen.has(current)) {
+      seen.add(current);
+      current = this.aliases.get(current);
+    }
+    return this.nodes.has(current) ? current : null;
+  }
+
+  // Builds the graph from a saved result: its pages plus the duplicates it skipped
+  static fromCrawlData(crawlData, options = {}) {
+    const graph = new SiteGraph(options);
+    (crawlData.pages || []).forEach(page => graph.addPage(page));
+    (crawlData.skippedUrls || []).forEach((entry) => {
+      if (entry.duplicateOf) graph.addAlias(entry.url, entry.duplicateOf);
+    });
+    return graph;
+  }
+
+  analyze() {
+    if (this.analysis) return this.analysis;
+
+    const urls = [...this.nodes.keys()];
+    const ids = new Map(urls.map((url, id) => [url, id]));
+    const outgoing = urls.map((url) => {
+      const targets = new Set();
+      for (const target of this.nodes.get(url).targets) {
+        const resolved = this.resolve(target);
+        if (resolved !== null && resolved !== url) targets.add(ids.get(resolved));
+      }
+      return [...targets];
+    });
+
+    const inlinks = new Array(urls.length).fill(0);
+    outgoing.forEach(targets => targets.forEach((target) => { inlinks[target]++; }));
+
+    const roots = urls.map((url, id) => id).filter(id => this.nodes.get(urls[id]).depth === 0);
+    const { clickDepths, clickParents } = SiteGraph.breadthFirst(outgoing, roots);
+
+    this.analysis = {
+      urls,
+      outgoing,
+      inlinks,
+      roots: new Set(roots),
+      pageRanks: SiteGraph.pageRank(outgoing, this.damping, this.maxIterations, this.tolerance),
+      clickDepths,
+      clickParents,
+      ids
+    };
+    return this.analysis;
+  }
+
+  // Shortest click distance from any root, with the page each path arrives from
+  static breadthFirst(outgoing, roots) {
+    const clickDepths = new Array(outgoing.length).fill(null);
+    const clickParents = new Array(outgoing.length).fill(null);
+    const queue = [...roots];
+    roots.forEach((id) => { clickDepths[id] = 0; });
+
+    for (let head = 0; head < queue.length; head++) {
+      const id = queue[head];
+      for (const target of outgoing[id]) {
+        if (clickDepths[target] !== null) continue;
+        clickDepths[target] = clickDepths[id] + 1;
+        clickParents[target] = id;
+        queue.push(target);
+      }
+    }
+    return { clickDepths, clickParents };
+  }
+
+  // Power iteration; pages without outlinks share their rank with every page
+  static pageRank(outgoing, damping, maxIterations, tolerance) {
+    const count = outgoing.length;
+    if (count === 0) return [];
+
+    let ranks = new Array(count).fill(1 / count);
+    for (let iteration = 0; iteration < maxIterations; iteration++) {
+      const dangling = outgoing.reduce((total, targets, id) => total + (targets.length === 0 ? ranks[id] : 0), 0);
+      const next = new Array(count).fill((1 - damping) / count + (damping * dangling) / count);
+
+      outgoing.forEach((targets, id) => {
+        const share = (damping * ranks[id]) / targets.length;
+        targets.forEach((target) => { next[target] += share; });
+      });
+
+      const change = next.reduce((total, rank, id) => total + Math.abs(rank - ranks[id]), 0);
+      ranks = next;
+      if (change < tolerance) break;
+    }
+    return ranks;
+  }
+
+  getClickPath(id) {
+    const { urls, clickDepths, clickParents } = this.analyze();
+    if (clickDepths[id] === null) return null;
+
+    const path = [];
+    for (let current = id; current !== null; current = clickParents[current]) {
+      path.unshift(urls[current]);
+    }
+    return path;
+  }
+
+  // The scores stored on a page as page.graph, or null for a URL that isn't in the graph
+  getPageMetrics(url) {
+    const { ids, outgoing, inlinks, pageRanks, clickDepths } = this.analyze();
+    const id = ids.get(url);
+    if (id === undefined) return null;
+
+    return {
+      inlinks: inlinks[id],
+      outlinks: outgoing[id].length,
+      pageRank: SiteGraph.round(pageRanks[id]),
+      clickDepth: clickDepths[id],
+      clickPath: this.getClickPath(id)
+    };
+  }
+
+  // Nodes and edges for the exporters. Tree edges are the ones the click paths follow.
+  getNodes() {
+    const { urls, outgoing, inlinks, pageRanks, clickDepths } = this.analyze();
+    return urls.map((url, id) => {
+      const node = this.nodes.get(url);
+      return {
+        id,
+        url,
+        title: node.title,
+        depth: node.depth,
+        status: node.status,
+        contentType: node.contentType,
+        inlinks: inlinks[id],
+        outlinks: outgoing[id].length,
+        pageRank: SiteGraph.round(pageRanks[id]),
+        clickDepth: clickDepths[id]
+      };
+    });
+  }
+
+  getEdges() {
+    const { outgoing, clickParents } = this.analyze();
+    const edges = [];
+    outgoing.forEach((targets, source) => {
+      targets.forEach(target => edges.push({ source, target, tree: clickParents[target] === source }));
+    });
+    return edges;
+  }
+
+  getReport() {
+    const { urls, outgoing, inlinks, roots, pageRanks, clickDepths } = this.analyze();
+
+    const orphans = urls.filter((url, id) => inlinks[id] === 0 && !roots.has(id));
+    const deadEnds = urls.filter((url, id) => outgoing[id].length === 0 && !this.nodes.get(url).document);
+    const unreachable = urls.filter((url, id) => clickDepths[id] === null);
+
+    const clickDepthCounts = {};
+    clickDepths.forEach((depth) => {
+      if (depth !== null) clickDepthCounts[depth] = (clickDepthCounts[depth] || 0) + 1;
+    });
+
+    const topPages = urls
+      .map((url, id) => ({ url, title: this.nodes.get(url).title, pageRank: SiteGraph.round(pageRanks[id]), inlinks: inlinks[id] }))
+      .sort((a, b) => b.pageRank - a.pageRank)
+      .slice(0, TOP_PAGES);
+
+    return {
+      nodes: urls.length,
+      edges: outgoing.reduce((total, targets) => total + targets.length, 0),
+      damping: this.damping,
+      clickDepths: clickDepthCounts,
+      orphanCount: orphans.length,
+      orphans,
+      deadEndCount: deadEnds.length,
+      deadEnds,
+      unreachableCount: unreachable.length,
+      unreachable,
+      topPages
+    };
+  }
+
+  toJSON() {
+    return {
+      nodes: [...this.nodes.values()],
+      aliases: [...this.aliases]
+    };
+  }
+
+  restore(state) {
+    state.nodes.forEach(node => this.nodes.set(node.url, node));
+    this.aliases = new Map(state.aliases);
+    this.analysis = null;
+  }
+
+  static round(value) {
+    return Number(value.toPrecision(6));
+  }
+}
+
+module.exports = SiteGraph;
@@ -0,0 +1,137 @@
+const zlib = require('zlib');
+const cheerio = require('cheerio');
+const UrlUtils = require('./utils/UrlUtils');
+
+// Finds sitemaps through robots.txt and /sitemap.xml and collects the page URLs they list
+class SitemapLoader {
+  constructor(options = {}) {
+    this.fetch = options.fetch; // async (url) => { status, data: Buffer }
+    this.logger = options.logger;
+    this.maxUrls = options.maxUrls || 50000;
+    this.maxNesting = options.maxNesting || 3;
+    this.normalize = options.normalize || (url => UrlUtils.normalizeUrl(url));
+
+    this.entries = new Map();
+    this.sitemaps = [];
+    this.seen = new Set();
+  }
+
+  // robotsSitemaps are the Sitemap: URLs from the origin's robots.txt
+  async discover(startUrl, robotsSitemaps = []) {
+    const origin = new URL(startUrl).origin;
+    const candidates = [...new Set([...robotsSitemaps, `${origin}/sitemap.xml`])];
+    for (const sitemapUrl of candidates) {
+      await this.load(sitemapUrl, 0);
+    }
+
+    return this.entries;
+  }
+
+  async load(sitemapUrl, nesting) {
+    if (this.seen.has(sitemapUrl) || nesting > this.maxNesting || this.entries.size >= this.maxUrls) return;
+    this.seen.add(sitemapUrl);
+
+    let xml;
+    try {
+      const response = await this.fetch(sitemapUrl);
+      if (response.status !== 200) return;
+      xml = SitemapLoader.decode(response.data);
+    } catch (error) {
+      this.logger.warn(`⚠️  Could not load sitemap ${sitemapUrl}: ${error.message}`, { url: sitemapUrl, error: error.message });
+      return;
+    }
+
+    const { type, entries } = SitemapLoader.parse(xml);
+    if (!type) return;
+
+    this.sitemaps.push({ url: sitemapUrl, type, entries: entries.length });
+    this.logger.info(`🗺️  Loaded sitemap ${sitemapUrl} (${entries.length} ${type === 'index' ? 'sitemaps' : 'URLs'})`, {
+      url: sitemapUrl,
+      type,
+      entries: entries.length
+    });
+
+    if (type === 'index') {
+      for (const entry of entries) {
+        await this.load(entry.loc, nesting + 1);
+      }
+      return;
+    }
+
+    for (const entry of entries) {
+      if (this.entries.size >= this.maxUrls) break;
+      const absoluteUrl = UrlUtils.resolveUrl(sitemapUrl, entry.loc);
+      if (!absoluteUrl) continue;
+
+      const url = this.normalize(absoluteUrl);
+      if (!this.entries.has(url)) {
+        this.entries.set(url, {
+          url,
+          lastmod: entry.lastmod,
+          priority: entry.priority,
+          sitemap: sitemapUrl
+        });
+      }
+    }
+  }
+
+  // Sitemaps may be served gzipped without a Content-Encoding header (e.g. sitemap.xml.gz)
+  static decode(data) {
+    const buffer = Buffer.isBuffer(data) ? data : Buffer.from(data);
+    if (buffer[0] === 0x1f && buffer[1] === 0x8b) {
+      return zlib.gunzipSync(buffer).toString('utf8');
+    }
+    return buffer.toString('utf8');
+  }
+
+  static parse(xml) {
+    const $ = cheerio.load(xml, { xmlMode: true });
+
+    const readEntries = (selector) => $(selector).map((_, element) => {
+      const $el = $(element);
+      const priority = parseFloat($el.children('priority').text());
+      return {
+        loc: $el.children('loc').text().trim(),
+        lastmod: $el.children('lastmod').text().trim() || null,
+        priority: Number.isNaN(priority) ? null : priority
+      };
+    }).get().filter(entry => entry.loc);
+
+    if ($('sitemapindex').length > 0) {
+      return { type: 'index', entries: readEntries('sitemapindex > sitemap') };
+    }
+    if ($('urlset').length > 0) {
+      return { type: 'urlset', entries: readEntries('urlset > url') };
+    }
+    return { type: null, entries: [] };
+  }
+
+  // Sitemap URLs by descending priority, so the most important pages are queued first
+  getEntries() {
+    return [...this.entries.values()].sort((a, b) => (b.priority ?? 0.5) - (a.priority ?? 0.5));
+  }
+
+  getEntry(url) {
+    return this.entries.get(url) || null;
+  }
+
+  // Sitemap URLs that none of the crawled pages link to
+  getOrphans(linkedUrls) {
+    return this.getEntries().filter(entry => !linkedUrls.has(entry.url));
+  }
+
+  toJSON() {
+    return {
+      entries: [...this.entries.values()],
+      sitemaps: this.sitemaps
+    };
+  }
+
+  restore(state) {
+    this.entries = new Map(state.entries.map(entry => [entry.url, entry]));
+    this.sitemaps = state.sitemaps;
+    this.sitemaps.forEach(sitemap => this.seen.add(sitemap.url));
+  }
+}
+
+module.exports = SitemapLoader;
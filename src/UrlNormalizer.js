@@ -0,0 +1,100 @@
+const { URL } = require('url');
+const UrlUtils = require('./utils/UrlUtils');
+
+// Query (and ;path) parameters that only track the visitor or carry a session, never content.
+// Names ending in "*" match any suffix.
+const DEFAULT_STRIP_PARAMS = [
+  'utm_*', 'gclid', 'gclsrc', 'dclid', 'fbclid', 'msclkid', 'yclid', 'igshid', 'mc_cid', 'mc_eid', '_ga', '_gl',
+  'jsessionid', 'phpsessid', 'aspsessionid*', 'sessionid', 'cfid', 'cftoken'
+];
+
+const TRAILING_SLASH_MODES = ['keep', 'add', 'remove'];
+
+// Rewrites URLs to the one form they are deduplicated under. On top of UrlUtils.normalizeUrl
+// (no fragment, sorted query) the `normalization` option sets:
+//   stripParams:      query parameters to drop (default: tracking and session parameters)
+//   trailingSlash:    keep, add or remove the slash at the end of paths without a file extension
+//   defaultDocuments: file names that are the same as their directory, e.g. ['index.html']
+//   hostAliases:      { 'www.example.com': 'example.com' }
+// `normalization: false` keeps URLs as UrlUtils.normalizeUrl leaves them.
+class UrlNormalizer {
+  constructor(rules = {}) {
+    this.enabled = rules !== false;
+    const options = rules || {};
+
+    this.trailingSlash = options.trailingSlash || 'keep';
+    if (!TRAILING_SLASH_MODES.includes(this.trailingSlash)) {
+      throw new Error(`Unknown trailingSlash "${this.trailingSlash}". Expected one of: ${TRAILING_SLASH_MODES.join(', ')}`);
+    }
+
+    this.stripParams = (options.stripParams || DEFAULT_STRIP_PARAMS).map(name => UrlNormalizer.compileParam(name));
+    this.defaultDocuments = (options.defaultDocuments || []).map(name => name.toLowerCase());
+    this.hostAliases = Object.fromEntries(
+      Object.entries(options.hostAliases || {}).map(([host, alias]) => [host.toLowerCase(), alias.toLowerCase()])
+    );
+  }
+
+  static compileParam(name) {
+    const lower = name.toLowerCase();
+    if (!lower.endsWith('*')) return param => param.toLowerCase() === lower;
+    const prefix = lower.slice(0, -1);
+    return param => param.toLowerCase().startsWith(prefix);
+  }
+
+  normalize(url) {
+    const normalized = UrlUtils.normalizeUrl(url);
+    if (!this.enabled) return normalized;
+
+    let urlObj;
+    try {
+      urlObj = new URL(normalized);
+    } catch {
+      return normalized;
+    }
+    if (!/^https?:$/.test(urlObj.protocol)) return normalized;
+
+    // An alias for host:port replaces the port too; one for the hostname keeps it
+    const hostAlias = this.hostAliases[urlObj.host];
+    if (hostAlias) {
+      urlObj.port = '';
+      urlObj.host = hostAlias;
+    } else if (this.hostAliases[urlObj.hostname]) {
+      urlObj.hostname = this.hostAliases[urlObj.hostname];
+    }
+
+    urlObj.pathname = this.normalizePath(urlObj.pathname);
+
+    const params = [...urlObj.searchParams.entries()].filter(([name]) => !this.isStripped(name));
+    urlObj.search = new URLSearchParams(params).toString();
+
+    return urlObj.href;
+  }
+
+  normalizePath(pathname) {
+    // Session IDs in path parameters, e.g. /cart;jsessionid=ABC123
+    let path = pathname.replace(/;([^/;=]+)=[^/;]*/g, (match, name) => (this.isStripped(name) ? '' : match));
+
+    const segments = path.split('/');
+    const lastSegment = segments[segments.length - 1];
+    if (lastSegment && this.defaultDocuments.includes(lastSegment.toLowerCase())) {
+      path = path.slice(0, path.length - lastSegment.length);
+    }
+
+    const isFile = path.split('/').pop().includes('.');
+    if (this.trailingSlash === 'add' && !path.endsWith('/') && !isFile) {
+      path += '/';
+    } else if (this.trailingSlash === 'remove' && path.length > 1 && path.endsWith('/')) {
+      path = path.replace(/\/+$/, '') || '/';
+    }
+
+    return path;
+  }
+
+  isStripped(name) {
+    return this.stripParams.some(matches => matches(name));
+  }
+}
+
+UrlNormalizer.DEFAULT_STRIP_PARAMS = DEFAULT_STRIP_PARAMS;
+
+module.exports = UrlNormalizer;
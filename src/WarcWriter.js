@@ -0,0 +1,142 @@
+const fs = require('fs');
+const path = require('path');
+const Warc = require('./utils/Warc');
+
+// Appends every request/response pair the crawler makes to a .warc.gz file: a request and
+// a response record per redirect hop and for the final response. An index of the response
+// records ({ url, status, offset, length, date } per line) is written beside it as
+// <file>.idx so a replay doesn't have to decompress the whole archive to find a URL.
+// Like the output sinks, both files remember their size for checkpoints, so a resumed crawl
+// cuts off records written after the last checkpoint and appends to the same archive.
+class WarcWriter {
+  constructor(options = {}) {
+    this.path = path.resolve(process.cwd(), options.path);
+    this.indexPath = `${this.path}.idx`;
+    this.offset = options.offset || 0;
+    this.indexOffset = options.indexOffset || 0;
+    this.info = options.info || {};
+    this.streams = null;
+  }
+
+  async open({ resume = false } = {}) {
+    await fs.promises.mkdir(path.dirname(this.path), { recursive: true });
+
+    if (resume) {
+      await WarcWriter.truncate(this.path, this.offset);
+      await WarcWriter.truncate(this.indexPath, this.indexOffset);
+    } else {
+      this.offset = 0;
+      this.indexOffset = 0;
+    }
+
+    const flags = resume ? 'a' : 'w';
+    this.streams = { warc: fs.createWriteStream(this.path, { flags }), index: fs.createWriteStream(this.indexPath, { flags }) };
+    await Promise.all(Object.values(this.streams).map(stream => new Promise((resolve, reject) => {
+      stream.once('open', resolve);
+      stream.once('error', reject);
+    })));
+
+    if (!resume) {
+      const fields = Object.entries({ format: 'WARC File Format 1.1', ...this.info })
+        .map(([name, value]) => `${name}: ${value}\r\n`).join('');
+      await this.append([Warc.gzip(Warc.createRecord('warcinfo', {
+        headers: { 'WARC-Filename': path.basename(this.path), 'Content-Type': 'application/warc-fields' }
+      }, Buffer.from(fields)))], []);
+    }
+  }
+
+  // Drops anything past the checkpointed size
+  static async truncate(filePath, offset) {
+    try {
+      const { size } = await fs.promises.stat(filePath);
+      if (size > offset) await fs.promises.truncate(filePath, offset);
+    } catch {
+      // Nothing written yet
+    }
+  }
+
+  // response is what a fetcher returned; requestHeaders are the headers the crawler added
+  async write(url, requestHeaders, response) {
+    const date = new Date();
+    const hops = [
+      ...(response.redirects || []).map(hop => ({
+        url: hop.url,
+        status: hop.status,
+        headers: { location: hop.location },
+        body: Buffer.alloc(0)
+      })),
+      {
+        url: response.finalUrl || url,
+        status: response.status,
+        headers: response.headers,
+        body: WarcWriter.toBuffer(response.data)
+      }
+    ];
+
+    const records = [];
+    const entries = [];
+    let offset = this.offset;
+    for (const hop of hops) {
+      const responseId = Warc.createRecordId();
+      const responseRecord = Warc.gzip(Warc.createRecord('response', {
+        id: responseId,
+        date,
+        headers: {
+          'WARC-Target-URI': hop.url,
+          'WARC-Truncated': hop.body === null ? 'length' : null,
+          'Content-Type': 'application/http; msgtype=response'
+        }
+      }, Warc.formatHttpResponse(hop.status, hop.headers, hop.body)));
+      const requestRecord = Warc.gzip(Warc.createRecord('request', {
+        date,
+        headers: {
+          'WARC-Target-URI': hop.url,
+          'WARC-Concurrent-To': responseId,
+          'Content-Type': 'application/http; msgtype=request'
+        }
+      }, Warc.formatHttpRequest(hop.url, requestHeaders)));
+
+      records.push(requestRecord, responseRecord);
+      offset += requestRecord.length;
+      entries.push({ url: hop.url, status: hop.status, offset, length: responseRecord.length, date: date.toISOString() });
+      offset += responseRecord.length;
+    }
+
+    await this.append(records, entries);
+  }
+
+  // All records of one exchange go out in a single write, so parallel requests never interleave
+  async append(records, entries) {
+    const data = Buffer.concat(records);
+    const index = entries.map(entry => `${JSON.stringify(entry)}\n`).join('');
+    this.offset += data.length;
+    this.indexOffset += Buffer.byteLength(index);
+
+    const writes = [[this.streams.warc, data], [this.streams.index, index]]
+      .filter(([, chunk]) => chunk.length > 0)
+      .map(([stream, chunk]) => (stream.write(chunk) ? null : new Promise(resolve => stream.once('drain', resolve))));
+    await Promise.all(writes);
+  }
+
+  static toBuffer(data) {
+    if (data === null || data === undefined) return null;
+    return Buffer.isBuffer(data) ? data : Buffer.from(String(data));
+  }
+
+  async close() {
+    if (!this.streams) return;
+    const streams = Object.values(this.streams);
+    this.streams = null;
+    await Promise.all(streams.map(stream => new Promise((resolve, reject) => {
+      stream.once('error', reject);
+      stream.end(resolve);
+    })));
+  }
+
+  // Saved in checkpoints so a resumed crawl appends to the same archive
+  toJSON() {
+    return { path: this.path, offset: this.offset, indexOffset: this.indexOffset };
+  }
+}
+
+module.exports = WarcWriter;
@@ -1,15 +1,47 @@
 const axios = require('axios');
 const cheerio = require('cheerio');
+const EventEmitter = require('events');
 const { URL } = require('url');
 const fs = require('fs').promises;
 const path = require('path');
-const robotsParser = require('robots-parser');
 const UrlUtils = require('./utils/UrlUtils');
 const DataExtractor = require('./utils/DataExtractor');
 const FileManager = require('./utils/FileManager');
+const Logger = require('./utils/Logger');
+const CrawlQueue = require('./CrawlQueue');
+const CrawlScope = require('./CrawlScope');
+const ChangeTracker = require('./ChangeTracker');
+const SitemapLoader = require('./SitemapLoader');
+const RobotsCache = require('./RobotsCache');
+const ExtractionPipeline = require('./ExtractionPipeline');
+const CrawlStatistics = require('./CrawlStatistics');
+const LinkAuditor = require('./LinkAuditor');
+const HttpFetcher = require('./fetchers/HttpFetcher');
+const BrowserFetcher = require('./fetchers/BrowserFetcher');
+const WarcFetcher = require('./fetchers/WarcFetcher');
+const WarcWriter = require('./WarcWriter');
+const SeoAuditor = require('./SeoAuditor');
+const AuthSession = require('./AuthSession');
+const DocumentExtractor = require('./utils/DocumentExtractor');
+const UrlNormalizer = require('./UrlNormalizer');
+const DuplicateDetector = require('./DuplicateDetector');
+const SiteGraph = require('./SiteGraph');
+const GraphExporter = require('./utils/GraphExporter');
+const CrawlHistory = require('./CrawlHistory');
+const SearchIndex = require('./SearchIndex');
+const HostThrottle = require('./HostThrottle');
+
+// Async functions that can change or veto what the crawler does, see hook()
+const HOOK_NAMES = ['beforeRequest', 'afterResponse', 'shouldEnqueue', 'transformPage'];
+
+// Emits pageCrawled, pageFailed, pageSkipped, linkDiscovered, progress and done
+class WebCrawler extends EventEmitter {
+  constructor(crawlerOptions = {}) {
+    super();
+
+    // The logger, hooks and abort signal are live objects, so they stay out of the saved options
+    const { logger, hooks = {}, signal = null, ...options } = crawlerOptions;
 
-class WebCrawler {
-  constructor(options = {}) {
     this.options = {
       maxPages: options.maxPages || 50,
       delay: options.delay || 1000,
@@ -20,120 +52,775 @@ class WebCrawler {
       userAgent: options.userAgent || 'WebCrawler/1.0 (+https://github.com/webcrawler)',
       skipUnauthorized: options.skipUnauthorized !== undefined ? options.skipUnauthorized : false, // Default to false
       ignoreRestrictions: options.ignoreRestrictions || false, // New option to ignore all restrictions
+      concurrency: options.concurrency || 5, // Pages fetched in parallel across all hosts
+      maxConcurrencyPerHost: options.maxConcurrencyPerHost || 1, // Parallel requests allowed per host
+      scope: options.scope || 'host', // host, subdomains, domain, path or any
+      sitemaps: options.sitemaps !== undefined ? options.sitemaps : true, // Seed the queue from sitemaps
+      maxSitemapUrls: options.maxSitemapUrls || 50000,
+      outputDir: options.outputDir || 'crawl-results',
+      outputs: options.outputs || ['json'], // json, ndjson, csv, sqlite; "type:path" or { type, path } to choose the file
+      checkpointInterval: options.checkpointInterval !== undefined ? options.checkpointInterval : 30000, // 0 disables checkpoints
+      auditLinks: options.auditLinks || false, // Check every link and image found for broken links and redirects
+      linkAuditConcurrency: options.linkAuditConcurrency || 10, // Parallel link checks, separate from page fetches
+      seoAudit: options.seoAudit || false, // Write an SEO issue list and HTML report next to the summary
+      renderer: options.renderer || 'http', // http (axios) or browser (headless Chromium) for every page
+      renderPatterns: options.renderPatterns || [], // URLs rendered in the browser even when renderer is http
+      renderWaitUntil: options.renderWaitUntil || 'networkidle2', // load, domcontentloaded, networkidle0 or networkidle2
+      renderWaitFor: options.renderWaitFor || null, // CSS selector to wait for after the page loads
+      auth: options.auth || null, // Cookies, per-host credentials and form login (see AuthSession)
+      maxResponseSize: options.maxResponseSize !== undefined ? options.maxResponseSize : 10 * 1024 * 1024, // Bytes; larger bodies are not read (0 = no limit)
+      normalization: options.normalization !== undefined ? options.normalization : {}, // URL rewriting rules (see UrlNormalizer), false to turn off
+      respectCanonical: options.respectCanonical !== undefined ? options.respectCanonical : true, // Don't store pages whose canonical URL is crawled instead
+      nearDuplicates: options.nearDuplicates !== undefined ? options.nearDuplicates : true, // SimHash clusters of pages with the same text; { threshold, minWords } to tune
+      graph: options.graph || false, // Internal link graph: scores on each JSON page plus graph exports; { damping } to tune
+      graphFormats: options.graphFormats || GraphExporter.FORMATS, // graphml, gexf, dot, json
+      history: options.history !== undefined ? options.history : true, // Record the run in <outputDir>/<domain>.history.json
+      warc: options.warc || false, // Archive every request and response: true for <output base>.warc.gz, or a path
+      replay: options.replay || null, // WARC file(s) to serve responses from instead of the network
+      searchIndex: options.searchIndex || false, // Add the pages to <outputDir>/<domain>.search.json; { boosts } to tune
+      throttle: options.throttle !== undefined ? options.throttle : true, // Adapt each host's pace to its latency, errors and rate limits; { maxDelay, ... } to tune (see HostThrottle)
       ...options
     };
 
+    this.logger = Logger.from(logger);
+    this.signal = signal;
+    this.hooks = {};
+    Object.entries(hooks).forEach(([name, fn]) => this.hook(name, fn));
+
     this.visited = new Set();
-    this.queue = [];
-    this.results = [];
+    this.queue = new CrawlQueue({
+      // A replay never touches the site, so there is nothing to be polite to
+      delay: this.options.replay ? 0 : this.options.delay,
+      maxConcurrencyPerHost: this.options.maxConcurrencyPerHost
+    });
+    this.stats = new CrawlStatistics();
+    this.throttle = this.options.throttle && !this.options.replay ? new HostThrottle({
+      ...(typeof this.options.throttle === 'object' && this.options.throttle),
+      queue: this.queue,
+      logger: this.logger
+    }) : null;
+    this.sinks = [];
+    // Names this run's output files and its entry in the crawl history; kept when resumed
+    this.runId = FileManager.createRunId();
+    this.outputBase = null;
     this.failedUrls = [];
     this.skippedUrls = [];
-    this.robots = null;
+    this.skippedSet = new Set();
+    this.robots = new RobotsCache({
+      fetch: url => this.fetchResource(url),
+      logger: this.logger,
+      userAgent: this.options.userAgent
+    });
+    this.crawlDelayHosts = new Set();
+    this.session = this.options.auth ? new AuthSession(this.options.auth, {
+      timeout: this.options.timeout,
+      userAgent: this.options.userAgent,
+      logger: this.logger
+    }) : null;
+    this.extractors = new ExtractionPipeline(this.options);
+    this.linkAuditor = this.options.auditLinks ? new LinkAuditor({
+      concurrency: this.options.linkAuditConcurrency,
+      timeout: this.options.timeout,
+      userAgent: this.options.userAgent,
+      session: this.session,
+      hosts: {
+        acquire: url => this.acquireLinkCheck(url),
+        isAllowed: url => this.isLinkCheckAllowed(url)
+      },
+      // A replay answers link checks from its archive too, so it never touches the site
+      request: this.options.replay ? url => this.fetchers.warc.readResponse(url) : null
+    }) : null;
+    this.normalizer = new UrlNormalizer(this.options.normalization);
+    this.seoAuditor = this.options.seoAudit ? new SeoAuditor({
+      ...this.options.seo,
+      normalize: url => this.normalizer.normalize(url)
+    }) : null;
+    const { nearDuplicates } = this.options;
+    this.duplicates = nearDuplicates ? new DuplicateDetector(typeof nearDuplicates === 'object' ? nearDuplicates : {}) : null;
+    this.graph = this.options.graph ? new SiteGraph({
+      ...(typeof this.options.graph === 'object' ? this.options.graph : {}),
+      normalize: url => this.normalizer.normalize(url)
+    }) : null;
+    GraphExporter.checkFormats(this.options.graphFormats);
+    // Pages not stored because their canonical URL is crawled instead: url -> canonical URL
+    this.canonicalDuplicates = new Map();
+    // Where the requests in flight were redirected to, so checkpoints don't mark those URLs as done
+    this.redirectTargets = new Map();
+
+    if (!['http', 'browser'].includes(this.options.renderer)) {
+      throw new Error(`Unknown renderer "${this.options.renderer}" (expected http or browser)`);
+    }
+    const fetcherOptions = { ...this.options, throttle: Boolean(this.throttle), signal: this.signal };
+    this.fetchers = {
+      http: new HttpFetcher(fetcherOptions, this.logger, this.session),
+      browser: new BrowserFetcher(fetcherOptions, this.logger, this.session)
+    };
+    if (this.options.replay) {
+      // No session: logging in again would go to the network
+      this.fetchers.warc = new WarcFetcher(fetcherOptions, this.logger);
+    }
+    this.warc = null;
+    this.renderPatterns = [].concat(this.options.renderPatterns).map(pattern => UrlUtils.compilePattern(pattern));
+    this.scope = null;
+    this.changes = null;
+    this.sitemaps = null;
+    this.startUrls = [];
     this.baseUrl = null;
     this.baseDomain = null;
+    // startTime counts the time spent crawling, across resumes; startedAt is when the run began
     this.startTime = null;
+    this.startedAt = null;
+    this.stopping = false;
+    this.checkpointFile = null;
+    this.checkpointTimer = null;
+    this.checkpointPending = null;
+  }
+
+  // Adds a custom extractor: fn($, { url, depth, parent, options }) returns the value stored as page[name]
+  registerExtractor(name, fn, options = {}) {
+    this.extractors.register(name, fn, options);
+    return this;
+  }
+
+  registerSchema(schema) {
+    this.extractors.registerSchema(schema);
+    return this;
+  }
+
+  // Sets one of the hooks; each may be async, and returning false vetoes:
+  //   beforeRequest({ url, depth, parent, headers })        skip the URL; headers can be added
+  //   afterResponse(response, { url, depth, parent })       drop the response; it can be changed
+  //   shouldEnqueue(url, { depth, parent })                 don't queue a discovered URL
+  //   transformPage(page)                                   don't store the page; return a page to replace it
+  hook(name, fn) {
+    if (!HOOK_NAMES.includes(name)) {
+      throw new Error(`Unknown hook "${name}". Expected one of: ${HOOK_NAMES.join(', ')}`);
+    }
+    if (typeof fn !== 'function') {
+      throw new Error(`Hook "${name}" must be a function`);
+    }
+    this.hooks[name] = fn;
+    return this;
+  }
+
+  // Resolves to the hook's result, or undefined when the hook isn't set
+  async runHook(name, ...args) {
+    return this.hooks[name] ? this.hooks[name](...args) : undefined;
   }
 
-  async crawl(startUrl) {
+  // previousCrawl is an earlier result (or the path to its JSON file) to re-crawl incrementally
+  async crawl(startUrls, previousCrawl = this.options.previousCrawl) {
+    const seeds = [].concat(startUrls);
+    if (seeds.length === 0) {
+      throw new Error('At least one start URL is required');
+    }
+
+    // Only a path is kept in the options, so checkpoints can reload it on resume
+    if (typeof previousCrawl === 'string') {
+      this.options.previousCrawl = previousCrawl;
+    }
+
     this.startTime = Date.now();
-    this.baseUrl = startUrl;
-    this.baseDomain = UrlUtils.getDomain(startUrl);
+    this.startedAt = new Date(this.startTime).toISOString();
+    this.startUrls = seeds;
+    await this.prepare(previousCrawl);
+    await this.openSinks(this.options.outputs);
+    await this.openArchive();
+
+    // Add initial URLs to queue
+    for (const url of seeds) {
+      await this.enqueue(url, 0, null);
+    }
+
+    if (this.options.sitemaps) {
+      await this.loadSitemaps();
+    }
+
+    return this.run();
+  }
+
+  // Creates a crawler with the options saved in a checkpoint; options passed here override them
+  static async fromCheckpoint(checkpointFile, options = {}) {
+    const state = await FileManager.loadCheckpoint(checkpointFile);
+    return new WebCrawler({ ...state.options, ...options, checkpointFile });
+  }
+
+  // Continues a crawl from the checkpoint written by an earlier (killed or stopped) run
+  async resume(checkpointFile = this.options.checkpointFile) {
+    if (!checkpointFile) {
+      throw new Error('A checkpoint file is required to resume a crawl');
+    }
+
+    const state = await FileManager.loadCheckpoint(checkpointFile);
+    if (state.version !== WebCrawler.CHECKPOINT_VERSION) {
+      throw new Error(`Checkpoint ${checkpointFile} was written by an incompatible version (${state.version}); start a new crawl`);
+    }
+
+    this.options.checkpointFile = checkpointFile;
+    this.runId = state.runId;
+    this.startTime = Date.now() - state.elapsed;
+    this.startedAt = state.startedAt || new Date(this.startTime).toISOString();
+    this.startUrls = state.startUrls;
+    await this.prepare(this.options.previousCrawl);
+    this.outputBase = state.outputBase;
+    await this.openSinks(state.outputs, { resume: true });
+    await this.openArchive(state.warc);
+
+    this.visited = new Set(state.visited);
+    this.stats.restore(state.stats);
+    this.failedUrls = state.failedUrls;
+    this.skippedUrls = state.skippedUrls;
+    this.skippedSet = new Set(state.skippedUrls.map(item => item.url));
+    this.scope.restore(state.scope);
+    this.queue.restore(state.queue);
+    if (state.sitemaps) {
+      this.sitemaps = this.createSitemapLoader();
+      this.sitemaps.restore(state.sitemaps);
+    }
+    if (this.linkAuditor && state.linkAudit) {
+      this.linkAuditor.restore(state.linkAudit);
+    }
+    if (this.seoAuditor && state.seoAudit) {
+      this.seoAuditor.restore(state.seoAudit);
+    }
+    if (this.duplicates && state.nearDuplicates) {
+      this.duplicates.restore(state.nearDuplicates);
+    }
+    if (this.graph && state.graph) {
+      this.graph.restore(state.graph);
+    }
+    this.canonicalDuplicates = new Map(state.canonicalDuplicates);
+    if (this.throttle && state.throttle) {
+      this.throttle.restore(state.throttle);
+    }
 
-    console.log(`🎯 Target domain: ${this.baseDomain}`);
+    this.logger.info(`♻️  Resuming crawl: ${this.stats.pages} pages done, ${this.queue.length} queued`, {
+      pages: this.stats.pages,
+      queued: this.queue.length
+    });
+
+    return this.run();
+  }
+
+  async prepare(previousCrawl) {
+    this.baseUrl = this.startUrls[0];
+    this.baseDomain = UrlUtils.getDomain(this.baseUrl);
+    this.scope = new CrawlScope(this.options, this.startUrls);
+    this.outputBase = FileManager.getOutputBase(this.baseDomain, this.options.outputDir, this.runId);
+    this.checkpointFile = this.options.checkpointFile || FileManager.getCheckpointPath(this.outputBase);
+
+    this.logger.info(`🎯 Target domain: ${this.baseDomain}`);
     
     if (this.options.ignoreRestrictions) {
-      console.log('🚫 Restriction mode: DISABLED - Crawling without limitations');
+      this.logger.info('🚫 Restriction mode: DISABLED - Crawling without limitations');
     } else if (!this.options.respectRobots) {
-      console.log('🤖 Robots.txt: DISABLED - Ignoring robots.txt restrictions');
+      this.logger.info('🤖 Robots.txt: DISABLED - Ignoring robots.txt restrictions');
+    }
+
+    // Logged in before anything is fetched, robots.txt and sitemaps included
+    if (this.options.replay) {
+      this.logger.info(`📼 Replay mode: responses come from ${[].concat(this.options.replay).join(', ')}`);
+    } else if (this.session) {
+      await this.session.login();
+    }
+
+    if (previousCrawl) {
+      this.changes = await ChangeTracker.load(previousCrawl);
+      this.logger.info(`🔁 Incremental crawl against ${this.changes.previousPages.size} previously crawled pages`);
     }
+  }
 
-    // Initialize robots.txt only if respect is enabled and restrictions are not ignored
-    if (this.options.respectRobots && !this.options.ignoreRestrictions) {
-      await this.loadRobotsTxt();
+  // outputs are option values on a new crawl, or the saved sink states on resume
+  async openSinks(outputs, { resume = false } = {}) {
+    this.sinks = FileManager.createSinks(outputs, this.outputBase);
+    for (const sink of this.sinks) {
+      await sink.open({ resume });
     }
+  }
 
-    // Add initial URL to queue
-    this.queue.push({ url: startUrl, depth: 0, parent: null });
+  // state is the archive's checkpoint state when resuming
+  async openArchive(state = null) {
+    if (!this.options.warc) return;
 
-    // Process queue
-    await this.processQueue();
+    this.warc = new WarcWriter({
+      path: typeof this.options.warc === 'string' ? this.options.warc : `${this.outputBase}.warc.gz`,
+      ...state,
+      info: { software: this.options.userAgent, isPartOf: this.runId }
+    });
+    await this.warc.open({ resume: Boolean(state) });
+  }
 
-    // Save results
-    const fileName = await this.saveResults();
+  async run() {
+    // Aborting works like stop(), and requests in flight are cancelled
+    const onAbort = () => this.stop();
+    if (this.signal) {
+      if (this.signal.aborted) this.stop();
+      this.signal.addEventListener('abort', onAbort, { once: true });
+    }
 
-    return {
-      pages: this.results,
-      fileName,
+    this.startCheckpointing();
+    try {
+      // Process queue
+      await this.processQueue();
+      await this.finishLinkAudit();
+    } finally {
+      this.stopCheckpointing();
+      if (this.signal) this.signal.removeEventListener('abort', onAbort);
+      await this.closeFetchers();
+      if (this.warc) await this.warc.close();
+    }
+
+    // Save results (partial if the crawl was stopped)
+    const outputFiles = await this.saveResults();
+
+    if (this.stopping) {
+      await this.saveCheckpoint();
+      this.logger.info(`💾 Checkpoint saved to: ${this.checkpointFile}`, { checkpointFile: this.checkpointFile });
+    } else {
+      await FileManager.removeCheckpoint(this.checkpointFile);
+    }
+
+    const results = {
+      runId: this.runId,
+      pages: this.stats.pages,
+      fileName: outputFiles[0],
+      outputFiles,
       totalTime: Date.now() - this.startTime,
-      totalLinks: this.results.reduce((sum, page) => sum + page.links.length, 0),
+      totalLinks: this.stats.totalLinks,
       failedRequests: this.failedUrls.length,
       skippedRequests: this.skippedUrls.length,
-      domain: this.baseDomain
+      domain: this.baseDomain,
+      warcFile: this.warc ? this.warc.path : null,
+      throttle: this.throttle ? { ...this.throttle.counts } : null,
+      completed: !this.stopping,
+      checkpointFile: this.stopping ? this.checkpointFile : null
     };
+    this.emit('done', results);
+    return results;
   }
 
-  async loadRobotsTxt() {
-    try {
-      const robotsUrl = `${this.baseUrl}/robots.txt`;
-      const response = await axios.get(robotsUrl, {
-        timeout: this.options.timeout,
-        headers: { 'User-Agent': this.options.userAgent }
+  // Stops taking new URLs; requests in flight finish and a checkpoint is written
+  stop() {
+    if (this.stopping) return;
+    this.stopping = true;
+    this.logger.warn('🛑 Stopping crawl, waiting for requests in flight...');
+    this.queue.notify();
+    if (this.linkAuditor) this.linkAuditor.stop();
+  }
+
+  // Link checks on a host being crawled take a request slot from the queue like a page
+  // request, so they keep to its delay, concurrency cap and throttle pauses, and their
+  // outcomes count for the throttle. Other hosts are only limited by linkAuditConcurrency.
+  async acquireLinkCheck(url) {
+    const hostname = UrlUtils.getDomain(url);
+    if (!this.queue.hosts.has(hostname)) return null;
+
+    for (;;) {
+      const { acquired, waitMs } = this.queue.acquireHost(hostname);
+      if (acquired) break;
+      await Promise.race([
+        this.queue.waitForChange(),
+        ...(waitMs !== null ? [this.sleep(waitMs)] : [])
+      ]);
+    }
+
+    const startedAt = Date.now();
+    return ({ response, error }) => {
+      this.queue.releaseHost(hostname);
+      if (!this.throttle) return;
+      if (response) {
+        this.throttle.recordResponse(url, response, Date.now() - startedAt);
+      } else {
+        this.throttle.recordError(url, error);
+      }
+    };
+  }
+
+  // robots.txt applies to link checks on crawled hosts as it does to their pages
+  async isLinkCheckAllowed(url) {
+    if (!this.respectsRobots() || !this.queue.hosts.has(UrlUtils.getDomain(url))) return true;
+    return !(await this.robots.getBlockingRule(url));
+  }
+
+  // Link checks run beside the crawl, so some may still be going once the last page is done
+  async finishLinkAudit() {
+    if (!this.linkAuditor) return;
+
+    const remaining = this.linkAuditor.pending.length + this.linkAuditor.active;
+    if (remaining > 0 && !this.stopping) {
+      this.logger.info(`🔗 Waiting for ${remaining} link checks...`, { remaining });
+    }
+    await this.linkAuditor.drain();
+  }
+
+  startCheckpointing() {
+    if (!this.options.checkpointInterval) return;
+
+    this.checkpointTimer = setInterval(() => {
+      if (this.checkpointPending) return;
+      this.checkpointPending = this.saveCheckpoint()
+        .catch(error => this.logger.warn(`⚠️  Could not save checkpoint: ${error.message}`, { error: error.message }))
+        .finally(() => {
+          this.checkpointPending = null;
+        });
+    }, this.options.checkpointInterval);
+    this.checkpointTimer.unref();
+  }
+
+  stopCheckpointing() {
+    clearInterval(this.checkpointTimer);
+    this.checkpointTimer = null;
+  }
+
+  getCheckpointState() {
+    const inFlight = new Set([...this.queue.inFlight.keys(), ...this.redirectTargets.values()]);
+    return {
+      version: WebCrawler.CHECKPOINT_VERSION,
+      savedAt: new Date().toISOString(),
+      runId: this.runId,
+      startUrls: this.startUrls,
+      startedAt: this.startedAt,
+      elapsed: Date.now() - this.startTime,
+      options: this.getSavedOptions(),
+      // Pages in flight are refetched on resume unless they were already written
+      visited: [...this.visited].filter(url => !inFlight.has(url) || this.stats.crawledUrls.has(url)),
+      queue: this.queue.toJSON(),
+      scope: this.scope.toJSON(),
+      sitemaps: this.sitemaps ? this.sitemaps.toJSON() : null,
+      linkAudit: this.linkAuditor ? this.linkAuditor.toJSON() : null,
+      seoAudit: this.seoAuditor ? this.seoAuditor.toJSON() : null,
+      nearDuplicates: this.duplicates ? this.duplicates.toJSON() : null,
+      graph: this.graph ? this.graph.toJSON() : null,
+      warc: this.warc ? this.warc.toJSON() : null,
+      throttle: this.throttle ? this.throttle.toJSON() : null,
+      canonicalDuplicates: [...this.canonicalDuplicates],
+      stats: this.stats.toJSON(),
+      outputBase: this.outputBase,
+      outputs: this.sinks.map(sink => sink.toJSON()),
+      failedUrls: this.failedUrls,
+      skippedUrls: this.skippedUrls
+    };
+  }
+
+  async saveCheckpoint() {
+    // Let a periodic write that is still running finish first
+    if (this.checkpointPending) await this.checkpointPending;
+    return FileManager.saveCheckpoint(this.getCheckpointState(), this.checkpointFile);
+  }
+
+  // robots.txt is only enforced if respect is enabled and restrictions are not ignored
+  respectsRobots() {
+    return this.options.respectRobots && !this.options.ignoreRestrictions;
+  }
+
+  // Returns true (and records the skip) when robots.txt disallows the URL
+  async isBlockedByRobots(url, parent) {
+    await this.applyCrawlDelay(url);
+
+    const rule = await this.robots.getBlockingRule(url);
+    if (!rule) return false;
+
+    this.logger.info(`🚫 Blocked by robots.txt: ${url} (${rule})`, { url, rule });
+    this.recordSkip({
+      url,
+      reason: 'robots.txt blocked',
+      rule,
+      parent,
+      statusCode: null
+    });
+    return true;
+  }
+
+  // Crawl-delay can only slow a host down, never speed it up past the configured delay
+  async applyCrawlDelay(url) {
+    const hostname = UrlUtils.getDomain(url);
+    if (this.crawlDelayHosts.has(hostname)) return;
+    this.crawlDelayHosts.add(hostname);
+
+    const crawlDelay = await this.robots.getCrawlDelay(url);
+    if (crawlDelay !== null && crawlDelay > this.queue.getHostDelay(hostname)) {
+      this.queue.setHostDelay(hostname, crawlDelay);
+      this.logger.info(`🐢 Using robots.txt Crawl-delay of ${crawlDelay}ms for ${hostname}`, { host: hostname, delay: crawlDelay });
+    }
+  }
+
+  createSitemapLoader() {
+    return new SitemapLoader({
+      fetch: url => this.fetchResource(url),
+      logger: this.logger,
+      maxUrls: this.options.maxSitemapUrls,
+      normalize: url => this.normalizer.normalize(url)
+    });
+  }
+
+  async loadSitemaps() {
+    this.sitemaps = this.createSitemapLoader();
+
+    const origins = [...new Set(this.startUrls.map(url => new URL(url).origin))];
+    for (const origin of origins) {
+      await this.sitemaps.discover(origin, await this.robots.getSitemaps(origin));
+    }
+
+    // Sitemap pages count as one click away from the start page
+    let queued = 0;
+    for (const entry of this.sitemaps.getEntries()) {
+      if (await this.enqueue(entry.url, 1, entry.sitemap)) queued++;
+    }
+
+    if (this.sitemaps.sitemaps.length > 0) {
+      this.logger.info(`🗺️  Queued ${queued} of ${this.sitemaps.entries.size} sitemap URLs`, {
+        queued,
+        total: this.sitemaps.entries.size
       });
-      this.robots = robotsParser(robotsUrl, response.data);
-      console.log('🤖 Loaded robots.txt');
-    } catch (error) {
-      console.log('⚠️  No robots.txt found, proceeding without restrictions');
     }
   }
 
+  // Fetches a non-page resource (robots.txt, sitemaps) as raw bytes
+  async fetchResource(url) {
+    if (this.fetchers.warc) {
+      const { status, headers, data } = await this.fetchers.warc.request(url);
+      return { status, headers, data: data || Buffer.alloc(0) };
+    }
+
+    const response = await axios.get(url, {
+      timeout: this.options.timeout,
+      headers: { 'User-Agent': this.options.userAgent, ...(this.session && this.session.getHeaders(url)) },
+      responseType: 'arraybuffer',
+      maxRedirects: 5,
+      validateStatus: () => true
+    });
+
+    const resource = {
+      status: response.status,
+      headers: response.headers,
+      data: Buffer.from(response.data)
+    };
+    const finalUrl = response.request?.res?.responseUrl || url;
+    await this.archive(url, {}, { ...resource, redirects: [], finalUrl });
+    return resource;
+  }
+
   async processQueue() {
-    while (this.queue.length > 0 && this.results.length < this.options.maxPages) {
-      const { url, depth, parent } = this.queue.shift();
-
-      // Skip if already visited
-      if (this.visited.has(url)) continue;
-
-      // Skip if max depth reached
-      if (depth > this.options.maxDepth) continue;
-
-      // Check robots.txt only if restrictions are not ignored
-      if (!this.options.ignoreRestrictions && this.robots && !this.robots.isAllowed(url, this.options.userAgent)) {
-        console.log(`🚫 Blocked by robots.txt: ${url}`);
-        this.skippedUrls.push({ 
-          url, 
-          reason: 'robots.txt blocked', 
-          parent,
-          statusCode: null 
-        });
+    const workers = [];
+    for (let i = 0; i < this.options.concurrency; i++) {
+      workers.push(this.runWorker());
+    }
+    await Promise.all(workers);
+  }
+
+  async runWorker() {
+    while (!this.stopping) {
+      // Pages in flight count towards maxPages so workers never overshoot it
+      const pageLimitReached = this.stats.pages + this.queue.active >= this.options.maxPages;
+
+      if (pageLimitReached || this.queue.length === 0) {
+        if (this.queue.active === 0) return;
+        await this.queue.waitForChange();
         continue;
       }
 
-      console.log(`📄 Crawling (${this.results.length + 1}/${this.options.maxPages}): ${url}`);
+      const { item, waitMs } = this.queue.next();
+      if (!item) {
+        // Every queued host is still within its delay or at its concurrency cap
+        await Promise.race([
+          this.queue.waitForChange(),
+          ...(waitMs !== null ? [this.sleep(waitMs)] : [])
+        ]);
+        continue;
+      }
 
       try {
-        const pageData = await this.crawlPage(url, depth, parent);
-        if (pageData) {
-          this.results.push(pageData);
-          this.addLinksToQueue(pageData.links, depth + 1, url);
+        await this.processUrl(item);
+      } finally {
+        this.queue.release(item.url);
+        this.emitProgress();
+      }
+    }
+  }
+
+  emitProgress() {
+    this.emit('progress', {
+      pages: this.stats.pages,
+      maxPages: this.options.maxPages,
+      queued: this.queue.length,
+      active: this.queue.active,
+      failed: this.failedUrls.length,
+      skipped: this.skippedUrls.length,
+      elapsed: Date.now() - this.startTime
+    });
+  }
+
+  async processUrl({ url, depth, parent }) {
+    // Skip if already visited
+    if (this.visited.has(url)) return;
+
+    // Check robots.txt (fetched per origin the first time it is seen)
+    if (this.respectsRobots() && await this.isBlockedByRobots(url, parent)) return;
+
+    try {
+      const request = { url, depth, parent, headers: {} };
+      if (await this.runHook('beforeRequest', request) === false) {
+        this.recordHookVeto(url, parent, 'beforeRequest');
+        return;
+      }
+
+      this.logger.info(`📄 Crawling (${this.stats.pages + this.queue.active}/${this.options.maxPages}): ${url}`, { url, depth });
+
+      const pageData = await this.crawlPage(url, depth, parent, request.headers);
+      if (pageData) {
+        const directives = pageData.robots;
+
+        if (this.linkAuditor) this.linkAuditor.addPage(pageData);
+
+        if (directives?.noindex) {
+          this.recordRobotsDirective(url, parent, 'robots noindex (page not stored)', directives);
         }
-      } catch (error) {
-        // Handle errors based on restriction settings
-        const shouldSkip = !this.options.ignoreRestrictions && this.handleCrawlError(error, url, parent);
-        if (!shouldSkip) {
-          if (this.options.ignoreRestrictions) {
-            console.log(`⚠️  Error crawling ${url} (continuing anyway): ${error.message}`);
-          } else {
-            console.log(`❌ Failed to crawl ${url}: ${error.message}`);
-          }
-          this.failedUrls.push({ url, error: error.message, parent });
+
+        if (directives?.nofollow) {
+          this.recordRobotsDirective(url, parent, 'robots nofollow (links not followed)', directives);
+        } else {
+          await this.addLinksToQueue(pageData.links, depth + 1, url);
+        }
+
+        // Written after its links are queued, so a checkpoint never has a stored page with unqueued links
+        const canonical = directives?.noindex ? null : this.getCanonicalTarget(pageData);
+        if (canonical) {
+          await this.recordCanonicalDuplicate(pageData, canonical);
+        } else if (!directives?.noindex) {
+          await this.recordPage(pageData);
         }
       }
+    } catch (error) {
+      // Cancelled by the abort signal: fetched again when the crawl is resumed
+      if (this.signal?.aborted) {
+        this.visited.delete(url);
+        this.queue.requeue({ url, depth, parent });
+        return;
+      }
+
+      // Rate limited, or the host is down: tried again once the host has had a pause
+      if (this.throttle && this.throttle.shouldDefer(url, error)) {
+        this.logger.info(`⏳ Deferring ${url}: ${error.message}`, { url, error: error.message });
+        this.visited.delete(url);
+        this.queue.requeue({ url, depth, parent });
+        return;
+      }
+
+      // Replays can only crawl what was archived
+      if (error.code === 'ENOTARCHIVED') {
+        this.logger.info(`📼 Skipping ${url}: not in the WARC archive`, { url });
+        this.recordSkip({ url, reason: 'not in WARC archive', parent, statusCode: null });
+        return;
+      }
 
-      // Add delay between requests
-      if (this.options.delay > 0) {
-        await this.sleep(this.options.delay);
+      // Handle errors based on restriction settings
+      const shouldSkip = !this.options.ignoreRestrictions && this.handleCrawlError(error, url, parent);
+      if (!shouldSkip) {
+        if (this.options.ignoreRestrictions) {
+          this.logger.warn(`⚠️  Error crawling ${url} (continuing anyway): ${error.message}`, { url, error: error.message });
+        } else {
+          this.logger.warn(`❌ Failed to crawl ${url}: ${error.message}`, { url, error: error.message });
+        }
+        const failure = { url, error: error.message, parent };
+        this.failedUrls.push(failure);
+        this.emit('pageFailed', failure, error);
       }
+    } finally {
+      this.redirectTargets.delete(url);
+    }
+  }
+
+  recordHookVeto(url, parent, hook, statusCode = null) {
+    this.logger.info(`🪝 ${url}: vetoed by the ${hook} hook`, { url, hook });
+    this.recordSkip({
+      url,
+      reason: `vetoed by ${hook} hook`,
+      parent,
+      statusCode
+    });
+  }
+
+  // Hands a finished page to the output sinks; it is not kept in memory.
+  // The transformPage hook sees it first and can change, replace or drop it.
+  async recordPage(crawledPage) {
+    const transformed = await this.runHook('transformPage', crawledPage);
+    if (transformed === false || transformed === null) {
+      this.recordHookVeto(crawledPage.url, crawledPage.parent, 'transformPage');
+      return;
+    }
+    const pageData = transformed === undefined ? crawledPage : transformed;
+
+    if (this.changes) this.changes.classify(pageData);
+    if (this.sitemaps) this.markDiscovery(pageData);
+    this.stats.add(pageData);
+    if (this.duplicates) this.duplicates.add(pageData);
+    if (this.graph) this.graph.addPage(pageData);
+    if (this.seoAuditor) this.seoAuditor.addPage(pageData);
+
+    // Every sink takes the page before the first await, keeping checkpoints consistent across sinks
+    await Promise.all(this.sinks.map(sink => sink.write(pageData)));
+    this.emit('pageCrawled', pageData);
+  }
+
+  // Sitemap pages that an earlier page already linked to count as found both ways
+  markDiscovery(pageData) {
+    const entry = this.sitemaps.getEntry(pageData.url);
+    if (!entry) {
+      pageData.discoveredVia = 'links';
+      return;
     }
+
+    const linked = pageData.parent !== entry.sitemap || this.stats.linkedUrls.has(pageData.url);
+    pageData.discoveredVia = linked ? 'both' : 'sitemap';
+    pageData.sitemap = { lastmod: entry.lastmod, priority: entry.priority };
+  }
+
+  // The URL a page names as its canonical, when that URL gets crawled in the page's place.
+  // Pages are kept when their canonical is out of scope, already skipped, or itself a page
+  // that deferred to this one (canonicals pointing at each other).
+  getCanonicalTarget(pageData) {
+    if (!this.options.respectCanonical || !pageData.meta?.canonical) return null;
+
+    const finalUrl = pageData.http?.finalUrl || pageData.url;
+    const resolved = UrlUtils.resolveUrl(finalUrl, pageData.meta.canonical);
+    if (!resolved || !/^https?:/i.test(resolved)) return null;
+
+    const canonical = this.normalizer.normalize(resolved);
+    if (canonical === pageData.url || canonical === this.normalizer.normalize(finalUrl)) return null;
+    if (this.canonicalDuplicates.has(canonical) || this.isSkipped(canonical)) return null;
+    if (!this.scope.isInScope(canonical)) return null;
+
+    return canonical;
+  }
+
+  // Queues the canonical URL instead of storing the page. The SEO audit still sees it,
+  // so its issues (and its canonical tag) are reported.
+  async recordCanonicalDuplicate(pageData, canonical) {
+    const { url, depth, parent } = pageData;
+    this.canonicalDuplicates.set(url, canonical);
+    if (this.seoAuditor) this.seoAuditor.addPage(pageData);
+    await this.enqueue(canonical, depth, url);
+
+    this.logger.info(`🔁 ${url}: canonical URL is ${canonical} (page not stored)`, { url, canonical });
+    this.recordSkip({
+      url,
+      reason: 'duplicate (canonical URL crawled instead)',
+      duplicateOf: canonical,
+      parent,
+      statusCode: null
+    });
+  }
+
+  recordRobotsDirective(url, parent, reason, directives) {
+    const rule = directives.rules.join(', ');
+    this.logger.info(`🤖 ${url}: ${reason} - ${rule}`, { url, reason, rule });
+    this.recordSkip({
+      url,
+      reason,
+      rule,
+      parent,
+      statusCode: null
+    });
   }
 
   handleCrawlError(error, url, parent) {
@@ -160,8 +847,8 @@ class WebCrawler {
         451: 'Unavailable for legal reasons'
       };
 
-      console.log(`🔒 Skipping ${url}: ${reasons[statusCode]} (${statusCode})`);
-      this.skippedUrls.push({ 
+      this.logger.info(`🔒 Skipping ${url}: ${reasons[statusCode]} (${statusCode})`, { url, statusCode });
+      this.recordSkip({ 
         url, 
         reason: reasons[statusCode], 
         parent,
@@ -180,8 +867,8 @@ class WebCrawler {
         504: 'Gateway timeout'
       };
 
-      console.log(`⚠️  Skipping ${url}: ${reasons[statusCode]} (${statusCode})`);
-      this.skippedUrls.push({ 
+      this.logger.warn(`⚠️  Skipping ${url}: ${reasons[statusCode]} (${statusCode})`, { url, statusCode });
+      this.recordSkip({ 
         url, 
         reason: reasons[statusCode], 
         parent,
@@ -195,8 +882,8 @@ class WebCrawler {
     const authKeywords = ['unauthorized', 'forbidden', 'access denied', 'authentication', 'permission'];
     
     if (authKeywords.some(keyword => errorMessage.includes(keyword))) {
-      console.log(`🔒 Skipping ${url}: Authorization issue - ${error.message}`);
-      this.skippedUrls.push({ 
+      this.logger.info(`🔒 Skipping ${url}: Authorization issue - ${error.message}`);
+      this.recordSkip({ 
         url, 
         reason: `Authorization issue: ${error.message}`, 
         parent,
@@ -208,148 +895,422 @@ class WebCrawler {
     return false; // Don't skip, treat as regular error
   }
 
-  async crawlPage(url, depth, parent) {
+  async crawlPage(url, depth, parent, headers = {}) {
     this.visited.add(url);
 
-    const response = await this.makeRequest(url);
+    const previousPage = this.changes ? this.changes.getPreviousPage(url) : null;
+    const conditionalHeaders = this.changes ? this.changes.getConditionalHeaders(url) : {};
+
+    const response = await this.makeRequest(url, { ...conditionalHeaders, ...headers });
     if (!response) return null;
+    if (this.isDuplicateRedirect(url, parent, response)) return null;
+
+    if (await this.runHook('afterResponse', response, { url, depth, parent }) === false) {
+      this.recordHookVeto(url, parent, 'afterResponse', response.status);
+      return null;
+    }
+
+    // Not modified since the previous crawl, so its extracted data is still current
+    if (response.status === 304 && previousPage) {
+      return this.recordResponse(this.reusePreviousPage(previousPage, depth, parent), url, response);
+    }
 
-    const $ = cheerio.load(response.data);
+    const contentType = response.headers['content-type'];
+    const documentType = response.tooLarge ?
+      DocumentExtractor.getDocumentType(contentType) :
+      DocumentExtractor.getDocumentType(contentType, response.data);
+
+    if (response.tooLarge) {
+      this.logger.warn(`📦 ${url} is larger than ${this.options.maxResponseSize} bytes, storing metadata only`, { url, size: response.size });
+    }
+    if (documentType !== 'html' || response.tooLarge) {
+      return this.crawlDocument(url, depth, parent, response, documentType);
+    }
+
+    const $ = cheerio.load(DocumentExtractor.decode(response.data, contentType));
     
     // Extract page data
-    const pageData = DataExtractor.extractPageData($, url, depth, parent);
+    const pageData = await this.extractors.extractPageData($, url, depth, parent);
+    if (pageData.extractionErrors) {
+      this.logger.warn(`⚠️  Extractor errors on ${url}: ${JSON.stringify(pageData.extractionErrors)}`, {
+        url,
+        errors: pageData.extractionErrors
+      });
+    }
+    pageData.headers = DataExtractor.extractHeaders(response.headers);
+    if (response.redirects.length > 0) pageData.redirects = response.redirects;
+    this.recordResponse(pageData, url, response);
+
+    if (this.respectsRobots()) {
+      const directives = RobotsCache.getPageDirectives(pageData.meta, response.headers, this.options.userAgent);
+      if (directives.rules.length > 0) pageData.robots = directives;
+    }
     
-    // Extract links
-    pageData.links = DataExtractor.extractLinks($, url, this.baseDomain);
+    // Extract links, keeping out-of-scope ones on the page without following them
+    const links = DataExtractor.extractLinks($, url, this.baseDomain);
+    if (response.routes) {
+      links.push(...DataExtractor.extractRouteLinks(response.routes, this.baseDomain, links));
+    }
+    pageData.links = this.checkLinkScope(links);
     
     return pageData;
   }
 
-  async makeRequest(url, retryCount = 0) {
-    try {
-      const response = await axios.get(url, {
-        timeout: this.options.timeout,
-        headers: {
-          'User-Agent': this.options.userAgent,
-          'Accept': 'text/html,application/xhtml+xml,application/xml;q=0.9,*/*;q=0.8',
-          'Accept-Language': 'en-US,en;q=0.5',
-          'Accept-Encoding': 'gzip, deflate',
-          'Connection': 'keep-alive',
-          'Upgrade-Insecure-Requests': '1'
-        },
-        maxRedirects: 5,
-        validateStatus: (status) => {
-          // If ignoring restrictions, accept all status codes
-          if (this.options.ignoreRestrictions) {
-            return status >= 200 && status < 600; // Accept almost all responses
-          }
-
-          // Accept successful responses
-          if (status >= 200 && status < 300) return true;
-          
-          // If not skipping unauthorized, allow auth errors to be handled
-          if (!this.options.skipUnauthorized) {
-            return status < 500; // Allow client errors to be handled
-          }
-          
-          // Reject authorization-related errors immediately (don't retry)
-          if ([401, 403, 407, 429, 451].includes(status)) return false;
-          
-          // Reject other client/server errors immediately (don't retry)
-          if ([404, 410, 500, 502, 503, 504].includes(status)) return false;
-          
-          // Allow other status codes to be handled by axios
-          return status < 400;
-        }
+  // A URL redirecting to a page that was already crawled (e.g. /docs to /docs/) isn't
+  // stored twice; the redirect target is marked visited so it isn't fetched again later
+  isDuplicateRedirect(url, parent, response) {
+    const finalUrl = this.normalizer.normalize(response.finalUrl || url);
+    if (finalUrl === url) return false;
+
+    if (this.visited.has(finalUrl)) {
+      this.logger.info(`🔁 ${url} redirects to ${finalUrl}, which was already crawled`, { url, finalUrl });
+      this.recordSkip({
+        url,
+        reason: 'duplicate (redirect target already crawled)',
+        duplicateOf: finalUrl,
+        parent,
+        statusCode: response.redirects[0]?.status ?? response.status
       });
+      return true;
+    }
+
+    this.visited.add(finalUrl);
+    this.redirectTargets.set(url, finalUrl);
+    return false;
+  }
+
+  // PDFs, feeds, text, JSON and binaries skip the HTML extractors; feed items and PDF
+  // hyperlinks are followed like page links
+  async crawlDocument(url, depth, parent, response, documentType) {
+    const pageData = await DocumentExtractor.extract(documentType, response, {
+      url,
+      depth,
+      parent,
+      baseDomain: this.baseDomain
+    });
+    if (pageData.document.error) {
+      this.logger.warn(`⚠️  Could not read ${documentType} ${url}: ${pageData.document.error}`, { url, error: pageData.document.error });
+    }
+
+    pageData.headers = DataExtractor.extractHeaders(response.headers);
+    if (response.redirects.length > 0) pageData.redirects = response.redirects;
+    this.recordResponse(pageData, url, response);
+
+    if (this.respectsRobots()) {
+      const directives = RobotsCache.getPageDirectives({}, response.headers, this.options.userAgent);
+      if (directives.rules.length > 0) pageData.robots = directives;
+    }
+
+    pageData.links = this.checkLinkScope(pageData.links);
+    return pageData;
+  }
+
+  // What the server sent: status, final URL, body size and charset, and request timings (ms)
+  recordResponse(pageData, url, response) {
+    const contentType = response.headers['content-type'];
+    const timings = response.timings || null;
+
+    pageData.responseTime = timings ? timings.total : null;
+    pageData.http = {
+      status: response.status,
+      finalUrl: response.finalUrl || url,
+      redirectCount: response.redirects.length,
+      size: response.size ?? null,
+      contentEncoding: response.headers['content-encoding'] || null,
+      charset: response.data && DocumentExtractor.getDocumentType(contentType) !== 'binary' ?
+        DocumentExtractor.getCharset(response.data, contentType) : null,
+      timings
+    };
+    return pageData;
+  }
+
+  reusePreviousPage(previousPage, depth, parent) {
+    return {
+      ...previousPage,
+      depth,
+      parent,
+      crawledAt: new Date().toISOString(),
+      notModified: true,
+      // Scope rules may differ from the previous run
+      links: this.checkLinkScope(previousPage.links)
+    };
+  }
+
+  // Links are stored under their normalized URL; links that normalize to the same URL are kept once
+  checkLinkScope(links) {
+    const seenUrls = new Set();
+    const checked = [];
+
+    for (const link of links) {
+      const url = this.normalizer.normalize(link.url);
+      if (seenUrls.has(url)) continue;
+      seenUrls.add(url);
+
+      const rejectedBy = this.scope.check(url);
+      checked.push({ ...link, url, inScope: rejectedBy === null, rejectedBy });
+    }
+    return checked;
+  }
+
+  // The options as written to results and checkpoints, without auth secrets
+  getSavedOptions() {
+    if (!this.options.auth) return this.options;
+    return { ...this.options, auth: AuthSession.redact(this.options.auth) };
+  }
 
+  // Replays serve every page from the archive. Otherwise pages matching renderPatterns (or
+  // every page with renderer: 'browser') are rendered in a browser.
+  getFetcher(url) {
+    if (this.fetchers.warc) return this.fetchers.warc;
+    if (this.options.renderer === 'browser' || UrlUtils.matchesAnyPattern(url, this.renderPatterns)) {
+      return this.fetchers.browser;
+    }
+    return this.fetchers.http;
+  }
+
+  // Responses rejected by their status code are archived too, so a replay fails the same way.
+  // The throttle sees every outcome, with the time to first byte as the host's latency.
+  async makeRequest(url, extraHeaders = {}) {
+    const startedAt = Date.now();
+    const latency = response => response.timings?.ttfb ?? Date.now() - startedAt;
+    try {
+      const response = await this.getFetcher(url).fetch(url, extraHeaders);
+      if (this.throttle) this.throttle.recordResponse(url, response, latency(response));
+      await this.archive(url, extraHeaders, response);
       return response;
     } catch (error) {
-      // If ignoring restrictions, be more aggressive with retries
-      if (this.options.ignoreRestrictions) {
-        if (retryCount < this.options.retries) {
-          console.log(`🔄 Retrying ${url} (${retryCount + 1}/${this.options.retries}) - Ignoring restrictions`);
-          await this.sleep(1000 * (retryCount + 1)); // Exponential backoff
-          return this.makeRequest(url, retryCount + 1);
+      if (this.throttle && !this.signal?.aborted) {
+        if (error.response) {
+          this.throttle.recordResponse(url, error.response, latency(error.response));
+        } else {
+          this.throttle.recordError(url, error);
         }
-        throw error;
       }
+      if (error.response) await this.archive(url, extraHeaders, error.response);
+      throw error;
+    }
+  }
 
-      // Don't retry authorization-related errors if we're skipping them
-      const statusCode = error.response?.status;
-      const noRetryStatuses = this.options.skipUnauthorized ? 
-        [401, 403, 404, 407, 410, 429, 451, 500, 502, 503, 504] : 
-        [404, 410]; // Only skip permanent failures if not ignoring auth
-      
-      if (statusCode && noRetryStatuses.includes(statusCode)) {
-        throw error; // Don't retry, let handleCrawlError decide what to do
-      }
+  async archive(url, extraHeaders, response) {
+    if (!this.warc) return;
+    await this.warc.write(url, { 'User-Agent': this.options.userAgent, ...extraHeaders }, response);
+  }
 
-      // Retry for network errors and other temporary issues
-      if (retryCount < this.options.retries) {
-        console.log(`🔄 Retrying ${url} (${retryCount + 1}/${this.options.retries})`);
-        await this.sleep(1000 * (retryCount + 1)); // Exponential backoff
-        return this.makeRequest(url, retryCount + 1);
-      }
-      
-      throw error;
+  async closeFetchers() {
+    for (const fetcher of Object.values(this.fetchers)) {
+      await fetcher.close();
     }
   }
 
-  addLinksToQueue(links, depth, parent) {
+  async addLinksToQueue(links, depth, parent) {
     for (const link of links) {
-      if (!this.visited.has(link.url) && !this.isInQueue(link.url) && !this.isSkipped(link.url)) {
-        this.queue.push({ url: link.url, depth, parent });
-      }
+      const queued = link.inScope ? await this.enqueue(link.url, depth, parent) : false;
+      this.emit('linkDiscovered', { ...link, parent, depth, queued });
     }
   }
 
+  async enqueue(rawUrl, depth, parent) {
+    const url = this.normalizer.normalize(rawUrl);
+    if (this.visited.has(url) || this.isInQueue(url) || this.isSkipped(url)) return false;
+
+    // Skip if max depth reached
+    if (depth > this.options.maxDepth) return false;
+
+    // Start URLs are always crawled; everything else has to be in scope and pass shouldEnqueue
+    if (parent !== null) {
+      if (!this.scope.isInScope(url)) return false;
+      if (await this.runHook('shouldEnqueue', url, { depth, parent }) === false) return false;
+    }
+
+    return this.queue.push({ url, depth, parent });
+  }
+
   isInQueue(url) {
-    return this.queue.some(item => item.url === url);
+    return this.queue.has(url);
   }
 
   isSkipped(url) {
-    return this.skippedUrls.some(item => item.url === url);
+    return this.skippedSet.has(url);
   }
 
+  recordSkip(entry) {
+    this.skippedUrls.push(entry);
+    this.skippedSet.add(entry.url);
+    // Links to a duplicate count for the page stored in its place
+    if (this.graph && entry.duplicateOf) this.graph.addAlias(entry.url, entry.duplicateOf);
+    this.emit('pageSkipped', entry);
+  }
+
+  // Closes the output sinks with everything except the pages they already hold, then writes the summary
   async saveResults() {
     const crawlData = {
       crawlInfo: {
+        runId: this.runId,
         startUrl: this.baseUrl,
         domain: this.baseDomain,
         timestamp: new Date().toISOString(),
-        totalPages: this.results.length,
+        totalPages: this.stats.pages,
         totalTime: Date.now() - this.startTime,
+        completed: !this.stopping,
         failedRequests: this.failedUrls.length,
         skippedRequests: this.skippedUrls.length,
-        options: this.options
+        options: this.getSavedOptions()
       },
-      pages: this.results,
       failedUrls: this.failedUrls,
       skippedUrls: this.skippedUrls,
       statistics: {
-        totalLinks: this.results.reduce((sum, page) => sum + page.links.length, 0),
-        uniqueDomains: [...new Set(this.results.flatMap(page => 
-          page.links.map(link => UrlUtils.getDomain(link.url))
-        ))].length,
-        averageLinksPerPage: Math.round(
-          this.results.reduce((sum, page) => sum + page.links.length, 0) / this.results.length
-        ),
-        contentTypes: this.getContentTypeStats(),
-        skipReasons: this.getSkipReasonStats()
+        ...this.stats.getStatistics(),
+        skipReasons: this.getSkipReasonStats(),
+        scopeRejections: this.scope.getStats(),
+        ...(this.throttle && { throttle: this.throttle.getStats() })
       }
     };
 
-    return await FileManager.saveCrawlData(crawlData, this.baseDomain);
+    if (this.changes) {
+      crawlData.changes = this.changes.getReport(this.stats.crawledUrls, this.stats.changeStatuses);
+    }
+
+    if (this.sitemaps) {
+      crawlData.sitemaps = this.getSitemapReport();
+    }
+
+    if (this.linkAuditor) {
+      crawlData.linkAudit = this.linkAuditor.getReport();
+    }
+
+    if (this.duplicates) {
+      crawlData.nearDuplicates = this.duplicates.getReport();
+    }
+
+    let annotatePage = null;
+    if (this.graph) {
+      const files = await FileManager.saveGraph(this.graph, [].concat(this.options.graphFormats), this.outputBase);
+      crawlData.graph = { ...this.graph.getReport(), files };
+      annotatePage = (page) => {
+        page.graph = this.graph.getPageMetrics(page.url);
+      };
+      this.logger.info(`🕸️  Link graph: ${crawlData.graph.nodes} pages, ${crawlData.graph.edges} links, ${crawlData.graph.orphanCount} orphans, ${crawlData.graph.deadEndCount} dead ends`, {
+        nodes: crawlData.graph.nodes,
+        edges: crawlData.graph.edges,
+        orphans: crawlData.graph.orphanCount,
+        deadEnds: crawlData.graph.deadEndCount
+      });
+    }
+
+    const outputFiles = [];
+    for (const sink of this.sinks) {
+      outputFiles.push(await sink.close(crawlData, { annotatePage }));
+    }
+
+    let seoAudit = null;
+    if (this.seoAuditor) {
+      const report = this.seoAuditor.getReport();
+      seoAudit = { counts: report.counts, ...await FileManager.saveSeoAudit(report, crawlData.crawlInfo, this.outputBase) };
+      this.logger.info(`📋 SEO audit: ${report.counts.total} issues, report saved to ${seoAudit.reportFile}`, seoAudit);
+    }
+
+    const searchIndex = this.options.searchIndex ? await this.updateSearchIndex(crawlData, outputFiles) : null;
+
+    const summaryFile = await FileManager.saveSummary({
+      runId: this.runId,
+      domain: crawlData.crawlInfo.domain,
+      startUrl: crawlData.crawlInfo.startUrl,
+      crawledAt: crawlData.crawlInfo.timestamp,
+      totalPages: crawlData.crawlInfo.totalPages,
+      totalTime: crawlData.crawlInfo.totalTime,
+      statistics: crawlData.statistics,
+      topPages: this.stats.topPages,
+      failedUrlsCount: this.failedUrls.length,
+      ...(crawlData.linkAudit && {
+        linkAudit: {
+          checked: crawlData.linkAudit.checked,
+          broken: crawlData.linkAudit.broken,
+          redirected: crawlData.linkAudit.redirected
+        }
+      }),
+      ...(crawlData.nearDuplicates && {
+        nearDuplicates: {
+          clusters: crawlData.nearDuplicates.clusterCount,
+          duplicatePages: crawlData.nearDuplicates.duplicatePages
+        }
+      }),
+      ...(crawlData.graph && {
+        graph: {
+          nodes: crawlData.graph.nodes,
+          edges: crawlData.graph.edges,
+          orphans: crawlData.graph.orphanCount,
+          deadEnds: crawlData.graph.deadEndCount,
+          unreachable: crawlData.graph.unreachableCount,
+          topPages: crawlData.graph.topPages,
+          files: crawlData.graph.files
+        }
+      }),
+      ...(seoAudit && { seoAudit }),
+      ...(searchIndex && { searchIndex }),
+      ...(this.warc && { warcFile: this.warc.path }),
+      outputFiles
+    }, this.outputBase);
+
+    // A replay is not a new crawl of the site, so it stays out of the history
+    if (this.options.history && !this.options.replay) {
+      await this.recordRun(crawlData.crawlInfo, outputFiles, summaryFile);
+    }
+
+    return outputFiles;
   }
 
-  getContentTypeStats() {
-    const stats = {};
-    this.results.forEach(page => {
-      const type = page.contentType || 'unknown';
-      stats[type] = (stats[type] || 0) + 1;
-    });
-    return stats;
+  // Streams the pages back from the JSON or NDJSON output, so they never have to be held in
+  // memory together; the index itself, with each page's text, is loaded whole
+  async updateSearchIndex(crawlData, outputFiles) {
+    const resultFile = outputFiles.find(file => /\.(json|ndjson)$/.test(file));
+    if (!resultFile) {
+      this.logger.warn('⚠️  The search index is built from a json or ndjson output, and this crawl wrote neither');
+      return null;
+    }
+
+    try {
+      const update = await SearchIndex.update({ ...crawlData, pages: FileManager.readPages(resultFile) }, {
+        ...(typeof this.options.searchIndex === 'object' && this.options.searchIndex),
+        outputDir: this.options.outputDir
+      });
+      this.logger.info(`🔎 Search index: ${update.documents} pages (${update.added} added, ${update.updated} updated, ${update.removed} removed) in ${update.indexFile}`, update);
+      return update;
+    } catch (error) {
+      this.logger.warn(`⚠️  Could not update the search index: ${error.message}`, { error: error.message });
+      return null;
+    }
+  }
+
+  // A stopped run is recorded too, and its entry replaced once it has been resumed
+  async recordRun(crawlInfo, outputFiles, summaryFile) {
+    try {
+      await new CrawlHistory(this.options.outputDir).record({
+        runId: this.runId,
+        domain: crawlInfo.domain,
+        startUrl: crawlInfo.startUrl,
+        startedAt: this.startedAt,
+        finishedAt: crawlInfo.timestamp,
+        completed: crawlInfo.completed,
+        pages: crawlInfo.totalPages,
+        failedRequests: crawlInfo.failedRequests,
+        skippedRequests: crawlInfo.skippedRequests,
+        outputFiles,
+        summaryFile
+      });
+    } catch (error) {
+      this.logger.warn(`⚠️  Could not record the run in the crawl history: ${error.message}`, { error: error.message });
+    }
+  }
+
+  // Sitemap URLs that no crawled page links to
+  getSitemapReport() {
+    const orphans = this.sitemaps.getOrphans(this.stats.linkedUrls);
+    return {
+      sitemaps: this.sitemaps.sitemaps,
+      totalUrls: this.sitemaps.entries.size,
+      orphanCount: orphans.length,
+      orphans
+    };
   }
 
   getSkipReasonStats() {
@@ -366,4 +1327,8 @@ class WebCrawler {
   }
 }
 
+// Bumped when the checkpoint layout changes; older checkpoints can't be resumed
+WebCrawler.CHECKPOINT_VERSION = 9;
+WebCrawler.HOOK_NAMES = HOOK_NAMES;
+
 module.exports = WebCrawler;
\ No newline at end of file
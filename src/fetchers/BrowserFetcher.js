@@ -0,0 +1,166 @@
+const { performance } = require('perf_hooks');
+const { CanceledError } = require('axios');
+const Fetcher = require('./Fetcher');
+const DocumentExtractor = require('../utils/DocumentExtractor');
+
+// Runs in each page before its own scripts and records the URLs a client-side router
+// navigates to through the History API, which may never appear as <a href> links
+function recordRoutes() {
+  window.__crawlerRoutes = [];
+  for (const method of ['pushState', 'replaceState']) {
+    const original = history[method];
+    history[method] = function (state, title, url) {
+      if (url !== undefined && url !== null) {
+        window.__crawlerRoutes.push(new URL(url, location.href).href);
+      }
+      return original.apply(this, arguments);
+    };
+  }
+}
+
+// Renders pages in headless Chromium (Puppeteer) so content and links added by
+// JavaScript are in the HTML handed to the extractors. One browser is shared by all
+// requests and launched on first use.
+class BrowserFetcher extends Fetcher {
+  constructor(options = {}, logger, session = null) {
+    super(options, logger, session);
+    this.browser = null;
+  }
+
+  getBrowser() {
+    if (!this.browser) {
+      let puppeteer;
+      try {
+        puppeteer = require('puppeteer');
+      } catch {
+        throw new Error('Browser rendering needs the puppeteer package (npm install puppeteer)');
+      }
+
+      this.logger.info('🌐 Launching headless browser for rendering');
+      this.browser = puppeteer.launch({ headless: true, ...this.options.browserOptions });
+    }
+    return this.browser;
+  }
+
+  // Aborting the crawl closes the page, which ends whatever it is waiting for, and the request
+  // fails with the same CanceledError HttpFetcher gets from axios
+  async request(url, extraHeaders = {}) {
+    const { signal } = this.options;
+    const startedAt = performance.now();
+    const browser = await this.getBrowser();
+    const page = await browser.newPage();
+    const onAbort = () => page.close().catch(() => {});
+    if (signal) signal.addEventListener('abort', onAbort, { once: true });
+
+    try {
+      if (signal?.aborted) throw new CanceledError();
+      await page.setUserAgent(this.options.userAgent);
+      await page.evaluateOnNewDocument(recordRoutes);
+
+      // Session credentials and cookies go with every request to their host; extra headers
+      // (e.g. If-None-Match) are meant for the page, not for its scripts and images
+      await page.setRequestInterception(true);
+      page.on('request', (request) => {
+        const isPage = request.isNavigationRequest() && request.frame() === page.mainFrame();
+        const sessionHeaders = this.session ? this.session.getHeaders(request.url()) : {};
+        const headers = { ...sessionHeaders, ...(isPage ? extraHeaders : {}) };
+        request.continue(Object.keys(headers).length > 0 ? { headers: { ...request.headers(), ...headers } } : undefined);
+      });
+
+      const response = await page.goto(url, {
+        waitUntil: this.options.renderWaitUntil,
+        timeout: this.options.timeout
+      });
+      if (!response) {
+        throw new Error(`No response for ${url}`);
+      }
+      if (this.session) {
+        // Puppeteer joins repeated Set-Cookie headers with newlines
+        const setCookie = response.headers()['set-cookie'];
+        if (setCookie) this.session.storeCookies(response.url(), setCookie.split('\n'));
+      }
+
+      if (this.options.renderWaitFor && response.ok()) {
+        await page.waitForSelector(this.options.renderWaitFor, { timeout: this.options.timeout });
+      }
+
+      const chain = response.request().redirectChain();
+      const hops = [...chain.map(request => request.url()), response.url()];
+      const redirects = chain.map((request, index) => ({
+        url: request.url(),
+        status: request.response() ? request.response().status() : null,
+        location: hops[index + 1]
+      }));
+
+      const headers = response.headers();
+      const body = await this.readBody(page, response, headers);
+
+      return {
+        status: response.status(),
+        headers,
+        ...body,
+        redirects,
+        finalUrl: page.url(),
+        timings: this.getTimings(response.timing(), performance.now() - startedAt),
+        routes: [...new Set(await page.evaluate(() => window.__crawlerRoutes || []))]
+      };
+    } catch (error) {
+      if (signal?.aborted) throw new CanceledError();
+      throw error;
+    } finally {
+      if (signal) signal.removeEventListener('abort', onAbort);
+      if (!page.isClosed()) await page.close();
+    }
+  }
+
+  // { data, size, tooLarge } with the limits of HttpFetcher.readBody: binaries are only measured
+  // and bodies over maxResponseSize are dropped. Chromium has downloaded the body already, but
+  // it is not copied out of the browser when Content-Length says it is too large.
+  async readBody(page, response, headers) {
+    const maxSize = this.options.maxResponseSize;
+    const declaredSize = Number(headers['content-length']) || null;
+    const type = DocumentExtractor.getDocumentType(headers['content-type']);
+    const isBinary = type === 'binary';
+
+    if ((isBinary && declaredSize !== null) || (maxSize && declaredSize > maxSize)) {
+      return { data: null, size: declaredSize, tooLarge: !isBinary && declaredSize > maxSize };
+    }
+
+    // Only HTML is rendered; other documents are passed on as the bytes the server sent
+    const data = type === 'html' ? await page.content() : await response.buffer();
+    const size = Buffer.byteLength(data);
+    if (maxSize && size > maxSize) {
+      return { data: null, size: isBinary ? null : size, tooLarge: true };
+    }
+    return { data: isBinary ? null : data, size, tooLarge: false };
+  }
+
+  // Chromium's resource timing of the page request. Download is not reported separately:
+  // total runs until the page has rendered.
+  getTimings(timing, total) {
+    const round = ms => Math.round(ms * 10) / 10;
+    const span = (start, end) => (timing && start >= 0 && end >= start ? end - start : 0);
+    const tls = timing ? span(timing.sslStart, timing.sslEnd) : 0;
+
+    return {
+      redirect: null,
+      dns: round(timing ? span(timing.dnsStart, timing.dnsEnd) : 0),
+      connect: round(timing ? span(timing.connectStart, timing.connectEnd) - tls : 0),
+      tls: round(tls),
+      ttfb: timing ? round(span(timing.sendEnd, timing.receiveHeadersEnd)) : null,
+      download: null,
+      total: round(total)
+    };
+  }
+
+  async close() {
+    if (!this.browser) return;
+    const launching = this.browser;
+    this.browser = null;
+
+    const browser = await launching.catch(() => null);
+    if (browser) await browser.close();
+  }
+}
+
+module.exports = BrowserFetcher;
@@ -0,0 +1,126 @@
+const Backoff = require('../utils/Backoff');
+
+// Base class for page fetchers. A fetcher turns a URL into a response
+// { status, headers, data, size, tooLarge, redirects, finalUrl, timings } and shares the crawler's rules for which
+// status codes count as errors and when to retry. Subclasses implement request(url, headers).
+// With an AuthSession, requests carry its credentials and cookies, and a redirect to the
+// login page logs in again before the request is retried once.
+class Fetcher {
+  constructor(options = {}, logger, session = null) {
+    this.options = options;
+    this.logger = logger;
+    this.session = session;
+  }
+
+  async fetch(url, extraHeaders = {}, retryCount = 0) {
+    try {
+      const response = await this.requestWithSession(url, extraHeaders);
+      if (!this.acceptsStatus(response.status)) {
+        throw Fetcher.createStatusError(response);
+      }
+      return response;
+    } catch (error) {
+      // A cancelled crawl doesn't retry
+      if (this.options.signal?.aborted) throw error;
+
+      // The crawler's throttle pauses the host and defers the URL instead of holding a worker
+      if (this.isThrottled(error.response?.status)) throw error;
+
+      // If ignoring restrictions, be more aggressive with retries
+      if (this.options.ignoreRestrictions) {
+        if (retryCount < this.options.retries) {
+          this.logger.warn(`🔄 Retrying ${url} (${retryCount + 1}/${this.options.retries}) - Ignoring restrictions`);
+          await this.sleep(Backoff.getRetryDelay(error.response, retryCount));
+          return this.fetch(url, extraHeaders, retryCount + 1);
+        }
+        throw error;
+      }
+
+      // Don't retry authorization-related errors if we're skipping them
+      const statusCode = error.response?.status;
+      const noRetryStatuses = this.options.skipUnauthorized ?
+        [401, 403, 404, 407, 410, 429, 451, 500, 502, 503, 504] :
+        [404, 410]; // Only skip permanent failures if not ignoring auth
+
+      if (statusCode && noRetryStatuses.includes(statusCode)) {
+        throw error; // Don't retry, let handleCrawlError decide what to do
+      }
+
+      // Retry for network errors and other temporary issues
+      if (retryCount < this.options.retries) {
+        this.logger.warn(`🔄 Retrying ${url} (${retryCount + 1}/${this.options.retries})`);
+        await this.sleep(Backoff.getRetryDelay(error.response, retryCount));
+        return this.fetch(url, extraHeaders, retryCount + 1);
+      }
+
+      throw error;
+    }
+  }
+
+  async requestWithSession(url, extraHeaders) {
+    if (!this.session) return this.request(url, extraHeaders);
+
+    const generation = this.session.generation;
+    const response = await this.request(url, extraHeaders);
+    if (!this.session.isLoginRedirect(url, response)) return response;
+
+    await this.session.relogin(generation);
+    const retried = await this.request(url, extraHeaders);
+    if (this.session.isLoginRedirect(url, retried)) {
+      throw new Error(`Still redirected to the login page after logging in again: ${retried.finalUrl}`);
+    }
+    return retried;
+  }
+
+  async request(url, extraHeaders) {
+    throw new Error(`${this.constructor.name} must implement request(url, extraHeaders)`);
+  }
+
+  acceptsStatus(status) {
+    // Even without restrictions: a rate-limited response isn't the page
+    if (this.isThrottled(status)) return false;
+
+    // If ignoring restrictions, accept all status codes
+    if (this.options.ignoreRestrictions) {
+      return status >= 200 && status < 600; // Accept almost all responses
+    }
+
+    // Accept successful responses
+    if (status >= 200 && status < 300) return true;
+
+    // If not skipping unauthorized, allow auth errors to be handled
+    if (!this.options.skipUnauthorized) {
+      return status < 500; // Allow client errors to be handled
+    }
+
+    // Reject authorization-related errors immediately (don't retry)
+    if ([401, 403, 407, 429, 451].includes(status)) return false;
+
+    // Reject other client/server errors immediately (don't retry)
+    if ([404, 410, 500, 502, 503, 504].includes(status)) return false;
+
+    // Allow other status codes through
+    return status < 400;
+  }
+
+  // 429 and 503 are left to the crawler's throttle when it has one
+  isThrottled(status) {
+    return Boolean(this.options.throttle) && Backoff.isRateLimited(status);
+  }
+
+  // Same shape as an axios error, which handleCrawlError inspects
+  static createStatusError(response) {
+    const error = new Error(`Request failed with status code ${response.status}`);
+    error.response = response;
+    return error;
+  }
+
+  // Releases anything held between requests (e.g. a browser)
+  async close() {}
+
+  sleep(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+  }
+}
+
+module.exports = Fetcher;
@@ -0,0 +1,155 @@
+const axios = require('axios');
+const http = require('http');
+const https = require('https');
+const { performance } = require('perf_hooks');
+const Fetcher = require('./Fetcher');
+const DocumentExtractor = require('../utils/DocumentExtractor');
+
+// Records when a new connection finished its DNS lookup, TCP connect and TLS handshake
+function instrumentAgent(agent) {
+  const createConnection = agent.createConnection.bind(agent);
+  agent.createConnection = (options, callback) => {
+    const socket = createConnection(options, callback);
+    const timings = { startedAt: performance.now(), lookupAt: null, connectAt: null, secureAt: null };
+    socket.timings = timings;
+    socket.once('lookup', () => { timings.lookupAt = performance.now(); });
+    socket.once('connect', () => { timings.connectAt = performance.now(); });
+    socket.once('secureConnect', () => { timings.secureAt = performance.now(); });
+    return socket;
+  };
+  return agent;
+}
+
+const round = ms => Math.round(ms * 10) / 10;
+
+// Plain HTTP requests with axios; the page is whatever the server returns. Bodies are read
+// as a stream so binaries and responses over maxResponseSize are never held in memory.
+class HttpFetcher extends Fetcher {
+  constructor(options = {}, logger, session = null) {
+    super(options, logger, session);
+    this.agents = {
+      http: instrumentAgent(new http.Agent({ keepAlive: true })),
+      https: instrumentAgent(new https.Agent({ keepAlive: true }))
+    };
+  }
+
+  async request(url, extraHeaders = {}) {
+    // Each redirect axios follows, as { url, status, location }
+    const redirects = [];
+    let currentUrl = url;
+    const startedAt = performance.now();
+    let hopStartedAt = startedAt;
+
+    const response = await axios.get(url, {
+      timeout: this.options.timeout,
+      headers: {
+        'User-Agent': this.options.userAgent,
+        'Accept': 'text/html,application/xhtml+xml,application/xml;q=0.9,*/*;q=0.8',
+        'Accept-Language': 'en-US,en;q=0.5',
+        'Accept-Encoding': 'gzip, deflate',
+        'Connection': 'keep-alive',
+        'Upgrade-Insecure-Requests': '1',
+        ...(this.session && this.session.getHeaders(url)),
+        ...extraHeaders
+      },
+      responseType: 'stream',
+      signal: this.options.signal || undefined,
+      httpAgent: this.agents.http,
+      httpsAgent: this.agents.https,
+      maxRedirects: 5,
+      beforeRedirect: (redirectOptions, { statusCode, headers }) => {
+        redirects.push({ url: currentUrl, status: statusCode, location: redirectOptions.href });
+        if (this.session) this.session.onRedirect(currentUrl, headers, redirectOptions);
+        currentUrl = redirectOptions.href;
+        hopStartedAt = performance.now();
+      },
+      // Status codes are checked by Fetcher.acceptsStatus
+      validateStatus: () => true
+    });
+
+    const respondedAt = performance.now();
+    const connection = this.getConnectionTimings(response.request, hopStartedAt);
+    if (this.session) this.session.storeCookies(currentUrl, response.headers['set-cookie']);
+
+    const body = await this.readBody(response);
+    const finishedAt = performance.now();
+
+    return {
+      status: response.status,
+      headers: this.getHeaders(response),
+      ...body,
+      redirects,
+      finalUrl: currentUrl,
+      timings: {
+        redirect: round(hopStartedAt - startedAt),
+        dns: round(connection.dns),
+        connect: round(connection.connect),
+        tls: round(connection.tls),
+        ttfb: round(respondedAt - connection.readyAt),
+        download: round(finishedAt - respondedAt),
+        total: round(finishedAt - startedAt)
+      }
+    };
+  }
+
+  // axios drops Content-Encoding once it has decompressed the body; it is kept here as sent
+  getHeaders(response) {
+    const rawHeaders = response.request?.res?.rawHeaders || [];
+    const index = rawHeaders.findIndex((name, i) => i % 2 === 0 && name.toLowerCase() === 'content-encoding');
+    if (index === -1 || response.headers['content-encoding']) return response.headers;
+    return { ...response.headers, 'content-encoding': rawHeaders[index + 1] };
+  }
+
+  // Phases of the final request's connection; a reused keep-alive connection costs nothing
+  getConnectionTimings(request, hopStartedAt) {
+    const timings = request?.socket?.timings;
+    if (!timings || request.reusedSocket) {
+      return { dns: 0, connect: 0, tls: 0, readyAt: hopStartedAt };
+    }
+
+    // IP addresses skip the lookup, plain HTTP the handshake
+    const lookupAt = timings.lookupAt ?? timings.startedAt;
+    const connectAt = timings.connectAt ?? lookupAt;
+    const secureAt = timings.secureAt ?? connectAt;
+    return {
+      dns: lookupAt - timings.startedAt,
+      connect: connectAt - lookupAt,
+      tls: secureAt - connectAt,
+      readyAt: secureAt
+    };
+  }
+
+  // { data, size, tooLarge }. Binaries are only measured (from Content-Length when given),
+  // and a body over maxResponseSize is dropped as soon as it is known to be too large.
+  async readBody(response) {
+    const stream = response.data;
+    const maxSize = this.options.maxResponseSize;
+    const declaredSize = Number(response.headers['content-length']) || null;
+    const isBinary = DocumentExtractor.getDocumentType(response.headers['content-type']) === 'binary';
+
+    if ((isBinary && declaredSize !== null) || (maxSize && declaredSize > maxSize)) {
+      stream.destroy();
+      return { data: null, size: declaredSize, tooLarge: !isBinary && declaredSize > maxSize };
+    }
+
+    const chunks = [];
+    let size = 0;
+    for await (const chunk of stream) {
+      size += chunk.length;
+      if (maxSize && size > maxSize) {
+        stream.destroy();
+        return { data: null, size: isBinary ? null : size, tooLarge: true };
+      }
+      if (!isBinary) chunks.push(chunk);
+    }
+
+    return { data: isBinary ? null : Buffer.concat(chunks), size, tooLarge: false };
+  }
+
+  async close() {
+    this.agents.http.destroy();
+    this.agents.https.destroy();
+  }
+}
+
+module.exports = HttpFetcher;
@@ -0,0 +1,152 @@
+const fs = require('fs');
+const Fetcher = require('./Fetcher');
+const Warc = require('../utils/Warc');
+const UrlUtils = require('../utils/UrlUtils');
+const DocumentExtractor = require('../utils/DocumentExtractor');
+
+const MAX_REDIRECTS = 5;
+
+// Serves responses from WARC files instead of the network, so a crawl can be replayed
+// offline: same pages, same redirects, same status codes. Archives written by WarcWriter
+// are looked up through their .idx file; other archives are scanned once when first used.
+// When a URL was archived more than once, the last record wins. The archive doesn't change,
+// so failed requests are never retried.
+class WarcFetcher extends Fetcher {
+  constructor(options = {}, logger, session = null) {
+    super({ ...options, retries: 0 }, logger, session);
+    this.files = [].concat(options.replay || []);
+    // url -> { file, offset, length }
+    this.entries = new Map();
+    this.handles = new Map();
+    this.loading = null;
+  }
+
+  load() {
+    if (!this.loading) {
+      this.loading = (async () => {
+        for (const file of this.files) {
+          await this.indexFile(file);
+        }
+        this.logger.info(`📼 Replaying ${this.entries.size} archived URLs from ${this.files.join(', ')}`, {
+          files: this.files,
+          urls: this.entries.size
+        });
+      })();
+    }
+    return this.loading;
+  }
+
+  async indexFile(file) {
+    let index = null;
+    try {
+      index = await fs.promises.readFile(`${file}.idx`, 'utf8');
+    } catch {
+      // Not written by WarcWriter
+    }
+
+    if (index !== null) {
+      index.split('\n').filter(Boolean).forEach((line) => {
+        const { url, offset, length } = JSON.parse(line);
+        this.addEntry(url, { file, offset, length });
+      });
+      return;
+    }
+
+    let buffer;
+    try {
+      buffer = await fs.promises.readFile(file);
+    } catch (error) {
+      throw new Error(`Could not read WARC file ${file}: ${error.message}`);
+    }
+    for (const { offset, length, record } of Warc.scan(buffer, WarcFetcher.isCompressed(file))) {
+      const url = record.headers['warc-target-uri'];
+      if (url && ['response', 'resource'].includes(record.type)) {
+        this.addEntry(url.replace(/^<|>$/g, ''), { file, offset, length });
+      }
+    }
+  }
+
+  addEntry(url, entry) {
+    this.entries.set(url, entry);
+    const normalized = UrlUtils.normalizeUrl(url);
+    if (normalized !== url) this.entries.set(normalized, entry);
+  }
+
+  getEntry(url) {
+    return this.entries.get(url) || this.entries.get(UrlUtils.normalizeUrl(url)) || null;
+  }
+
+  static isCompressed(file) {
+    return /\.gz$/i.test(file);
+  }
+
+  async readEntry({ file, offset, length }) {
+    if (!this.handles.has(file)) this.handles.set(file, fs.promises.open(file, 'r'));
+    const handle = await this.handles.get(file);
+
+    const bytes = Buffer.alloc(length);
+    await handle.read(bytes, 0, length, offset);
+    return Warc.readRecord(bytes, WarcFetcher.isCompressed(file));
+  }
+
+  // The archived { status, headers, body, truncated } of one URL, without following redirects
+  async readResponse(url) {
+    await this.load();
+
+    const entry = this.getEntry(url);
+    if (!entry) throw WarcFetcher.createMissingError(url);
+
+    const record = await this.readEntry(entry);
+    const { status, headers, body } = record.type === 'resource' ?
+      { status: 200, headers: { 'content-type': record.headers['content-type'] }, body: record.block } :
+      Warc.parseHttpResponse(record.block);
+    // Truncated records are responses the crawler didn't read: binaries and oversized bodies
+    return { status, headers, body, truncated: Boolean(record.headers['warc-truncated']) };
+  }
+
+  // Same response shape as HttpFetcher, without timings
+  async request(url) {
+    const redirects = [];
+    let currentUrl = url;
+    for (;;) {
+      const { status, headers, body, truncated } = await this.readResponse(currentUrl);
+
+      if (status >= 300 && status < 400 && headers.location) {
+        if (redirects.length >= MAX_REDIRECTS) throw new Error('Maximum number of redirects exceeded');
+        const location = UrlUtils.resolveUrl(currentUrl, headers.location);
+        redirects.push({ url: currentUrl, status, location });
+        currentUrl = location;
+        continue;
+      }
+
+      const isBinary = DocumentExtractor.getDocumentType(headers['content-type']) === 'binary';
+      return {
+        status,
+        headers,
+        data: truncated ? null : body,
+        size: truncated ? (Number(headers['content-length']) || null) : body.length,
+        tooLarge: truncated && !isBinary,
+        redirects,
+        finalUrl: currentUrl,
+        timings: null
+      };
+    }
+  }
+
+  // A URL the archive has no response for; the crawler skips it
+  static createMissingError(url) {
+    const error = new Error(`Not in the WARC archive: ${url}`);
+    error.code = 'ENOTARCHIVED';
+    return error;
+  }
+
+  async close() {
+    const handles = [...this.handles.values()];
+    this.handles.clear();
+    for (const handle of handles) {
+      await (await handle).close();
+    }
+  }
+}
+
+module.exports = WarcFetcher;
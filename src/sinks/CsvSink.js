@@ -0,0 +1,45 @@
+const OutputSink = require('./OutputSink');
+
+// Page-level fields only; nested data (headings, links, content) stays in the JSON outputs
+const COLUMNS = {
+  url: page => page.url,
+  title: page => page.title,
+  description: page => page.meta?.description,
+  depth: page => page.depth,
+  parent: page => page.parent,
+  crawledAt: page => page.crawledAt,
+  contentType: page => page.contentType,
+  status: page => page.http?.status,
+  responseTime: page => page.responseTime,
+  size: page => page.http?.size,
+  wordCount: page => page.wordCount,
+  headingCount: page => page.headings?.length,
+  imageCount: page => page.images?.length,
+  linkCount: page => page.links?.length,
+  changeStatus: page => page.changeStatus,
+  discoveredVia: page => page.discoveredVia,
+  contentHash: page => page.contentHash
+};
+
+class CsvSink extends OutputSink {
+  async open(options = {}) {
+    await super.open(options);
+    if (this.offset === 0) {
+      await this.append(`${Object.keys(COLUMNS).join(',')}\n`);
+    }
+  }
+
+  format(page) {
+    return `${Object.values(COLUMNS).map(column => CsvSink.escape(column(page))).join(',')}\n`;
+  }
+
+  static escape(value) {
+    if (value === null || value === undefined) return '';
+    const text = String(value);
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  }
+}
+
+CsvSink.COLUMNS = Object.keys(COLUMNS);
+
+module.exports = CsvSink;
@@ -0,0 +1,57 @@
+const fs = require('fs');
+const readline = require('readline');
+const OutputSink = require('./OutputSink');
+
+const indent = (value, level) => JSON.stringify(value, null, 2).replace(/\n/g, `\n${'  '.repeat(level)}`);
+
+// The single pretty-printed JSON file. Pages are streamed to a side file while the crawl
+// runs and copied into place on close, so they never have to be held in memory.
+class JsonSink extends OutputSink {
+  constructor(options = {}) {
+    super(options);
+    this.streamPath = `${this.path}.pages`;
+  }
+
+  format(page) {
+    return `${JSON.stringify(page)}\n`;
+  }
+
+  // Writes { crawlInfo, pages, ...rest } with the same layout as JSON.stringify(data, null, 2)
+  async close(crawlData, { annotatePage = null } = {}) {
+    await this.end();
+
+    const { crawlInfo, ...rest } = crawlData;
+    const output = fs.createWriteStream(this.path);
+    const write = text => (output.write(text) ? null : new Promise(resolve => output.once('drain', resolve)));
+
+    await write(`{\n  "crawlInfo": ${indent(crawlInfo, 1)},\n  "pages": [`);
+
+    let count = 0;
+    const lines = readline.createInterface({ input: fs.createReadStream(this.streamPath), crlfDelay: Infinity });
+    for await (const line of lines) {
+      if (!line) continue;
+      const page = JSON.parse(line);
+      if (annotatePage) annotatePage(page);
+      await write(`${count === 0 ? '' : ','}\n    ${indent(page, 2)}`);
+      count++;
+    }
+
+    await write(count === 0 ? ']' : '\n  ]');
+    for (const [key, value] of Object.entries(rest)) {
+      await write(`,\n  ${JSON.stringify(key)}: ${indent(value, 1)}`);
+    }
+    await new Promise((resolve, reject) => {
+      output.once('error', reject);
+      output.end('\n}', resolve);
+    });
+
+    // A stopped crawl keeps its pages for resume
+    if (crawlInfo.completed) {
+      await fs.promises.unlink(this.streamPath);
+    }
+
+    return this.path;
+  }
+}
+
+module.exports = JsonSink;
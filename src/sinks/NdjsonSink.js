@@ -0,0 +1,10 @@
+const OutputSink = require('./OutputSink');
+
+// One page per line, written as soon as the page is crawled (tail -f friendly)
+class NdjsonSink extends OutputSink {
+  format(page) {
+    return `${JSON.stringify(page)}\n`;
+  }
+}
+
+module.exports = NdjsonSink;
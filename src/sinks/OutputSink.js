@@ -0,0 +1,82 @@
+const fs = require('fs');
+const path = require('path');
+
+// Base class for output sinks. The crawler calls open() once, write(page) as each page
+// finishes and close(crawlData, { annotatePage }) at the end, where crawlData holds everything
+// but the pages. Sinks that rewrite their pages on close pass each one to annotatePage(page),
+// which adds what is only known once the crawl is over (link graph scores).
+// File sinks append through a write stream and remember how many bytes they handed it,
+// so a resumed crawl can cut off lines written after the last checkpoint.
+class OutputSink {
+  constructor(options = {}) {
+    this.type = options.type;
+    this.path = path.resolve(process.cwd(), options.path);
+    this.streamPath = this.path; // Where pages are appended while the crawl runs
+    this.offset = options.offset || 0;
+    this.stream = null;
+  }
+
+  async open({ resume = false } = {}) {
+    await fs.promises.mkdir(path.dirname(this.path), { recursive: true });
+
+    if (resume) {
+      await this.truncate(this.streamPath, this.offset);
+    } else {
+      this.offset = 0;
+    }
+
+    this.stream = fs.createWriteStream(this.streamPath, { flags: resume ? 'a' : 'w' });
+    await new Promise((resolve, reject) => {
+      this.stream.once('open', resolve);
+      this.stream.once('error', reject);
+    });
+  }
+
+  // Drops anything past the checkpointed offset, e.g. pages written just before a crash
+  async truncate(filePath, offset) {
+    try {
+      const { size } = await fs.promises.stat(filePath);
+      if (size > offset) await fs.promises.truncate(filePath, offset);
+    } catch {
+      // Nothing written yet
+    }
+  }
+
+  async write(page) {
+    await this.append(this.format(page));
+  }
+
+  // Returns the text written for one page
+  format(page) {
+    throw new Error(`${this.constructor.name} must implement format(page)`);
+  }
+
+  async append(text) {
+    this.offset += Buffer.byteLength(text);
+    if (!this.stream.write(text)) {
+      await new Promise(resolve => this.stream.once('drain', resolve));
+    }
+  }
+
+  async close() {
+    await this.end();
+    return this.path;
+  }
+
+  end() {
+    if (!this.stream) return Promise.resolve();
+    const stream = this.stream;
+    this.stream = null;
+    return new Promise((resolve, reject) => {
+      stream.once('error', reject);
+      stream.end(resolve);
+    });
+  }
+
+  // Saved in checkpoints so a resumed crawl appends to the same file
+  toJSON() {
+    return { type: this.type, path: this.path, offset: this.offset };
+  }
+}
+
+module.exports = OutputSink;
@@ -0,0 +1,108 @@
+const fs = require('fs');
+const path = require('path');
+const OutputSink = require('./OutputSink');
+
+const SCHEMA = `
+  CREATE TABLE IF NOT EXISTS pages (
+    url TEXT PRIMARY KEY,
+    title TEXT,
+    depth INTEGER,
+    parent TEXT,
+    crawled_at TEXT,
+    content_type TEXT,
+    word_count INTEGER,
+    change_status TEXT,
+    content_hash TEXT,
+    data TEXT NOT NULL
+  );
+  CREATE TABLE IF NOT EXISTS links (
+    source TEXT NOT NULL,
+    target TEXT NOT NULL,
+    text TEXT,
+    internal INTEGER,
+    in_scope INTEGER
+  );
+  CREATE INDEX IF NOT EXISTS links_source ON links (source);
+  CREATE INDEX IF NOT EXISTS links_target ON links (target);
+  CREATE TABLE IF NOT EXISTS crawl (
+    key TEXT PRIMARY KEY,
+    value TEXT NOT NULL
+  );
+`;
+
+// A SQLite database with a pages table (full page JSON in "data"), a links table and a crawl
+// table holding crawlInfo, statistics and the other sections as JSON. Needs better-sqlite3.
+class SqliteSink extends OutputSink {
+  constructor(options = {}) {
+    super(options);
+    this.db = null;
+  }
+
+  async open({ resume = false } = {}) {
+    let Database;
+    try {
+      Database = require('better-sqlite3');
+    } catch {
+      throw new Error('The sqlite output needs the better-sqlite3 package (npm install better-sqlite3)');
+    }
+
+    await fs.promises.mkdir(path.dirname(this.path), { recursive: true });
+    if (!resume) {
+      await fs.promises.rm(this.path, { force: true });
+    }
+
+    this.db = new Database(this.path);
+    this.db.pragma('journal_mode = WAL');
+    this.db.exec(SCHEMA);
+
+    const insertPage = this.db.prepare(`
+      INSERT OR REPLACE INTO pages (url, title, depth, parent, crawled_at, content_type, word_count, change_status, content_hash, data)
+      VALUES (@url, @title, @depth, @parent, @crawledAt, @contentType, @wordCount, @changeStatus, @contentHash, @data)
+    `);
+    const deleteLinks = this.db.prepare('DELETE FROM links WHERE source = ?');
+    const insertLink = this.db.prepare('INSERT INTO links (source, target, text, internal, in_scope) VALUES (?, ?, ?, ?, ?)');
+
+    // Replacing a page (e.g. refetched after a resume) replaces its links too
+    this.insertPage = this.db.transaction((page) => {
+      insertPage.run({
+        url: page.url,
+        title: page.title ?? null,
+        depth: page.depth ?? null,
+        parent: page.parent ?? null,
+        crawledAt: page.crawledAt ?? null,
+        contentType: page.contentType ?? null,
+        wordCount: page.wordCount ?? null,
+        changeStatus: page.changeStatus ?? null,
+        contentHash: page.contentHash ?? null,
+        data: JSON.stringify(page)
+      });
+      deleteLinks.run(page.url);
+      for (const link of page.links || []) {
+        insertLink.run(page.url, link.url, link.text ?? null, link.isInternal ? 1 : 0, link.inScope === false ? 0 : 1);
+      }
+    });
+  }
+
+  async write(page) {
+    this.insertPage(page);
+  }
+
+  async close(crawlData) {
+    const upsert = this.db.prepare('INSERT OR REPLACE INTO crawl (key, value) VALUES (?, ?)');
+    this.db.transaction(() => {
+      for (const [key, value] of Object.entries(crawlData)) {
+        upsert.run(key, JSON.stringify(value));
+      }
+    })();
+
+    this.db.close();
+    this.db = null;
+    return this.path;
+  }
+
+  toJSON() {
+    return { type: this.type, path: this.path };
+  }
+}
+
+module.exports = SqliteSink;
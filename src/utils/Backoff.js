@@ -0,0 +1,51 @@
+// Statuses a server sends when it wants fewer requests
+const RATE_LIMIT_STATUSES = [429, 503];
+
+// Network errors that say nothing about the URL itself
+const TRANSIENT_ERROR_CODES = [
+  'ECONNRESET', 'ECONNREFUSED', 'ECONNABORTED', 'ETIMEDOUT', 'ESOCKETTIMEDOUT', 'EPIPE', 'EAI_AGAIN', 'EHOSTUNREACH', 'ENETUNREACH'
+];
+
+// Waiting times for retries: Retry-After headers and exponential backoff with jitter
+class Backoff {
+  // Milliseconds to wait from a Retry-After value (seconds or an HTTP date), or null when
+  // there is none or it can't be read. Dates in the past mean no wait.
+  static parseRetryAfter(value, now = Date.now()) {
+    if (value === undefined || value === null) return null;
+    const text = String(Array.isArray(value) ? value[0] : value).trim();
+    if (!text) return null;
+
+    if (/^\d+(\.\d+)?$/.test(text)) return Math.round(Number(text) * 1000);
+
+    const date = Date.parse(text);
+    if (Number.isNaN(date)) return null;
+    return Math.max(0, date - now);
+  }
+
+  // base * 2^attempt, capped at max, of which a random half is dropped ("equal jitter"), so
+  // requests that failed together don't all come back at the same moment
+  static getDelay(attempt, base = 1000, max = 30000) {
+    const ceiling = Math.min(max, base * 2 ** attempt);
+    return Math.round(ceiling / 2 + Math.random() * (ceiling / 2));
+  }
+
+  // Retry-After of a response when given (capped at max), otherwise the backoff delay
+  static getRetryDelay(response, attempt, base = 1000, max = 30000) {
+    const retryAfter = Backoff.parseRetryAfter(response?.headers?.['retry-after']);
+    return retryAfter !== null ? Math.min(retryAfter, max) : Backoff.getDelay(attempt, base, max);
+  }
+
+  static isRateLimited(status) {
+    return RATE_LIMIT_STATUSES.includes(status);
+  }
+
+  // Timeouts, refused and dropped connections: the request failed before any response
+  static isTransientError(error) {
+    if (error.response) return false;
+    return TRANSIENT_ERROR_CODES.includes(error.code) || /timeout|socket hang up/i.test(error.message);
+  }
+}
+
+Backoff.RATE_LIMIT_STATUSES = RATE_LIMIT_STATUSES;
+
+module.exports = Backoff;
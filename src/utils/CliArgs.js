@@ -0,0 +1,260 @@
+const fs = require('fs').promises;
+const path = require('path');
+const yaml = require('js-yaml');
+
+// Every flag maps onto a WebCrawler option (or a CLI-only setting when `cli` is set)
+const OPTION_DEFINITIONS = [
+  { flag: 'max-pages', key: 'maxPages', type: 'number', description: 'Maximum pages to crawl' },
+  { flag: 'delay', key: 'delay', type: 'number', description: 'Delay between requests to the same host (ms)' },
+  { flag: 'concurrency', key: 'concurrency', type: 'number', description: 'Pages fetched in parallel across all hosts' },
+  { flag: 'max-concurrency-per-host', key: 'maxConcurrencyPerHost', type: 'number', description: 'Parallel requests allowed per host' },
+  { flag: 'max-depth', key: 'maxDepth', type: 'number', description: 'Maximum crawl depth' },
+  { flag: 'respect-robots', key: 'respectRobots', type: 'boolean', description: 'Respect robots.txt' },
+  { flag: 'timeout', key: 'timeout', type: 'number', description: 'Request timeout (ms)' },
+  { flag: 'retries', key: 'retries', type: 'number', description: 'Number of retries for failed requests' },
+  { flag: 'throttle', key: 'throttle', type: 'boolean', description: 'Adapt each host\'s pace to its latency, errors and Retry-After, with a circuit breaker (default: on)' },
+  { flag: 'user-agent', key: 'userAgent', type: 'string', description: 'User-Agent header to send' },
+  { flag: 'skip-unauthorized', key: 'skipUnauthorized', type: 'boolean', description: 'Skip unauthorized/blocked URLs' },
+  { flag: 'ignore-restrictions', key: 'ignoreRestrictions', type: 'boolean', description: 'Ignore ALL crawling restrictions' },
+  { flag: 'scope', key: 'scope', type: 'string', description: 'Which links to follow: host, subdomains, domain, path or any' },
+  { flag: 'path-prefix', key: 'pathPrefix', type: 'string', description: 'Path prefix for --scope path (default: the start URL\'s directory)' },
+  { flag: 'include', key: 'include', type: 'list', description: 'Only follow URLs matching these globs or regex: patterns' },
+  { flag: 'exclude', key: 'exclude', type: 'list', description: 'Never follow URLs matching these globs or regex: patterns' },
+  { flag: 'audit-links', key: 'auditLinks', type: 'boolean', description: 'Check every link and image for broken links and redirect chains' },
+  { flag: 'link-audit-concurrency', key: 'linkAuditConcurrency', type: 'number', description: 'Parallel link checks (default: 10)' },
+  { flag: 'seo-audit', key: 'seoAudit', type: 'boolean', description: 'Write an SEO issue list and HTML report next to the summary' },
+  { flag: 'renderer', key: 'renderer', type: 'string', description: 'Fetch pages with http (default) or render them in a headless browser' },
+  { flag: 'render', key: 'renderPatterns', type: 'list', description: 'Render URLs matching these patterns in the browser' },
+  { flag: 'render-wait-until', key: 'renderWaitUntil', type: 'string', description: 'Browser page load event: load, domcontentloaded, networkidle0 or networkidle2 (default)' },
+  { flag: 'render-wait-for', key: 'renderWaitFor', type: 'string', description: 'CSS selector to wait for before reading a rendered page' },
+  { flag: 'max-response-size', key: 'maxResponseSize', type: 'number', description: 'Largest response body read, in bytes; bigger ones are stored as metadata only (0 = no limit)' },
+  { flag: 'respect-canonical', key: 'respectCanonical', type: 'boolean', description: 'Store pages under their declared canonical URL only (default: on)' },
+  { flag: 'near-duplicates', key: 'nearDuplicates', type: 'boolean', description: 'Report clusters of pages with nearly the same text (default: on)' },
+  { flag: 'graph', key: 'graph', type: 'boolean', description: 'Build the internal link graph: PageRank, click depth, orphans and dead ends' },
+  { flag: 'graph-formats', key: 'graphFormats', type: 'list', description: 'Graph exports to write: graphml, gexf, dot, json (default: all)' },
+  { flag: 'disable-extractors', key: 'disableExtractors', type: 'list', description: 'Built-in extractors to turn off (title, meta, structuredData, headings, content, images, contentType, wordCount)' },
+  { flag: 'output', short: 'o', key: 'outputDir', type: 'string', description: 'Directory to write results to' },
+  { flag: 'format', short: 'f', key: 'outputs', type: 'list', description: 'Outputs to write: json, ndjson, csv, sqlite, optionally as type:path (default: json)' },
+  { flag: 'sitemaps', key: 'sitemaps', type: 'boolean', description: 'Seed the queue from robots.txt and /sitemap.xml sitemaps (default: on)' },
+  { flag: 'max-sitemap-urls', key: 'maxSitemapUrls', type: 'number', description: 'Maximum URLs read from sitemaps' },
+  { flag: 'previous', key: 'previousCrawl', type: 'string', description: 'Previous result file to re-crawl incrementally against' },
+  { flag: 'checkpoint-interval', key: 'checkpointInterval', type: 'number', description: 'Save a resumable checkpoint every n ms (0 disables)' },
+  { flag: 'checkpoint-file', key: 'checkpointFile', type: 'string', description: 'Where to write the checkpoint (default: <output>/<domain>_<run-id>.checkpoint.json)' },
+  { flag: 'history', key: 'history', type: 'boolean', description: 'Record the run in <output>/<domain>.history.json (default: on)' },
+  { flag: 'warc', key: 'warc', type: 'boolean', description: 'Archive every request and response to <output>/<domain>_<run-id>.warc.gz' },
+  { flag: 'replay', key: 'replay', type: 'list', description: 'Crawl from these WARC files instead of the network' },
+  { flag: 'search-index', key: 'searchIndex', type: 'boolean', description: 'Add the pages to the search index in <output>/<domain>.search.json' },
+  { flag: 'config', short: 'c', key: 'config', type: 'string', cli: true, description: 'JSON or YAML config file' },
+  { flag: 'max-failures', key: 'maxFailures', type: 'string', cli: true, description: 'Exit non-zero when failed URLs exceed this count (or percentage, e.g. 10%)' },
+  { flag: 'limit', key: 'limit', type: 'number', cli: true, description: 'Results shown by "search" (default: 10)' },
+  { flag: 'port', key: 'port', type: 'number', cli: true, description: 'Port for "serve" (default: 3000)' },
+  { flag: 'host', key: 'host', type: 'string', cli: true, description: 'Address for "serve" to listen on (default: 127.0.0.1)' },
+  { flag: 'max-concurrent-crawls', key: 'maxConcurrentCrawls', type: 'number', cli: true, description: 'Crawls "serve" runs at the same time (default: 2)' },
+  { flag: 'quiet', short: 'q', key: 'quiet', type: 'boolean', cli: true, description: 'Only log errors' },
+  { flag: 'json', key: 'json', type: 'boolean', cli: true, description: 'Log as newline-delimited JSON' },
+  { flag: 'emoji', key: 'emoji', type: 'boolean', cli: true, description: 'Start log lines with emoji (default: on)' },
+  { flag: 'help', short: 'h', key: 'help', type: 'boolean', cli: true, description: 'Show this help' }
+];
+
+class CliArgs {
+  static parse(argv) {
+    const urls = [];
+    const values = {};
+
+    for (let i = 0; i < argv.length; i++) {
+      const arg = argv[i];
+
+      if (arg === '--') {
+        urls.push(...argv.slice(i + 1));
+        break;
+      }
+
+      if (!arg.startsWith('-') || arg === '-') {
+        urls.push(arg);
+        continue;
+      }
+
+      const { definition, negated, inlineValue } = this.findDefinition(arg);
+
+      if (definition.type === 'boolean') {
+        values[definition.key] = inlineValue !== undefined ? this.toBoolean(inlineValue, arg) : !negated;
+        continue;
+      }
+
+      let rawValue = inlineValue;
+      if (rawValue === undefined) {
+        rawValue = argv[++i];
+        if (rawValue === undefined) {
+          throw new Error(`Missing value for ${arg}`);
+        }
+      }
+
+      const value = this.coerce(definition, rawValue, arg);
+      if (definition.type === 'list') {
+        values[definition.key] = [...(values[definition.key] || []), ...value];
+      } else {
+        values[definition.key] = value;
+      }
+    }
+
+    return { urls, values };
+  }
+
+  static findDefinition(arg) {
+    let name = arg;
+    let inlineValue;
+
+    const equalsIndex = arg.indexOf('=');
+    if (equalsIndex !== -1) {
+      name = arg.slice(0, equalsIndex);
+      inlineValue = arg.slice(equalsIndex + 1);
+    }
+
+    let definition;
+    let negated = false;
+
+    if (name.startsWith('--')) {
+      const flag = name.slice(2);
+      definition = OPTION_DEFINITIONS.find(def => def.flag === flag);
+      if (!definition && flag.startsWith('no-')) {
+        definition = OPTION_DEFINITIONS.find(def => def.flag === flag.slice(3) && def.type === 'boolean');
+        negated = Boolean(definition);
+      }
+    } else {
+      definition = OPTION_DEFINITIONS.find(def => def.short === name.slice(1));
+    }
+
+    if (!definition) {
+      throw new Error(`Unknown option: ${name}`);
+    }
+
+    return { definition, negated, inlineValue };
+  }
+
+  static coerce(definition, rawValue, arg) {
+    switch (definition.type) {
+      case 'number': {
+        const number = Number(rawValue);
+        if (rawValue === '' || Number.isNaN(number)) {
+          throw new Error(`Expected a number for ${arg}, got "${rawValue}"`);
+        }
+        return number;
+      }
+      case 'list':
+        return String(rawValue).split(',').map(item => item.trim()).filter(Boolean);
+      default:
+        return rawValue;
+    }
+  }
+
+  static toBoolean(rawValue, arg) {
+    if (['true', '1', 'yes'].includes(rawValue)) return true;
+    if (['false', '0', 'no'].includes(rawValue)) return false;
+    throw new Error(`Expected true or false for ${arg}, got "${rawValue}"`);
+  }
+
+  static async loadConfigFile(filePath) {
+    const contents = await fs.readFile(filePath, 'utf8');
+    const extension = path.extname(filePath).toLowerCase();
+
+    let config;
+    try {
+      config = extension === '.json' ? JSON.parse(contents) : yaml.load(contents);
+    } catch (error) {
+      throw new Error(`Could not parse config file ${filePath}: ${error.message}`);
+    }
+
+    if (!config || typeof config !== 'object' || Array.isArray(config)) {
+      throw new Error(`Config file ${filePath} must contain an object of options`);
+    }
+
+    return config;
+  }
+
+  // Split merged values into WebCrawler options and CLI-only settings
+  static splitOptions(values) {
+    const cliKeys = OPTION_DEFINITIONS.filter(def => def.cli).map(def => def.key);
+    const crawlerOptions = {};
+    const cliSettings = {};
+
+    for (const [key, value] of Object.entries(values)) {
+      if (key === 'urls') continue;
+      if (cliKeys.includes(key)) {
+        cliSettings[key] = value;
+      } else {
+        crawlerOptions[key] = value;
+      }
+    }
+
+    return { crawlerOptions, cliSettings };
+  }
+
+  // Accepts "5" (absolute count) or "10%" (share of attempted URLs)
+  static exceedsFailureThreshold(threshold, failedCount, attemptedCount) {
+    if (threshold === undefined || threshold === null || threshold === '') return false;
+
+    const value = String(threshold).trim();
+    if (value.endsWith('%')) {
+      const percent = Number(value.slice(0, -1));
+      if (Number.isNaN(percent)) throw new Error(`Invalid failure threshold: ${threshold}`);
+      return attemptedCount > 0 && (failedCount / attemptedCount) * 100 > percent;
+    }
+
+    const count = Number(value);
+    if (Number.isNaN(count)) throw new Error(`Invalid failure threshold: ${threshold}`);
+    return failedCount > count;
+  }
+
+  static usage() {
+    const lines = [
+      'Usage: node crawler.js [options] [url...]',
+      '       node crawler.js resume <checkpoint-file> [options]',
+      '       node crawler.js audit <result-file> [options]',
+      '       node crawler.js graph <result-file> [options]',
+      '       node crawler.js history [domain] [options]',
+      '       node crawler.js diff <domain> | diff <base-run> <target-run> [options]',
+      '       node crawler.js index <result-file...> [options]',
+      '       node crawler.js search <domain> <query...> [options]',
+      '       node crawler.js serve [--port n] [--host value] [options]',
+      '',
+      'Crawls each start URL and saves the results as JSON.',
+      'Without a URL (on the command line or in a config file) you are prompted for one.',
+      'Press Ctrl+C to stop a crawl; it saves a checkpoint that "resume" continues from.',
+      '"audit" writes the SEO audit of an earlier JSON or NDJSON result next to it.',
+      '"graph" writes the link graph exports of an earlier JSON or NDJSON result next to it.',
+      '"history" lists the runs recorded in the output directory, for all domains or one.',
+      '"diff" compares the last two completed runs of a domain, or two runs given by run ID or',
+      'result file, and writes JSON and text reports next to the newer one.',
+      '"index" adds earlier JSON or NDJSON results to the search index of their domain.',
+      '"search" ranks the indexed pages of a domain by a query and prints them with snippets.',
+      '"serve" runs an HTTP API for submitting crawls; the options are the defaults for each crawl.',
+      '',
+      'Options:'
+    ];
+
+    for (const def of OPTION_DEFINITIONS) {
+      const names = [def.short ? `-${def.short}` : null, `--${def.flag}`].filter(Boolean).join(', ');
+      const suffix = def.type === 'boolean' ? '' : ` <${{ number: 'n', list: 'a,b,...' }[def.type] || 'value'}>`;
+      lines.push(`  ${(names + suffix).padEnd(32)} ${def.description}`);
+    }
+
+    lines.push(
+      '',
+      'Boolean options can be negated with --no-<option>.',
+      '',
+      'Exit codes:',
+      '  0    Crawl completed',
+      '  1    Crawl failed',
+      '  2    Invalid arguments or config file',
+      '  3    Failed URLs exceeded --max-failures',
+      '  4    "diff" found removed pages or newly broken URLs',
+      '  130  Crawl stopped with Ctrl+C (checkpoint saved)'
+    );
+
+    return lines.join('\n');
+  }
+}
+
+CliArgs.OPTION_DEFINITIONS = OPTION_DEFINITIONS;
+
+module.exports = CliArgs;
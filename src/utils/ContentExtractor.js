@@ -0,0 +1,178 @@
+// Never part of a page's text
+const NON_CONTENT_SELECTOR = 'script, style, noscript, template, [hidden], [aria-hidden="true"]';
+
+// Page chrome; headers and footers inside an article or main element are kept
+const CHROME_SELECTOR = 'nav, aside, [role="navigation"], [role="complementary"], [role="banner"], [role="contentinfo"]';
+const SECTION_CHROME_SELECTOR = 'header, footer';
+
+// Class and id patterns of the Readability algorithm (Arc90, later Mozilla)
+const UNLIKELY_CANDIDATES = /-ad-|ai2html|banner|breadcrumbs|combx|comment|community|cover-wrap|disqus|extra|gdpr|legends|menu|related|remark|replies|rss|shoutbox|sidebar|skyscraper|social|sponsor|supplemental|ad-break|agegate|pagination|pager|popup|yom-remote|cookie|newsletter/i;
+const MAYBE_CANDIDATE = /and|article|body|column|content|main|shadow/i;
+const POSITIVE = /article|body|content|entry|hentry|h-entry|main|page|pagination|post|text|blog|story/i;
+const NEGATIVE = /-ad-|hidden|^hid$| hid$| hid |^hid |banner|combx|comment|com-|contact|foot|footer|footnote|gdpr|masthead|media|meta|outbrain|promo|related|scroll|share|shoutbox|sidebar|skyscraper|sponsor|shopping|tags|tool|widget/i;
+
+// Elements whose text is scored, and block elements that stop a div from counting as a paragraph
+const SCORED_TAGS = ['p', 'pre', 'td', 'h2', 'h3', 'h4', 'h5', 'h6'];
+const BLOCK_SELECTOR = 'a, blockquote, dl, div, img, ol, p, pre, table, ul, section, article, header, footer, figure';
+
+const BLOCK_TAGS = new Set([
+  'address', 'article', 'aside', 'blockquote', 'body', 'caption', 'dd', 'details', 'dialog', 'div', 'dl', 'dt',
+  'fieldset', 'figcaption', 'figure', 'footer', 'form', 'h1', 'h2', 'h3', 'h4', 'h5', 'h6', 'header', 'hgroup',
+  'hr', 'li', 'main', 'nav', 'ol', 'p', 'pre', 'section', 'summary', 'table', 'tbody', 'td', 'tfoot', 'th',
+  'thead', 'tr', 'ul'
+]);
+
+const MIN_PARAGRAPH_LENGTH = 25;
+const ANCESTOR_LEVELS = 5;
+
+// Finds the main content of a page with a Readability-style boilerplate score: text blocks
+// score by their length and commas, pass their score on to their parent and (less of it) to
+// further ancestors, and the element with the best score, discounted by its share of link
+// text, wins, together with siblings that look like part of the same content. Everything
+// happens on a copy of the body, so the document stays whole for the other extractors and
+// link discovery.
+class ContentExtractor {
+  // A copy of the body without scripts, hidden elements and page chrome
+  static getBodyCopy($) {
+    const $body = $('body').first().clone();
+    $body.find(NON_CONTENT_SELECTOR).remove();
+    $body.find(CHROME_SELECTOR).remove();
+    $body.find(SECTION_CHROME_SELECTOR).filter((_, element) => $(element).parents('article, main').length === 0).remove();
+    return $body;
+  }
+
+  // The main content elements of a copy of the body, in document order. contentSelectors
+  // are tried first; without a match (or any scored text) the whole copy is returned.
+  static findMainContent($, $body, contentSelectors = []) {
+    if (contentSelectors.length > 0) {
+      const selected = $body.find(contentSelectors.join(', ')).first();
+      if (selected.length > 0) return [selected[0]];
+    }
+
+    ContentExtractor.removeUnlikelyCandidates($, $body);
+
+    const scores = ContentExtractor.scoreParagraphs($, $body);
+    let top = null;
+    let topScore = 0;
+    for (const [element, score] of scores) {
+      const adjusted = score * (1 - ContentExtractor.getLinkDensity($, element));
+      scores.set(element, adjusted);
+      if (adjusted > topScore) {
+        top = element;
+        topScore = adjusted;
+      }
+    }
+
+    if (!top) return [$body[0]];
+    return ContentExtractor.withSiblings($, top, topScore, scores);
+  }
+
+  static removeUnlikelyCandidates($, $body) {
+    $body.find('*').each((_, element) => {
+      if (['a', 'body', 'table', 'tbody', 'tr', 'td', 'th', 'code', 'pre'].includes(element.tagName)) return;
+      const $element = $(element);
+      const match = `${$element.attr('class') || ''} ${$element.attr('id') || ''}`;
+      const role = $element.attr('role');
+      if ((UNLIKELY_CANDIDATES.test(match) && !MAYBE_CANDIDATE.test(match) && $element.parents('table, code').length === 0) ||
+          ['menu', 'menubar', 'alert', 'alertdialog', 'dialog'].includes(role)) {
+        $element.remove();
+      }
+    });
+  }
+
+  // element -> score of every element that received points from a text block
+  static scoreParagraphs($, $body) {
+    const scores = new Map();
+
+    $body.find('*').each((_, element) => {
+      const isTextDiv = element.tagName === 'div' && $(element).children(BLOCK_SELECTOR).length === 0;
+      if (!SCORED_TAGS.includes(element.tagName) && !isTextDiv) return;
+
+      const text = ContentExtractor.getText($(element));
+      if (text.length < MIN_PARAGRAPH_LENGTH) return;
+
+      const score = 1 + (text.match(/[,，、]/g) || []).length + Math.min(Math.floor(text.length / 100), 3);
+      let ancestor = element.parent;
+      for (let level = 0; level < ANCESTOR_LEVELS && ancestor && ancestor.type === 'tag'; level++) {
+        if (!scores.has(ancestor)) scores.set(ancestor, ContentExtractor.getInitialScore($, ancestor));
+        const divider = level === 0 ? 1 : level === 1 ? 2 : level * 3;
+        scores.set(ancestor, scores.get(ancestor) + score / divider);
+        ancestor = ancestor.parent;
+      }
+    });
+
+    return scores;
+  }
+
+  static getInitialScore($, element) {
+    const tagScores = { div: 5, pre: 3, td: 3, blockquote: 3, address: -3, ol: -3, ul: -3, dl: -3, dd: -3, dt: -3, li: -3, form: -3, th: -5 };
+    const headingScore = /^h[1-6]$/.test(element.tagName) ? -5 : 0;
+    return (tagScores[element.tagName] || headingScore) + ContentExtractor.getClassWeight($(element));
+  }
+
+  static getClassWeight($element) {
+    let weight = 0;
+    for (const value of [$element.attr('class'), $element.attr('id')]) {
+      if (!value) continue;
+      if (NEGATIVE.test(value)) weight -= 25;
+      if (POSITIVE.test(value)) weight += 25;
+    }
+    return weight;
+  }
+
+  // Share of an element's text that is link text
+  static getLinkDensity($, element) {
+    const length = ContentExtractor.getText($(element)).length;
+    if (length === 0) return 0;
+    let linkLength = 0;
+    $(element).find('a').each((_, link) => {
+      linkLength += ContentExtractor.getText($(link)).length;
+    });
+    return linkLength / length;
+  }
+
+  // The top candidate plus siblings that scored well themselves or read like paragraphs
+  static withSiblings($, top, topScore, scores) {
+    if (!top.parent || top.parent.type !== 'tag') return [top];
+
+    const threshold = Math.max(10, topScore * 0.2);
+    const topClass = $(top).attr('class') || '';
+    return $(top.parent).children().toArray().filter((sibling) => {
+      if (sibling === top) return true;
+
+      const bonus = topClass && $(sibling).attr('class') === topClass ? topScore * 0.2 : 0;
+      if (scores.has(sibling) && scores.get(sibling) + bonus >= threshold) return true;
+      if (sibling.tagName !== 'p') return false;
+
+      const text = ContentExtractor.getText($(sibling));
+      const linkDensity = ContentExtractor.getLinkDensity($, sibling);
+      return (text.length > 80 && linkDensity < 0.25) || (text.length > 0 && linkDensity === 0 && /\.( |$)/.test(text));
+    });
+  }
+
+  static getText($element) {
+    return $element.text().replace(/\s+/g, ' ').trim();
+  }
+
+  // Text of a list of elements with a space around each block, so the words of neighbouring
+  // paragraphs, cells and list items don't run together
+  static getBlockText(elements) {
+    const parts = [];
+    const walk = (node) => {
+      if (node.type === 'text') {
+        parts.push(node.data);
+      } else if (node.type === 'tag') {
+        const separate = BLOCK_TAGS.has(node.tagName) || node.tagName === 'br';
+        if (separate) parts.push(' ');
+        (node.children || []).forEach(walk);
+        if (separate) parts.push(' ');
+      }
+    };
+    elements.forEach(walk);
+    return parts.join('').replace(/\s+/g, ' ').trim();
+  }
+}
+
+ContentExtractor.BLOCK_TAGS = BLOCK_TAGS;
+
+module.exports = ContentExtractor;
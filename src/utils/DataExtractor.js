@@ -1,21 +1,69 @@
+const crypto = require('crypto');
 const UrlUtils = require('./UrlUtils');
+const ContentExtractor = require('./ContentExtractor');
+const MarkdownConverter = require('./MarkdownConverter');
+
+// Response headers kept on each page record
+const STORED_HEADERS = [
+  'content-type', 'content-length', 'content-encoding', 'content-language', 'etag', 'last-modified',
+  'cache-control', 'expires', 'server', 'x-robots-tag'
+];
+
+// Limits of the built-in extractors; a limit of 0 means no limit
+const DEFAULT_EXTRACTION_OPTIONS = {
+  maxParagraphs: 10,
+  maxLists: 5,
+  maxImages: 20,
+  contentSelectors: [], // Tried before the main content is found by scoring
+  markdown: true // Store the main content as Markdown too
+};
 
 class DataExtractor {
-  static extractPageData($, url, depth, parent) {
-    return {
+  static extractPageData($, url, depth, parent, options = DEFAULT_EXTRACTION_OPTIONS) {
+    const pageData = {
       url,
       title: this.extractTitle($),
+      titleSource: this.getTitleSource($),
       meta: this.extractMeta($),
       headings: this.extractHeadings($),
-      content: this.extractContent($),
-      images: this.extractImages($, url),
+      content: this.extractContent($, options, url),
+      images: this.extractImages($, url, options.maxImages ?? DEFAULT_EXTRACTION_OPTIONS.maxImages),
       depth,
       parent,
       crawledAt: new Date().toISOString(),
       contentType: this.extractContentType($),
       wordCount: this.getWordCount($),
-      responseTime: Date.now()
+      responseTime: null // Set by the crawler from the response timings
     };
+
+    pageData.contentHash = this.hashContent(pageData);
+    return pageData;
+  }
+
+  // Hashes the extracted content rather than the raw HTML, so markup-only changes
+  // (tokens, inline scripts) don't mark a page as changed
+  static hashContent(pageData) {
+    const content = JSON.stringify([
+      pageData.title ?? null,
+      pageData.meta ?? null,
+      pageData.headings ?? null,
+      pageData.content?.text ?? null
+    ]);
+    return crypto.createHash('sha256').update(content).digest('hex');
+  }
+
+  static extractHeaders(headers = {}) {
+    const stored = {};
+    for (const name of STORED_HEADERS) {
+      if (headers[name] !== undefined) stored[name] = headers[name];
+    }
+    return stored;
+  }
+
+  // Where extractTitle found the title: 'title', 'h1' (no <title> on the page) or null
+  static getTitleSource($) {
+    if ($('title').first().text().trim()) return 'title';
+    return $('h1').first().text().trim() ? 'h1' : null;
   }
 
   static extractTitle($) {
@@ -65,37 +113,43 @@ class DataExtractor {
     return headings;
   }
 
-  static extractContent($) {
-    // Remove script and style elements
-    $('script, style, nav, header, footer, aside').remove();
-    
-    // Extract main content
-    const mainContent = $('main, article, .content, #content, .post-content').first();
-    const contentText = mainContent.length > 0 ? 
-      mainContent.text() : 
-      $('body').text();
-
-    return {
-      text: contentText.replace(/\s+/g, ' ').trim(),
-      paragraphs: this.extractParagraphs($),
-      lists: this.extractLists($)
+  // Works on a copy of the body, so page chrome stays in the document for link discovery.
+  // url makes the links and images in the Markdown absolute.
+  static extractContent($, options = DEFAULT_EXTRACTION_OPTIONS, url = null) {
+    const contentSelectors = [].concat(options.contentSelectors || DEFAULT_EXTRACTION_OPTIONS.contentSelectors);
+    const elements = ContentExtractor.findMainContent($, ContentExtractor.getBodyCopy($), contentSelectors);
+    const $content = $(elements);
+
+    const content = {
+      text: ContentExtractor.getBlockText(elements),
+      paragraphs: this.extractParagraphs($, options.maxParagraphs ?? DEFAULT_EXTRACTION_OPTIONS.maxParagraphs, $content),
+      lists: this.extractLists($, options.maxLists ?? DEFAULT_EXTRACTION_OPTIONS.maxLists, $content)
     };
+    if (options.markdown ?? DEFAULT_EXTRACTION_OPTIONS.markdown) {
+      content.markdown = MarkdownConverter.convert($, elements, url);
+    }
+    return content;
+  }
+
+  // $scope (the whole document by default) and its descendants
+  static select($, selector, $scope = null) {
+    return $scope ? $scope.filter(selector).add($scope.find(selector)) : $(selector);
   }
 
-  static extractParagraphs($) {
+  static extractParagraphs($, limit = DEFAULT_EXTRACTION_OPTIONS.maxParagraphs, $scope = null) {
     const paragraphs = [];
-    $('p').each((_, element) => {
+    this.select($, 'p', $scope).each((_, element) => {
       const text = $(element).text().trim();
       if (text && text.length > 10) {
         paragraphs.push(text);
       }
     });
-    return paragraphs.slice(0, 10); // Limit to first 10 paragraphs
+    return this.limit(paragraphs, limit);
   }
 
-  static extractLists($) {
+  static extractLists($, limit = DEFAULT_EXTRACTION_OPTIONS.maxLists, $scope = null) {
     const lists = [];
-    $('ul, ol').each((_, element) => {
+    this.select($, 'ul, ol', $scope).each((_, element) => {
       const $list = $(element);
       const items = [];
       $list.find('li').each((_, li) => {
@@ -109,15 +163,16 @@ class DataExtractor {
         });
       }
     });
-    return lists.slice(0, 5); // Limit to first 5 lists
+    return this.limit(lists, limit);
   }
 
-  static extractImages($, baseUrl) {
+  static extractImages($, baseUrl, limit = DEFAULT_EXTRACTION_OPTIONS.maxImages) {
     const images = [];
     $('img').each((_, element) => {
       const $img = $(element);
       const src = $img.attr('src');
-      const alt = $img.attr('alt') || '';
+      // null when there is no alt attribute; alt="" marks a decorative image
+      const alt = $img.attr('alt') ?? null;
       
       if (src) {
         const absoluteUrl = UrlUtils.resolveUrl(baseUrl, src);
@@ -130,7 +185,11 @@ class DataExtractor {
         }
       }
     });
-    return images.slice(0, 20); // Limit to first 20 images
+    return this.limit(images, limit);
+  }
+
+  static limit(items, limit) {
+    return limit > 0 ? items.slice(0, limit) : items;
   }
 
   static extractLinks($, baseUrl, baseDomain) {
@@ -145,7 +204,7 @@ class DataExtractor {
       if (!href) return;
 
       const absoluteUrl = UrlUtils.resolveUrl(baseUrl, href);
-      if (!absoluteUrl || UrlUtils.shouldSkipUrl(absoluteUrl)) return;
+      if (!absoluteUrl) return;
 
       const normalizedUrl = UrlUtils.normalizeUrl(absoluteUrl);
       if (seenUrls.has(normalizedUrl)) return;
@@ -165,6 +224,29 @@ class DataExtractor {
     return links;
   }
 
+  // Links for URLs a client-side router navigated to, skipping ones already in links
+  static extractRouteLinks(routes, baseDomain, links = []) {
+    const seenUrls = new Set(links.map(link => link.url));
+    const routeLinks = [];
+
+    for (const route of routes) {
+      const normalizedUrl = UrlUtils.normalizeUrl(route);
+      if (seenUrls.has(normalizedUrl)) continue;
+      seenUrls.add(normalizedUrl);
+
+      routeLinks.push({
+        url: normalizedUrl,
+        text: '',
+        title: '',
+        isInternal: UrlUtils.isSameDomain(route, `https://${baseDomain}`),
+        domain: UrlUtils.getDomain(route),
+        clientRoute: true
+      });
+    }
+
+    return routeLinks;
+  }
+
   static extractContentType($) {
     // Try to determine content type from meta tags or structure
     if ($('article, .post, .blog-post').length > 0) return 'article';
@@ -174,10 +256,13 @@ class DataExtractor {
     return 'page';
   }
 
+  // Words of the body without scripts and page chrome
   static getWordCount($) {
-    const text = $('body').text();
+    const text = ContentExtractor.getBodyCopy($).text();
     return text.split(/\s+/).filter(word => word.length > 0).length;
   }
 }
 
+DataExtractor.DEFAULT_EXTRACTION_OPTIONS = DEFAULT_EXTRACTION_OPTIONS;
+
 module.exports = DataExtractor;
\ No newline at end of file
@@ -0,0 +1,62 @@
+// Renders a CrawlDiff report as plain text, e.g. for a weekly email or a CI log
+const MAX_LIST = 20; // Links and headings listed per page before "... and n more"
+
+class DiffReport {
+  static render(diff) {
+    const lines = [];
+    const run = side => `${side.runId || side.file || 'unknown run'}${side.timestamp ? ` (${side.timestamp})` : ''}, ${side.pages} pages`;
+    const quote = value => (value === null || value === undefined ? '(none)' : JSON.stringify(value));
+    const { counts } = diff;
+
+    lines.push(
+      `Crawl diff: ${diff.target.startUrl || diff.base.startUrl || ''}`,
+      `  base:   ${run(diff.base)}`,
+      `  target: ${run(diff.target)}`,
+      '',
+      `${counts.added} added, ${counts.removed} removed, ${counts.changed} changed, ${counts.unchanged} unchanged pages`,
+      `${counts.newBroken} newly broken or failed URLs, ${counts.fixed} fixed`,
+      `${counts.linksAdded} internal links added, ${counts.linksRemoved} removed`
+    );
+
+    const section = (title, items, render) => {
+      if (items.length === 0) return;
+      lines.push('', `${title} (${items.length})`);
+      items.forEach(item => lines.push(...[].concat(render(item))));
+    };
+    const list = (items, prefix) => {
+      const shown = items.slice(0, MAX_LIST).map(item => `      ${prefix} ${item}`);
+      if (items.length > MAX_LIST) shown.push(`      ... and ${items.length - MAX_LIST} more`);
+      return shown;
+    };
+
+    section('Newly broken or failed', diff.broken.new, entry => `  ! ${entry.url}  ${entry.status || entry.error || ''}${entry.source ? `  (from ${entry.source})` : ''}`);
+    section('Removed pages', diff.removed, page => `  - ${page.url}${page.title ? `  ${quote(page.title)}` : ''}`);
+    section('Added pages', diff.added, page => `  + ${page.url}${page.title ? `  ${quote(page.title)}` : ''}`);
+    section('Fixed', diff.broken.fixed, entry => `  ✓ ${entry.url}  was ${entry.status || entry.error || 'broken'}`);
+
+    section('Changed pages', diff.changed, ({ url, changes }) => {
+      const pageLines = [`  ~ ${url}`];
+      if (changes.status) pageLines.push(`      status: ${changes.status.from} -> ${changes.status.to}`);
+      if (changes.title) pageLines.push(`      title: ${quote(changes.title.from)} -> ${quote(changes.title.to)}`);
+      Object.entries(changes.meta || {}).forEach(([name, { from, to }]) => {
+        pageLines.push(`      meta ${name}: ${quote(from)} -> ${quote(to)}`);
+      });
+      if (changes.wordCount) {
+        const { from, to, delta } = changes.wordCount;
+        pageLines.push(`      words: ${from} -> ${to} (${delta > 0 ? '+' : ''}${delta})`);
+      }
+      if (changes.headings) {
+        pageLines.push('      headings:', ...list(changes.headings.removed, '-'), ...list(changes.headings.added, '+'));
+      }
+      if (changes.links) {
+        pageLines.push(`      links: +${changes.links.added.length} -${changes.links.removed.length}`,
+          ...list(changes.links.removed, '-'), ...list(changes.links.added, '+'));
+      }
+      return pageLines;
+    });
+
+    return `${lines.join('\n')}\n`;
+  }
+}
+
+module.exports = DiffReport;
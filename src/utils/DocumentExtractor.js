@@ -0,0 +1,268 @@
+const cheerio = require('cheerio');
+const UrlUtils = require('./UrlUtils');
+const DataExtractor = require('./DataExtractor');
+
+const HTML_TYPES = ['text/html', 'application/xhtml+xml'];
+const FEED_TYPES = ['application/rss+xml', 'application/atom+xml', 'application/rdf+xml'];
+const XML_TYPES = ['application/xml', 'text/xml'];
+
+// Records for responses that aren't HTML pages. Each document type gets a page record with
+// the usual fields (title, content, wordCount, links) where it has them, and a `document`
+// field with its MIME type, size and type-specific details.
+class DocumentExtractor {
+  // html, pdf, feed, json, text or binary. XML is sniffed for RSS/Atom, and responses
+  // without a Content-Type are sniffed when a body is given.
+  static getDocumentType(contentType, data = null) {
+    const mimeType = this.getMimeType(contentType);
+
+    if (HTML_TYPES.includes(mimeType)) return 'html';
+    if (mimeType === 'application/pdf') return 'pdf';
+    if (FEED_TYPES.includes(mimeType)) return 'feed';
+    if (XML_TYPES.includes(mimeType) || mimeType.endsWith('+xml')) {
+      if (data === null) return 'text';
+      return this.isFeed(this.sniff(data)) ? 'feed' : 'text';
+    }
+    if (mimeType === 'application/json' || mimeType.endsWith('+json')) return 'json';
+    if (mimeType.startsWith('text/')) return 'text';
+
+    if (!mimeType) {
+      // Everything used to be parsed as HTML, so that stays the default
+      return data !== null && this.sniff(data).startsWith('%PDF-') ? 'pdf' : 'html';
+    }
+    return 'binary';
+  }
+
+  static getMimeType(contentType) {
+    return String(contentType || '').split(';')[0].trim().toLowerCase();
+  }
+
+  static sniff(data) {
+    const head = Buffer.isBuffer(data) ? data.subarray(0, 1024).toString('latin1') : String(data).slice(0, 1024);
+    return head.replace(/^\uFEFF/, '').trimStart();
+  }
+
+  static isFeed(head) {
+    return /<(rss|feed|rdf:RDF)[\s>]/i.test(head);
+  }
+
+  // The charset from the Content-Type header (or an HTML/XML declaration), falling back to UTF-8
+  static getCharset(data, contentType) {
+    const head = data ? this.sniff(data) : '';
+    const charset = /charset\s*=\s*["']?([\w-]+)/i.exec(contentType || '')?.[1] ||
+      /<meta[^>]+charset\s*=\s*["']?([\w-]+)/i.exec(head)?.[1] ||
+      /<\?xml[^>]+encoding\s*=\s*["']([\w-]+)/i.exec(head)?.[1] ||
+      'utf-8';
+    return charset.toLowerCase();
+  }
+
+  static decode(data, contentType) {
+    if (typeof data === 'string') return data;
+    if (!data) return '';
+
+    try {
+      return new TextDecoder(this.getCharset(data, contentType)).decode(data);
+    } catch {
+      return new TextDecoder('utf-8').decode(data);
+    }
+  }
+
+  // response: { headers, data, size, tooLarge } as returned by a fetcher
+  static async extract(documentType, response, { url, depth, parent, baseDomain }) {
+    const mimeType = this.getMimeType(response.headers['content-type']);
+    const size = response.size ?? (response.data ? response.data.length : null);
+
+    const pageData = {
+      url,
+      title: this.getFileName(url),
+      depth,
+      parent,
+      crawledAt: new Date().toISOString(),
+      contentType: documentType,
+      responseTime: null,
+      document: { mimeType, size }
+    };
+
+    if (response.tooLarge) {
+      pageData.document.tooLarge = true;
+    } else if (documentType !== 'binary') {
+      try {
+        const details = await this.extractDocument(documentType, response, url, baseDomain);
+        Object.assign(pageData, details.page);
+        Object.assign(pageData.document, details.document);
+      } catch (error) {
+        pageData.document.error = error.message;
+      }
+    }
+
+    pageData.links = pageData.links || [];
+    pageData.contentHash = DataExtractor.hashContent(pageData);
+    return pageData;
+  }
+
+  static async extractDocument(documentType, response, url, baseDomain) {
+    switch (documentType) {
+      case 'pdf':
+        return this.extractPdf(response.data, url, baseDomain);
+      case 'feed':
+        return this.extractFeed(this.decode(response.data, response.headers['content-type']), url, baseDomain);
+      case 'json':
+        return this.extractJson(this.decode(response.data, response.headers['content-type']));
+      default:
+        return this.extractText(this.decode(response.data, response.headers['content-type']));
+    }
+  }
+
+  static async extractPdf(data, url, baseDomain) {
+    let PDFParse;
+    try {
+      ({ PDFParse } = require('pdf-parse'));
+    } catch {
+      throw new Error('Reading PDFs needs the pdf-parse package (npm install pdf-parse)');
+    }
+
+    const parser = new PDFParse({ data: new Uint8Array(data) });
+    try {
+      const info = await parser.getInfo({ parsePageInfo: true });
+      const text = await parser.getText();
+      const fullText = text.pages.map(page => page.text).join('\n\n').trim();
+      const fields = info.info || {};
+
+      const meta = {};
+      const metaFields = { author: 'Author', subject: 'Subject', keywords: 'Keywords', creator: 'Creator', producer: 'Producer' };
+      for (const [key, field] of Object.entries(metaFields)) {
+        if (fields[field]) meta[key] = String(fields[field]);
+      }
+
+      const pdfLinks = info.pages.flatMap(page => page.links || []);
+      return {
+        page: {
+          title: fields.Title || fullText.split('\n')[0].trim() || this.getFileName(url),
+          meta,
+          content: { text: fullText },
+          wordCount: this.countWords(fullText),
+          links: this.toLinks(pdfLinks.map(link => ({ url: link.url, text: link.text })), url, baseDomain)
+        },
+        document: { pages: info.total }
+      };
+    } finally {
+      await parser.destroy();
+    }
+  }
+
+  // RSS 0.9x/1.0/2.0 and Atom. Item links become the page's links, so feeds lead the crawl
+  // to the pages they list.
+  static extractFeed(xml, url, baseDomain) {
+    const $ = cheerio.load(xml, { xmlMode: true });
+    const isAtom = $('feed').length > 0 && $('rss').length === 0;
+
+    const text = ($el, selector) => $el.children(selector).first().text().trim();
+    const items = [];
+
+    if (isAtom) {
+      $('feed > entry').each((_, element) => {
+        const $entry = $(element);
+        const $link = $entry.children('link').filter((_, link) => !$(link).attr('rel') || $(link).attr('rel') === 'alternate').first();
+        items.push({
+          title: text($entry, 'title'),
+          url: $link.attr('href') || '',
+          published: text($entry, 'published') || text($entry, 'updated') || null,
+          summary: text($entry, 'summary') || null
+        });
+      });
+    } else {
+      $('item').each((_, element) => {
+        const $item = $(element);
+        items.push({
+          title: text($item, 'title'),
+          url: text($item, 'link') || $item.attr('rdf:about') || '',
+          published: text($item, 'pubDate') || text($item, 'dc\\:date') || null,
+          summary: text($item, 'description') || null
+        });
+      });
+    }
+
+    const $channel = isAtom ? $('feed').first() : $('channel').first();
+    const title = text($channel, 'title');
+    const description = text($channel, isAtom ? 'subtitle' : 'description');
+    const itemText = items.map(item => [item.title, item.summary].filter(Boolean).join(' ')).join(' ');
+
+    items.forEach(item => {
+      item.url = UrlUtils.resolveUrl(url, item.url) || item.url;
+    });
+
+    return {
+      page: {
+        ...(title && { title }),
+        meta: description ? { description } : {},
+        content: { text: itemText },
+        wordCount: this.countWords(itemText),
+        links: this.toLinks(items.map(item => ({ url: item.url, text: item.title })), url, baseDomain)
+      },
+      document: { format: isAtom ? 'atom' : 'rss', items }
+    };
+  }
+
+  // Stored as-is; invalid JSON is kept too, with the parse error
+  static extractJson(body) {
+    const document = {};
+    try {
+      JSON.parse(body);
+    } catch (error) {
+      document.error = `Invalid JSON: ${error.message}`;
+    }
+
+    return {
+      page: { content: { text: body }, wordCount: this.countWords(body) },
+      document
+    };
+  }
+
+  static extractText(body) {
+    return {
+      page: { content: { text: body }, wordCount: this.countWords(body) },
+      document: {}
+    };
+  }
+
+  // Link records in the same shape as DataExtractor.extractLinks
+  static toLinks(entries, baseUrl, baseDomain) {
+    const links = [];
+    const seenUrls = new Set();
+
+    for (const entry of entries) {
+      const absoluteUrl = entry.url && UrlUtils.resolveUrl(baseUrl, entry.url);
+      if (!absoluteUrl || !/^https?:/i.test(absoluteUrl)) continue;
+
+      const normalizedUrl = UrlUtils.normalizeUrl(absoluteUrl);
+      if (seenUrls.has(normalizedUrl)) continue;
+      seenUrls.add(normalizedUrl);
+
+      links.push({
+        url: normalizedUrl,
+        text: entry.text || '',
+        title: '',
+        isInternal: UrlUtils.isSameDomain(absoluteUrl, `https://${baseDomain}`),
+        domain: UrlUtils.getDomain(absoluteUrl)
+      });
+    }
+
+    return links;
+  }
+
+  static getFileName(url) {
+    try {
+      const name = decodeURIComponent(new URL(url).pathname.split('/').pop());
+      return name || url;
+    } catch {
+      return url;
+    }
+  }
+
+  static countWords(text) {
+    return text.split(/\s+/).filter(word => word.length > 0).length;
+  }
+}
+
+DocumentExtractor.DOCUMENT_TYPES = ['html', 'pdf', 'feed', 'json', 'text', 'binary'];
+
+module.exports = DocumentExtractor;
@@ -1,51 +1,172 @@
 const fs = require('fs').promises;
+const { createReadStream } = require('fs');
 const path = require('path');
+const readline = require('readline');
+const crypto = require('crypto');
+const JsonSink = require('../sinks/JsonSink');
+const NdjsonSink = require('../sinks/NdjsonSink');
+const CsvSink = require('../sinks/CsvSink');
+const SqliteSink = require('../sinks/SqliteSink');
+const SeoReport = require('./SeoReport');
+const GraphExporter = require('./GraphExporter');
+const DiffReport = require('./DiffReport');
+
+// Output types and the file extension used when no path is given
+const SINKS = {
+  json: { Sink: JsonSink, extension: 'json' },
+  ndjson: { Sink: NdjsonSink, extension: 'ndjson' },
+  csv: { Sink: CsvSink, extension: 'csv' },
+  sqlite: { Sink: SqliteSink, extension: 'sqlite' }
+};
 
 class FileManager {
-  static async saveCrawlData(crawlData, domain) {
-    // Create output directory if it doesn't exist
-    const outputDir = path.join(process.cwd(), 'crawl-results');
-    await this.ensureDirectory(outputDir);
+  // Unique per crawl and sorting by start time (UTC), e.g. 2024-01-15_093012_4f2a
+  static createRunId(date = new Date()) {
+    const [day, time] = date.toISOString().split('T');
+    return `${day}_${time.slice(0, 8).replace(/:/g, '')}_${crypto.randomBytes(2).toString('hex')}`;
+  }
 
-    // Generate filename with timestamp
-    const timestamp = new Date().toISOString().replace(/[:.]/g, '-').split('T')[0];
-    const safeString = domain.replace(/[^a-z0-9]/gi, '_');
-    const fileName = `${safeString}_${timestamp}.json`;
-    const filePath = path.join(outputDir, fileName);
+  static getDomainKey(domain) {
+    return domain.replace(/[^a-z0-9]/gi, '_');
+  }
+
+  // Output files share a base path such as crawl-results/example_com_2024-01-15_093012_4f2a
+  static getOutputBase(domain, outputDir = 'crawl-results', runId = this.createRunId()) {
+    return path.resolve(process.cwd(), outputDir, `${this.getDomainKey(domain)}_${runId}`);
+  }
 
-    // Save data to file
-    await fs.writeFile(filePath, JSON.stringify(crawlData, null, 2), 'utf8');
+  // The base path of an existing result file, so reports land next to its summary
+  static getResultBase(filePath) {
+    return path.resolve(process.cwd(), filePath).replace(/\.(json|ndjson|csv|sqlite)$/, '');
+  }
 
-    // Also save a summary file
-    await this.saveSummary(crawlData, outputDir, safeString, timestamp);
+  // outputs: ['json', 'csv:pages.csv', { type: 'sqlite', path: 'crawl.db' }]
+  static createSinks(outputs, outputBase) {
+    return [].concat(outputs).map((output) => {
+      const spec = typeof output === 'string' ? this.parseOutput(output) : output;
+      const sink = SINKS[spec.type];
+      if (!sink) {
+        throw new Error(`Unknown output type "${spec.type}" (expected one of: ${Object.keys(SINKS).join(', ')})`);
+      }
+      return new sink.Sink({ ...spec, path: spec.path || `${outputBase}.${sink.extension}` });
+    });
+  }
 
-    return filePath;
+  static parseOutput(output) {
+    const separator = output.indexOf(':');
+    if (separator === -1) return { type: output };
+    return { type: output.slice(0, separator), path: output.slice(separator + 1) };
   }
 
-  static async saveSummary(crawlData, outputDir, safeString, timestamp) {
-    const summary = {
-      domain: crawlData.crawlInfo.domain,
-      startUrl: crawlData.crawlInfo.startUrl,
-      crawledAt: crawlData.crawlInfo.timestamp,
-      totalPages: crawlData.crawlInfo.totalPages,
-      totalTime: crawlData.crawlInfo.totalTime,
-      statistics: crawlData.statistics,
-      topPages: crawlData.pages
-        .sort((a, b) => b.wordCount - a.wordCount)
-        .slice(0, 10)
-        .map(page => ({
-          url: page.url,
-          title: page.title,
-          wordCount: page.wordCount,
-          linksCount: page.links.length
-        })),
-      failedUrlsCount: crawlData.failedUrls.length
-    };
-
-    const summaryFileName = `${safeString}_${timestamp}_summary.json`;
-    const summaryPath = path.join(outputDir, summaryFileName);
-    
+  static async saveSummary(summary, outputBase) {
+    const summaryPath = `${outputBase}_summary.json`;
+    await this.ensureDirectory(path.dirname(summaryPath));
     await fs.writeFile(summaryPath, JSON.stringify(summary, null, 2), 'utf8');
+    return summaryPath;
+  }
+
+  // Writes the issue list as JSON and a self-contained HTML report
+  static async saveSeoAudit(report, crawlInfo, outputBase) {
+    const issuesFile = `${outputBase}_seo.json`;
+    const reportFile = `${outputBase}_seo.html`;
+    await this.ensureDirectory(path.dirname(issuesFile));
+    await fs.writeFile(issuesFile, JSON.stringify(report, null, 2), 'utf8');
+    await fs.writeFile(reportFile, SeoReport.render(report, crawlInfo), 'utf8');
+    return { issuesFile, reportFile };
+  }
+
+  // Writes one export per format, e.g. example_com_2024-01-15_graph.gexf; returns { format: path }
+  static async saveGraph(graph, formats, outputBase) {
+    const files = {};
+    await this.ensureDirectory(path.dirname(outputBase));
+    for (const format of formats) {
+      const filePath = `${outputBase}_graph.${format}`;
+      await fs.writeFile(filePath, GraphExporter.render(format, graph), 'utf8');
+      files[format] = filePath;
+    }
+    return files;
+  }
+
+  // Writes a CrawlDiff report as JSON and as the text report
+  static async saveDiff(diff, outputBase) {
+    const diffFile = `${outputBase}_diff.json`;
+    const reportFile = `${outputBase}_diff.txt`;
+    await this.ensureDirectory(path.dirname(diffFile));
+    await fs.writeFile(diffFile, JSON.stringify(diff, null, 2), 'utf8');
+    await fs.writeFile(reportFile, DiffReport.render(diff), 'utf8');
+    return { diffFile, reportFile };
+  }
+
+  // Reads a JSON result, or an NDJSON file of pages (which has no crawlInfo)
+  static async loadCrawlData(filePath) {
+    const contents = await fs.readFile(filePath, 'utf8');
+    if (filePath.endsWith('.ndjson')) {
+      return {
+        pages: contents.split('\n').filter(line => line.trim()).map(line => JSON.parse(line))
+      };
+    }
+    return JSON.parse(contents);
+  }
+
+  // Reads the pages of a JSON or NDJSON result one at a time, without loading the whole file.
+  // JSON results are read in the layout JsonSink writes (that of JSON.stringify(data, null, 2)),
+  // where each page starts and ends on a line of its own at the same indentation.
+  static async *readPages(filePath) {
+    const lines = readline.createInterface({ input: createReadStream(filePath), crlfDelay: Infinity });
+
+    if (filePath.endsWith('.ndjson')) {
+      for await (const line of lines) {
+        if (line.trim()) yield JSON.parse(line);
+      }
+      return;
+    }
+
+    let inPages = false;
+    let page = [];
+    for await (const line of lines) {
+      if (!inPages) {
+        if (line === '  "pages": []') return;
+        inPages = line === '  "pages": [';
+        continue;
+      }
+      if (page.length === 0 && line.startsWith('  ]')) return;
+
+      page.push(line);
+      if (line === '    }' || line === '    },' || (page.length === 1 && /^ {4}\{.*\},?$/.test(line))) {
+        yield JSON.parse(page.join('\n').trim().replace(/,$/, ''));
+        page = [];
+      }
+    }
+  }
+
+  static getCheckpointPath(outputBase) {
+    return `${outputBase}.checkpoint.json`;
+  }
+
+  static async saveCheckpoint(state, filePath) {
+    return this.writeJsonAtomic(state, filePath);
+  }
+
+  // Writes to a temporary file first so a crash mid-write never leaves a half-written file
+  static async writeJsonAtomic(data, filePath, space) {
+    await this.ensureDirectory(path.dirname(filePath));
+    const tempPath = `${filePath}.tmp`;
+    await fs.writeFile(tempPath, JSON.stringify(data, null, space), 'utf8');
+    await fs.rename(tempPath, filePath);
+    return filePath;
+  }
+
+  static async loadCheckpoint(filePath) {
+    const contents = await fs.readFile(filePath, 'utf8');
+    return JSON.parse(contents);
+  }
+
+  static async removeCheckpoint(filePath) {
+    try {
+      await fs.unlink(filePath);
+    } catch {
+      // Nothing to remove
+    }
   }
 
   static async ensureDirectory(dirPath) {
@@ -56,15 +177,18 @@ class FileManager {
     }
   }
 
-  static async listCrawlResults() {
-    const outputDir = path.join(process.cwd(), 'crawl-results');
+  // JSON result files, without the summaries, reports, checkpoints, history and search indexes written next to them
+  static async listCrawlResults(outputDir = 'crawl-results') {
+    outputDir = path.resolve(process.cwd(), outputDir);
     try {
       const files = await fs.readdir(outputDir);
-      return files.filter(file => file.endsWith('.json') && !file.includes('_summary'));
+      return files.filter(file => file.endsWith('.json') && !/_(summary|seo|graph|diff)\.json$|\.(checkpoint|history|search)\.json$/.test(file));
     } catch {
       return [];
     }
   }
 }
 
+FileManager.OUTPUT_TYPES = Object.keys(SINKS);
+
 module.exports = FileManager;
\ No newline at end of file
@@ -0,0 +1,132 @@
+// Renders a SiteGraph for graph tools: GraphML and GEXF (Gephi, yEd, Cytoscape), DOT
+// (Graphviz) and plain JSON { nodes, edges }. Every format carries the same node attributes.
+const NODE_ATTRIBUTES = [
+  { key: 'url', type: 'string' },
+  { key: 'title', type: 'string' },
+  { key: 'depth', type: 'int' },
+  { key: 'status', type: 'int' },
+  { key: 'contentType', type: 'string' },
+  { key: 'inlinks', type: 'int' },
+  { key: 'outlinks', type: 'int' },
+  { key: 'pageRank', type: 'double' },
+  { key: 'clickDepth', type: 'int' }
+];
+
+class GraphExporter {
+  // Throws on the first format that isn't one of FORMATS
+  static checkFormats(formats) {
+    const unknown = [].concat(formats).find(format => !GraphExporter.FORMATS.includes(format));
+    if (unknown !== undefined) {
+      throw new Error(`Unknown graph format "${unknown}" (expected one of: ${GraphExporter.FORMATS.join(', ')})`);
+    }
+  }
+
+  static render(format, graph) {
+    const renderers = {
+      graphml: () => this.toGraphML(graph),
+      gexf: () => this.toGexf(graph),
+      dot: () => this.toDot(graph),
+      json: () => this.toJson(graph)
+    };
+    if (!renderers[format]) {
+      throw new Error(`Unknown graph format "${format}" (expected one of: ${GraphExporter.FORMATS.join(', ')})`);
+    }
+    return renderers[format]();
+  }
+
+  static escapeXml(value) {
+    return String(value ?? '')
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;')
+      // Control characters are not allowed in XML 1.0
+      .replace(/[\u0000-\u0008\u000b\u000c\u000e-\u001f]/g, '');
+  }
+
+  // Attributes without a value (an unreachable page's clickDepth, say) are left out
+  static presentAttributes(node) {
+    return NODE_ATTRIBUTES.filter(({ key }) => node[key] !== null && node[key] !== undefined);
+  }
+
+  static toGraphML(graph) {
+    const escape = value => this.escapeXml(value);
+    const lines = [
+      '<?xml version="1.0" encoding="UTF-8"?>',
+      '<graphml xmlns="http://graphml.graphdrawing.org/xmlns">',
+      ...NODE_ATTRIBUTES.map(({ key, type }) => `  <key id="${key}" for="node" attr.name="${key}" attr.type="${type}"/>`),
+      '  <key id="tree" for="edge" attr.name="tree" attr.type="boolean"/>',
+      '  <graph id="site" edgedefault="directed">'
+    ];
+
+    for (const node of graph.getNodes()) {
+      lines.push(`    <node id="n${node.id}">`);
+      this.presentAttributes(node).forEach(({ key }) => lines.push(`      <data key="${key}">${escape(node[key])}</data>`));
+      lines.push('    </node>');
+    }
+    graph.getEdges().forEach(({ source, target, tree }, index) => {
+      lines.push(`    <edge id="e${index}" source="n${source}" target="n${target}"><data key="tree">${tree}</data></edge>`);
+    });
+
+    lines.push('  </graph>', '</graphml>', '');
+    return lines.join('\n');
+  }
+
+  static toGexf(graph) {
+    const escape = value => this.escapeXml(value);
+    const gexfTypes = { string: 'string', int: 'integer', double: 'double' };
+    const lines = [
+      '<?xml version="1.0" encoding="UTF-8"?>',
+      '<gexf xmlns="http://gexf.net/1.3" version="1.3">',
+      `  <meta lastmodifieddate="${new Date().toISOString().split('T')[0]}"><creator>WebCrawler</creator></meta>`,
+      '  <graph defaultedgetype="directed">',
+      '    <attributes class="node">',
+      ...NODE_ATTRIBUTES.map(({ key, type }, index) => `      <attribute id="${index}" title="${key}" type="${gexfTypes[type]}"/>`),
+      '    </attributes>',
+      '    <attributes class="edge">',
+      '      <attribute id="0" title="tree" type="boolean"/>',
+      '    </attributes>',
+      '    <nodes>'
+    ];
+
+    for (const node of graph.getNodes()) {
+      lines.push(`      <node id="n${node.id}" label="${escape(node.title || node.url)}">`, '        <attvalues>');
+      this.presentAttributes(node).forEach(({ key }) => {
+        lines.push(`          <attvalue for="${NODE_ATTRIBUTES.findIndex(attribute => attribute.key === key)}" value="${escape(node[key])}"/>`);
+      });
+      lines.push('        </attvalues>', '      </node>');
+    }
+    lines.push('    </nodes>', '    <edges>');
+    graph.getEdges().forEach(({ source, target, tree }, index) => {
+      lines.push(`      <edge id="e${index}" source="n${source}" target="n${target}"><attvalues><attvalue for="0" value="${tree}"/></attvalues></edge>`);
+    });
+
+    lines.push('    </edges>', '  </graph>', '</gexf>', '');
+    return lines.join('\n');
+  }
+
+  static toDot(graph) {
+    const quote = value => `"${String(value ?? '').replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\r?\n/g, ' ')}"`;
+    const lines = ['digraph site {', '  node [shape=box];'];
+
+    for (const node of graph.getNodes()) {
+      const attributes = this.presentAttributes(node).map(({ key }) => `${key}=${quote(node[key])}`);
+      lines.push(`  n${node.id} [label=${quote(node.url)}, ${attributes.join(', ')}];`);
+    }
+    // Links outside the click-path tree are drawn dashed
+    graph.getEdges().forEach(({ source, target, tree }) => {
+      lines.push(`  n${source} -> n${target}${tree ? '' : ' [style=dashed]'};`);
+    });
+
+    lines.push('}', '');
+    return lines.join('\n');
+  }
+
+  static toJson(graph) {
+    return JSON.stringify({ nodes: graph.getNodes(), edges: graph.getEdges() }, null, 2);
+  }
+}
+
+GraphExporter.FORMATS = ['graphml', 'gexf', 'dot', 'json'];
+
+module.exports = GraphExporter;
@@ -0,0 +1,84 @@
+const LEVELS = {
+  debug: 10,
+  info: 20,
+  warn: 30,
+  error: 40,
+  silent: 50
+};
+
+const METHODS = ['debug', 'info', 'warn', 'error'];
+
+class Logger {
+  constructor(options = {}) {
+    this.format = options.format || 'pretty'; // 'pretty' or 'json'
+    this.level = options.level || 'info';
+    this.stream = options.stream || process.stdout;
+    this.emoji = options.emoji !== undefined ? options.emoji : true; // Emoji prefixes in pretty output
+  }
+
+  // The logger the crawler writes to. Any object with debug/info/warn/error(message, data)
+  // methods works (e.g. console, or an adapter for pino or winston); missing methods are
+  // ignored. false silences the crawler, and nothing gives the default console output.
+  static from(logger) {
+    if (logger === undefined || logger === null) return new Logger();
+    if (logger === false) return new Logger({ level: 'silent' });
+    if (logger instanceof Logger) return logger;
+
+    const adapter = {};
+    METHODS.forEach(method => {
+      adapter[method] = typeof logger[method] === 'function' ? logger[method].bind(logger) : () => {};
+    });
+    return adapter;
+  }
+
+  static stripEmoji(message) {
+    return String(message).replace(/^[^\p{L}\p{N}]+/u, '').trim();
+  }
+
+  debug(message, data) {
+    this.log('debug', message, data);
+  }
+
+  info(message, data) {
+    this.log('info', message, data);
+  }
+
+  warn(message, data) {
+    this.log('warn', message, data);
+  }
+
+  error(message, data) {
+    this.log('error', message, data);
+  }
+
+  isEnabled(level) {
+    return LEVELS[level] >= LEVELS[this.level];
+  }
+
+  log(level, message, data = {}) {
+    if (!this.isEnabled(level)) return;
+
+    if (this.format === 'json') {
+      const entry = {
+        time: new Date().toISOString(),
+        level,
+        // Emoji prefixes are for humans only
+        message: Logger.stripEmoji(message),
+        ...data
+      };
+      this.stream.write(JSON.stringify(entry) + '\n');
+      return;
+    }
+
+    const text = this.emoji ? message : Logger.stripEmoji(message);
+    if (level === 'error') {
+      console.error(text);
+    } else {
+      console.log(text);
+    }
+  }
+}
+
+Logger.LEVELS = LEVELS;
+
+module.exports = Logger;
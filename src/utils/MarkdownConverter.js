@@ -0,0 +1,214 @@
+const UrlUtils = require('./UrlUtils');
+const { BLOCK_TAGS } = require('./ContentExtractor');
+
+// Form controls and embedded objects, which have no readable text
+const SKIPPED_TAGS = new Set([
+  'script', 'style', 'noscript', 'template', 'head', 'button', 'input', 'select', 'textarea', 'option',
+  'svg', 'canvas', 'iframe', 'object', 'embed', 'video', 'audio', 'map'
+]);
+
+// Tables holding these are page layout rather than data, and are rendered as their cells' blocks
+const LAYOUT_TABLE_SELECTOR = 'table, p, div, ul, ol, pre, blockquote, h1, h2, h3, h4, h5, h6';
+
+// Renders HTML elements as CommonMark with GitHub tables: headings, paragraphs, lists,
+// block quotes, fenced code blocks, tables, links and images (made absolute against the
+// page URL), emphasis and inline code.
+class MarkdownConverter {
+  static convert($, elements, baseUrl = null) {
+    const blocks = MarkdownConverter.renderBlocks($, elements, { baseUrl });
+    return blocks.join('\n\n');
+  }
+
+  // Markdown blocks for a list of nodes; runs of inline content become paragraphs
+  static renderBlocks($, nodes, context) {
+    const blocks = [];
+    let inline = '';
+    const flush = () => {
+      const paragraph = MarkdownConverter.cleanParagraph(inline);
+      if (paragraph) blocks.push(paragraph);
+      inline = '';
+    };
+
+    for (const node of nodes) {
+      if (node.type === 'tag' && BLOCK_TAGS.has(node.tagName)) {
+        flush();
+        blocks.push(...MarkdownConverter.renderBlock($, node, context).filter(Boolean));
+      } else {
+        inline += MarkdownConverter.renderInline($, [node], context);
+      }
+    }
+    flush();
+    return blocks;
+  }
+
+  static renderBlock($, element, context) {
+    const tag = element.tagName;
+    const children = element.children || [];
+
+    if (/^h[1-6]$/.test(tag)) {
+      const text = MarkdownConverter.cleanInline(MarkdownConverter.renderInline($, children, context));
+      return text ? [`${'#'.repeat(Number(tag[1]))} ${text}`] : [];
+    }
+    if (tag === 'hr') return ['---'];
+    if (tag === 'pre') return [MarkdownConverter.renderCode($, element)];
+    if (tag === 'ul' || tag === 'ol') return [MarkdownConverter.renderList($, element, context)];
+    if (tag === 'table' && $(element).find(LAYOUT_TABLE_SELECTOR).length === 0) {
+      return [MarkdownConverter.renderTable($, element, context)];
+    }
+    if (tag === 'blockquote') {
+      const quoted = MarkdownConverter.renderBlocks($, children, context).join('\n\n');
+      return [quoted.split('\n').map(line => (line ? `> ${line}` : '>')).join('\n')];
+    }
+    return MarkdownConverter.renderBlocks($, children, context);
+  }
+
+  static renderInline($, nodes, context) {
+    let text = '';
+    for (const node of nodes) {
+      if (node.type === 'text') {
+        text += MarkdownConverter.escape(node.data.replace(/\s+/g, ' '));
+        continue;
+      }
+      if (node.type !== 'tag' || SKIPPED_TAGS.has(node.tagName)) continue;
+
+      const $node = $(node);
+      const inner = () => MarkdownConverter.renderInline($, node.children || [], context);
+      switch (node.tagName) {
+        case 'br':
+          text += '\n';
+          break;
+        case 'a': {
+          const content = inner();
+          const label = MarkdownConverter.cleanInline(content);
+          const href = MarkdownConverter.resolve($node.attr('href'), context.baseUrl);
+          text += MarkdownConverter.keepSpacing(content, label && href ? `[${label}](${MarkdownConverter.formatUrl(href)})` : label);
+          break;
+        }
+        case 'img': {
+          const src = MarkdownConverter.resolve($node.attr('src'), context.baseUrl);
+          const alt = ($node.attr('alt') || '').replace(/\s+/g, ' ').trim().replace(/[[\]]/g, '\\$&');
+          if (src) text += `![${alt}](${MarkdownConverter.formatUrl(src)})`;
+          break;
+        }
+        case 'strong':
+        case 'b':
+          text += MarkdownConverter.wrap(inner(), '**');
+          break;
+        case 'em':
+        case 'i':
+          text += MarkdownConverter.wrap(inner(), '_');
+          break;
+        case 'code':
+        case 'kbd':
+        case 'samp':
+          text += MarkdownConverter.renderInlineCode($node.text());
+          break;
+        default:
+          text += inner();
+      }
+    }
+    return text;
+  }
+
+  // Keeps the whitespace around emphasized text outside its markers
+  static wrap(text, marker) {
+    const [, before, content, after] = text.match(/^(\s*)([\s\S]*?)(\s*)$/);
+    return content ? `${before}${marker}${content}${marker}${after}` : text;
+  }
+
+  // Whitespace at the edges of a link's text stays outside it, as ContentExtractor.getBlockText
+  // keeps it, so neighbouring links don't run together
+  static keepSpacing(content, rendered) {
+    return `${/^\s/.test(content) ? ' ' : ''}${rendered}${/\s$/.test(content) ? ' ' : ''}`;
+  }
+
+  static renderInlineCode(code) {
+    const text = code.replace(/\s+/g, ' ');
+    if (!text.trim()) return text;
+    const longest = Math.max(0, ...(text.match(/`+/g) || []).map(run => run.length));
+    const fence = '`'.repeat(longest + 1);
+    return longest > 0 ? `${fence} ${text} ${fence}` : `${fence}${text}${fence}`;
+  }
+
+  // A fenced block, with the language of a language-* or lang-* class
+  static renderCode($, element) {
+    const $pre = $(element);
+    const classes = `${$pre.attr('class') || ''} ${$pre.find('code').first().attr('class') || ''}`;
+    const language = (classes.match(/(?:^|\s)(?:language|lang)-([\w+#.-]+)/) || [])[1] || '';
+    const code = $pre.text().replace(/^\n/, '').replace(/\s+$/, '');
+    const longest = Math.max(0, ...(code.match(/`{3,}/g) || []).map(run => run.length));
+    const fence = '`'.repeat(Math.max(3, longest + 1));
+    return `${fence}${language}\n${code}\n${fence}`;
+  }
+
+  // Items are "-" or "1." followed by their blocks; nested lists and later blocks are indented under the marker
+  static renderList($, element, context) {
+    const ordered = element.tagName === 'ol';
+    let number = Number($(element).attr('start')) || 1;
+    const items = [];
+
+    for (const child of element.children || []) {
+      if (child.type !== 'tag' || child.tagName !== 'li') continue;
+      const marker = ordered ? `${number++}. ` : '- ';
+      const indent = ' '.repeat(marker.length);
+      const content = MarkdownConverter.renderBlocks($, child.children || [], context).join('\n');
+      if (!content) continue;
+      items.push(content.split('\n').map((line, index) => {
+        if (index === 0) return `${marker}${line}`;
+        return line ? `${indent}${line}` : '';
+      }).join('\n'));
+    }
+
+    return items.join('\n');
+  }
+
+  // The first row is the header row; cells are padded to the widest row
+  static renderTable($, element, context) {
+    const rows = $(element).find('tr').toArray()
+      .filter(row => $(row).closest('table')[0] === element)
+      .map(row => $(row).children('th, td').toArray().map((cell) => {
+        const text = MarkdownConverter.renderInline($, cell.children || [], context);
+        return MarkdownConverter.cleanInline(text).replace(/\|/g, '\\|');
+      }))
+      .filter(cells => cells.length > 0);
+    if (rows.length === 0) return '';
+
+    const columns = Math.max(...rows.map(cells => cells.length));
+    const line = cells => `| ${[...cells, ...Array(columns - cells.length).fill('')].join(' | ')} |`;
+    const caption = MarkdownConverter.cleanInline($(element).children('caption').text());
+    const table = [line(rows[0]), line(Array(columns).fill('---')), ...rows.slice(1).map(line)].join('\n');
+    return caption ? `${MarkdownConverter.escape(caption)}\n\n${table}` : table;
+  }
+
+  // Characters that would otherwise start emphasis, code or links; intraword underscores are left alone
+  static escape(text) {
+    return text.replace(/[\\`*[\]]/g, '\\$&').replace(/(?<![A-Za-z0-9])_|_(?![A-Za-z0-9])/g, '\\_');
+  }
+
+  // Headings, link labels and table cells are a single line
+  static cleanInline(text) {
+    return text.replace(/\s+/g, ' ').trim();
+  }
+
+  // Trims each line, and escapes text at the start of a line that would read as a heading, quote or list item
+  static cleanParagraph(text) {
+    return text.split('\n')
+      .map(line => line.replace(/ {2,}/g, ' ').trim()
+        .replace(/^(#{1,6}|>|[-+])(\s|$)/, '\\$1$2')
+        .replace(/^(\d+)\.(\s|$)/, '$1\\.$2'))
+      .filter(Boolean)
+      .join('  \n');
+  }
+
+  static resolve(href, baseUrl) {
+    if (!href || /^\s*javascript:/i.test(href)) return null;
+    return baseUrl ? UrlUtils.resolveUrl(baseUrl, href.trim()) : href.trim();
+  }
+
+  // URLs with spaces or parentheses go in angle brackets
+  static formatUrl(url) {
+    return /[\s()<>]/.test(url) ? `<${url.replace(/[<>]/g, encodeURIComponent)}>` : url;
+  }
+}
+
+module.exports = MarkdownConverter;
@@ -0,0 +1,118 @@
+const xpath = require('xpath');
+const { DOMParser } = require('@xmldom/xmldom');
+const UrlUtils = require('./UrlUtils');
+
+// Named transforms usable in schema fields; functions can be passed directly as well
+const TRANSFORMS = {
+  trim: value => value.trim(),
+  collapseWhitespace: value => value.replace(/\s+/g, ' ').trim(),
+  lowercase: value => value.toLowerCase(),
+  uppercase: value => value.toUpperCase(),
+  number: (value) => {
+    // Accepts "1,299.00", "$ 12.50" and similar
+    const match = /-?\d[\d,]*(\.\d+)?/.exec(value);
+    return match ? parseFloat(match[0].replace(/,/g, '')) : null;
+  },
+  integer: (value) => {
+    const number = TRANSFORMS.number(value);
+    return number === null ? null : Math.trunc(number);
+  },
+  boolean: value => ['true', 'yes', '1', 'on'].includes(value.trim().toLowerCase()),
+  date: (value) => {
+    const date = new Date(value.trim());
+    return Number.isNaN(date.getTime()) ? null : date.toISOString();
+  },
+  json: (value) => {
+    try {
+      return JSON.parse(value);
+    } catch {
+      return null;
+    }
+  },
+  absoluteUrl: (value, context) => UrlUtils.resolveUrl(context.url, value.trim())
+};
+
+// Extracts fields declared as selectors from a page:
+//   { price: '.price', sku: { selector: '[itemprop=sku]', attribute: 'content' },
+//     tags: { xpath: '//a[@rel="tag"]', multiple: true, transform: 'lowercase' } }
+class SchemaExtractor {
+  static extract($, schema, context) {
+    const result = {};
+    const document = { dom: null };
+
+    for (const [name, spec] of Object.entries(schema.fields || {})) {
+      const field = typeof spec === 'string' ? { selector: spec } : spec;
+      const values = field.xpath ?
+        this.selectXPath($, field, document) :
+        this.selectCss($, field);
+
+      const transformed = values
+        .map(value => this.applyTransforms(value, field, context))
+        .filter(value => value !== null && value !== undefined && value !== '');
+
+      if (field.multiple) {
+        result[name] = transformed;
+      } else {
+        result[name] = transformed.length > 0 ? transformed[0] : (field.default ?? null);
+      }
+    }
+
+    return result;
+  }
+
+  static selectCss($, field) {
+    const elements = $(field.selector);
+    const selected = field.multiple ? elements.toArray() : elements.toArray().slice(0, 1);
+
+    return selected.map((element) => {
+      const $el = $(element);
+      if (field.attribute) return $el.attr(field.attribute) ?? null;
+      if (field.html) return $el.html();
+      return $el.text();
+    });
+  }
+
+  // XPath needs a W3C-style DOM, which is only built for pages that use it
+  static selectXPath($, field, document) {
+    if (!document.dom) {
+      document.dom = new DOMParser({ onError: () => {} }).parseFromString($.html(), 'text/html');
+    }
+
+    const nodes = xpath.parse(field.xpath).select({ node: document.dom, isHtml: true });
+    const selected = field.multiple ? nodes : nodes.slice(0, 1);
+
+    return selected.map((node) => {
+      if (field.attribute && node.getAttribute) return node.getAttribute(field.attribute);
+      if (node.nodeType === 2) return node.value; // Attribute node, e.g. //img/@src
+      return node.textContent;
+    });
+  }
+
+  static applyTransforms(value, field, context) {
+    if (value === null || value === undefined) return null;
+
+    let result = String(value).trim();
+
+    // "match" keeps the first capture group (or the whole match) of a regular expression
+    if (field.match) {
+      const match = new RegExp(field.match).exec(result);
+      if (!match) return null;
+      result = match[1] !== undefined ? match[1] : match[0];
+    }
+
+    for (const transform of [].concat(field.transform || [])) {
+      if (result === null || result === undefined) break;
+      const fn = typeof transform === 'function' ? transform : TRANSFORMS[transform];
+      if (!fn) {
+        throw new Error(`Unknown transform "${transform}"`);
+      }
+      result = fn(typeof result === 'string' ? result : String(result), context);
+    }
+
+    return result;
+  }
+}
+
+SchemaExtractor.TRANSFORMS = TRANSFORMS;
+
+module.exports = SchemaExtractor;
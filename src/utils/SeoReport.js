@@ -0,0 +1,81 @@
+// Renders an SeoAuditor report as a single HTML file with inline styles and no external assets
+const STYLES = `
+  body { font: 14px/1.5 system-ui, -apple-system, "Segoe UI", sans-serif; margin: 2rem auto; max-width: 1100px; padding: 0 1rem; color: #1f2328; }
+  h1 { font-size: 1.6rem; margin-bottom: .25rem; }
+  .meta { color: #656d76; margin-bottom: 1.5rem; }
+  .cards { display: flex; gap: 1rem; margin-bottom: 1.5rem; }
+  .card { flex: 1; border: 1px solid #d0d7de; border-radius: 6px; padding: .75rem 1rem; }
+  .card strong { display: block; font-size: 1.6rem; }
+  table { border-collapse: collapse; width: 100%; margin-bottom: 1.5rem; }
+  th, td { text-align: left; padding: .35rem .6rem; border-bottom: 1px solid #d0d7de; vertical-align: top; }
+  details { border: 1px solid #d0d7de; border-radius: 6px; margin-bottom: .5rem; padding: .5rem .75rem; }
+  summary { cursor: pointer; word-break: break-all; }
+  ul { margin: .5rem 0 0; padding-left: 1.25rem; }
+  code { font-size: 12px; word-break: break-all; color: #656d76; }
+  .error { color: #cf222e; } .warning { color: #9a6700; } .notice { color: #0969da; }
+  .badge { display: inline-block; min-width: 4.5rem; font-weight: 600; text-transform: uppercase; font-size: 11px; }
+`;
+
+class SeoReport {
+  static escape(value) {
+    return String(value ?? '')
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;');
+  }
+
+  static render(report, crawlInfo = {}) {
+    const escape = value => this.escape(value);
+    const { counts } = report;
+
+    const byPage = new Map();
+    report.issues.forEach(issue => {
+      if (!byPage.has(issue.url)) byPage.set(issue.url, []);
+      byPage.get(issue.url).push(issue);
+    });
+
+    const cards = ['error', 'warning', 'notice'].map(severity =>
+      `<div class="card ${severity}"><strong>${counts.bySeverity[severity] || 0}</strong>${severity}s</div>`
+    ).join('');
+
+    const typeRows = Object.entries(counts.byType)
+      .sort((a, b) => b[1] - a[1])
+      .map(([type, count]) => `<tr><td>${escape(type)}</td><td>${count}</td></tr>`)
+      .join('');
+
+    const pageSections = [...byPage.entries()].map(([url, issues]) => `
+    <details>
+      <summary>${escape(url)} (${issues.length})</summary>
+      <ul>
+        ${issues.map(issue => `<li><span class="badge ${issue.severity}">${issue.severity}</span>${escape(issue.message)}${
+          issue.details ? `<br><code>${escape(JSON.stringify(issue.details))}</code>` : ''
+        }</li>`).join('\n        ')}
+      </ul>
+    </details>`).join('');
+
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="utf-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1">
+  <title>SEO audit: ${escape(crawlInfo.domain || '')}</title>
+  <style>${STYLES}</style>
+</head>
+<body>
+  <h1>SEO audit: ${escape(crawlInfo.domain || '')}</h1>
+  <div class="meta">${escape(crawlInfo.startUrl || '')} &middot; ${report.pagesAudited} pages audited &middot; ${escape(crawlInfo.timestamp || new Date().toISOString())}</div>
+  <div class="cards">${cards}</div>
+  <h2>Issues by type</h2>
+  <table>
+    <thead><tr><th>Issue</th><th>Count</th></tr></thead>
+    <tbody>${typeRows || '<tr><td colspan="2">No issues found</td></tr>'}</tbody>
+  </table>
+  <h2>Issues by page</h2>${pageSections || '\n  <p>No issues found.</p>'}
+</body>
+</html>
+`;
+  }
+}
+
+module.exports = SeoReport;
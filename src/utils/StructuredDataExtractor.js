@@ -0,0 +1,260 @@
+// Microdata properties whose value lives in an attribute rather than the element text
+const MICRODATA_VALUE_ATTRIBUTES = {
+  meta: 'content',
+  a: 'href',
+  link: 'href',
+  area: 'href',
+  img: 'src',
+  audio: 'src',
+  video: 'src',
+  source: 'src',
+  iframe: 'src',
+  embed: 'src',
+  track: 'src',
+  object: 'data',
+  time: 'datetime',
+  data: 'value',
+  meter: 'value'
+};
+
+// OpenGraph namespaces that are grouped under openGraph alongside og:*
+const OPEN_GRAPH_PREFIXES = ['og', 'article', 'book', 'profile', 'product'];
+
+class StructuredDataExtractor {
+  static extract($) {
+    const errors = [];
+    const items = [
+      ...this.extractJsonLd($, errors),
+      ...this.extractMicrodata($),
+      ...this.extractRdfa($)
+    ];
+
+    const types = {};
+    for (const item of items) {
+      for (const type of [].concat(item['@type'] || 'Thing')) {
+        if (!types[type]) types[type] = [];
+        types[type].push(item);
+      }
+    }
+
+    const result = {
+      types,
+      openGraph: this.extractOpenGraph($),
+      twitter: this.extractTwitterCard($)
+    };
+    if (errors.length > 0) result.errors = errors;
+    return result;
+  }
+
+  // "http://schema.org/Product" and "schema:Product" both become "Product"
+  static normalizeType(type) {
+    if (typeof type !== 'string') return type;
+    return type.replace(/^.*[/#:]/, '') || type;
+  }
+
+  static extractJsonLd($, errors = []) {
+    const items = [];
+
+    $('script[type="application/ld+json"]').each((_, element) => {
+      const raw = $(element).html();
+      if (!raw || !raw.trim()) return;
+
+      let data;
+      try {
+        data = JSON.parse(raw.trim());
+      } catch (error) {
+        errors.push(`Invalid JSON-LD: ${error.message}`);
+        return;
+      }
+
+      for (const entry of [].concat(data)) {
+        if (!entry || typeof entry !== 'object') continue;
+
+        const context = entry['@context'];
+        const nodes = Array.isArray(entry['@graph']) ? entry['@graph'] : [entry];
+        for (const node of nodes) {
+          if (!node || typeof node !== 'object') continue;
+          const item = this.normalizeJsonLdNode(node);
+          if (context && !item['@context']) item['@context'] = context;
+          item['@source'] = 'json-ld';
+          items.push(item);
+        }
+      }
+    });
+
+    return items;
+  }
+
+  static normalizeJsonLdNode(node) {
+    if (Array.isArray(node)) return node.map(value => this.normalizeJsonLdNode(value));
+    if (!node || typeof node !== 'object') return node;
+
+    const item = {};
+    for (const [key, value] of Object.entries(node)) {
+      if (key === '@type') {
+        const types = [].concat(value).map(type => this.normalizeType(type));
+        item['@type'] = types.length === 1 ? types[0] : types;
+      } else {
+        item[key] = this.normalizeJsonLdNode(value);
+      }
+    }
+    return item;
+  }
+
+  static extractMicrodata($) {
+    // Top-level items are item scopes that are not themselves a property of another item
+    return $('[itemscope]').filter((_, element) => $(element).attr('itemprop') === undefined)
+      .map((_, element) => ({ ...this.readMicrodataItem($, element), '@source': 'microdata' }))
+      .get();
+  }
+
+  static readMicrodataItem($, element) {
+    const $item = $(element);
+    const item = {};
+
+    const itemType = $item.attr('itemtype');
+    if (itemType) {
+      const types = itemType.trim().split(/\s+/).map(type => this.normalizeType(type));
+      item['@type'] = types.length === 1 ? types[0] : types;
+    }
+    if ($item.attr('itemid')) item['@id'] = $item.attr('itemid');
+
+    // Properties belong to the nearest enclosing item scope
+    $item.find('[itemprop]').each((_, propElement) => {
+      const $prop = $(propElement);
+      const owner = $prop.parent().closest('[itemscope]')[0];
+      if (owner !== element) return;
+
+      const value = $prop.attr('itemscope') !== undefined ?
+        this.readMicrodataItem($, propElement) :
+        this.readMicrodataValue($, propElement);
+
+      for (const name of $prop.attr('itemprop').trim().split(/\s+/)) {
+        this.addProperty(item, name, value);
+      }
+    });
+
+    return item;
+  }
+
+  static readMicrodataValue($, element) {
+    const $el = $(element);
+    if ($el.attr('content') !== undefined) return $el.attr('content').trim();
+
+    const attribute = MICRODATA_VALUE_ATTRIBUTES[element.tagName.toLowerCase()];
+    if (attribute && $el.attr(attribute) !== undefined) return $el.attr(attribute).trim();
+
+    return $el.text().replace(/\s+/g, ' ').trim();
+  }
+
+  // Basic RDFa Lite: typeof starts an item, property adds to the nearest enclosing item
+  static extractRdfa($) {
+    return $('[typeof]').filter((_, element) => $(element).attr('property') === undefined)
+      .map((_, element) => ({ ...this.readRdfaItem($, element), '@source': 'rdfa' }))
+      .get();
+  }
+
+  static readRdfaItem($, element) {
+    const $item = $(element);
+    const item = {};
+
+    const types = $item.attr('typeof').trim().split(/\s+/).filter(Boolean).map(type => this.normalizeType(type));
+    if (types.length > 0) item['@type'] = types.length === 1 ? types[0] : types;
+    if ($item.attr('vocab')) item['@context'] = $item.attr('vocab');
+    if ($item.attr('resource')) item['@id'] = $item.attr('resource');
+
+    $item.find('[property]').each((_, propElement) => {
+      const $prop = $(propElement);
+      const owner = $prop.parent().closest('[typeof]')[0];
+      if (owner !== element) return;
+
+      const value = $prop.attr('typeof') !== undefined ?
+        this.readRdfaItem($, propElement) :
+        this.readRdfaValue($, propElement);
+
+      for (const name of $prop.attr('property').trim().split(/\s+/)) {
+        this.addProperty(item, this.normalizeType(name), value);
+      }
+    });
+
+    return item;
+  }
+
+  static readRdfaValue($, element) {
+    const $el = $(element);
+    for (const attribute of ['content', 'resource', 'href', 'src', 'datetime']) {
+      if ($el.attr(attribute) !== undefined) return $el.attr(attribute).trim();
+    }
+    return $el.text().replace(/\s+/g, ' ').trim();
+  }
+
+  static addProperty(item, name, value) {
+    if (!(name in item)) {
+      item[name] = value;
+    } else if (Array.isArray(item[name])) {
+      item[name].push(value);
+    } else {
+      item[name] = [item[name], value];
+    }
+  }
+
+  // og:title becomes openGraph.title; og:image:width is nested under the image it follows
+  static extractOpenGraph($) {
+    const openGraph = {};
+
+    $('meta[property]').each((_, element) => {
+      const $el = $(element);
+      const [prefix, ...path] = $el.attr('property').trim().split(':');
+      const content = $el.attr('content');
+      if (!OPEN_GRAPH_PREFIXES.includes(prefix) || path.length === 0 || content === undefined) return;
+
+      const target = prefix === 'og' ? openGraph : (openGraph[prefix] = openGraph[prefix] || {});
+      this.addNestedProperty(target, path, content.trim());
+    });
+
+    return openGraph;
+  }
+
+  static extractTwitterCard($) {
+    const twitter = {};
+
+    $('meta[name^="twitter:"], meta[property^="twitter:"]').each((_, element) => {
+      const $el = $(element);
+      const [, ...path] = ($el.attr('name') || $el.attr('property')).trim().split(':');
+      const content = $el.attr('content');
+      if (path.length === 0 || content === undefined) return;
+
+      this.addNestedProperty(twitter, path, content.trim());
+    });
+
+    return twitter;
+  }
+
+  // Handles repeated structured properties, e.g. two og:image tags each followed by og:image:width
+  static addNestedProperty(target, path, value) {
+    const [name, subName] = path;
+
+    if (!subName) {
+      this.addProperty(target, name, value);
+      return;
+    }
+
+    // Attach to the most recent value of the parent property
+    let parent = Array.isArray(target[name]) ? target[name][target[name].length - 1] : target[name];
+    if (parent === undefined) {
+      parent = {};
+      target[name] = parent;
+    } else if (typeof parent !== 'object') {
+      parent = { url: parent };
+      if (Array.isArray(target[name])) {
+        target[name][target[name].length - 1] = parent;
+      } else {
+        target[name] = parent;
+      }
+    }
+
+    this.addProperty(parent, subName, value);
+  }
+}
+
+module.exports = StructuredDataExtractor;
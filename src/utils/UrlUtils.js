@@ -1,4 +1,13 @@
 const { URL } = require('url');
+const net = require('net');
+const psl = require('psl');
+
+// Used when no exclude patterns are configured. Documents (PDFs, feeds, text, JSON) are
+// crawled and handled by their Content-Type; page assets are still left out.
+const DEFAULT_EXCLUDE_PATTERNS = [
+  '*.jpg', '*.jpeg', '*.png', '*.gif', '*.svg', '*.css', '*.js',
+  '**/wp-admin/**', '**/admin/**'
+];
 
 class UrlUtils {
   static isValidUrl(string) {
@@ -54,15 +63,98 @@ class UrlUtils {
     return linkDomain === baseDomain;
   }
 
-  static shouldSkipUrl(url) {
-    const skipExtensions = ['.pdf', '.jpg', '.jpeg', '.png', '.gif', '.svg', '.css', '.js', '.xml', '.txt'];
-    const skipPatterns = ['/wp-admin/', '/admin/', '.json', '.rss', '.atom'];
-    
-    const lowerUrl = url.toLowerCase();
-    
-    return skipExtensions.some(ext => lowerUrl.endsWith(ext)) ||
-           skipPatterns.some(pattern => lowerUrl.includes(pattern));
+  static getRegistrableDomain(url) {
+    const hostname = this.getDomain(url);
+    if (!hostname || net.isIP(hostname)) return hostname;
+    return psl.get(hostname) || hostname;
+  }
+
+  static isSubdomainOf(hostname, parentHostname) {
+    return hostname === parentHostname || hostname.endsWith(`.${parentHostname}`);
+  }
+
+  // RegExp objects and strings prefixed with "regex:" are tested against the full URL.
+  // Anything else is a glob: "*" stays within one path segment, "**" spans segments.
+  // Globs containing "://" match the full URL, globs starting with "/" match the path,
+  // globs without a "/" match the last path segment and other globs match anywhere in the path.
+  static compilePattern(pattern) {
+    if (pattern instanceof RegExp) {
+      return { source: pattern.toString(), test: url => pattern.test(url) };
+    }
+
+    if (pattern.startsWith('regex:')) {
+      const regex = new RegExp(pattern.slice('regex:'.length), 'i');
+      return { source: pattern, test: url => regex.test(url) };
+    }
+
+    let target = 'path';
+    let glob = pattern;
+    if (pattern.includes('://')) {
+      target = 'url';
+    } else if (!pattern.includes('/')) {
+      target = 'segment';
+    } else if (!pattern.startsWith('/')) {
+      glob = `**/${pattern}`;
+    }
+
+    const regex = this.globToRegExp(glob);
+
+    return {
+      source: pattern,
+      test: (url) => {
+        let urlObj;
+        try {
+          urlObj = new URL(url);
+        } catch {
+          return false;
+        }
+
+        if (target === 'url') return regex.test(url);
+        let path = urlObj.pathname;
+        try {
+          path = decodeURIComponent(path);
+        } catch {
+          // Keep the encoded path
+        }
+        if (target === 'segment') return regex.test(path.split('/').pop());
+        return regex.test(path);
+      }
+    };
+  }
+
+  static globToRegExp(glob) {
+    let source = '';
+    for (let i = 0; i < glob.length; i++) {
+      const char = glob[i];
+      if (char === '*' && glob[i + 1] === '*') {
+        // "**/" also matches zero segments
+        if (glob[i + 2] === '/') {
+          source += '(?:.*/)?';
+          i += 2;
+        } else {
+          source += '.*';
+          i++;
+        }
+      } else if (char === '*') {
+        source += '[^/]*';
+      } else if (char === '?') {
+        source += '[^/]';
+      } else {
+        source += char.replace(/[.+^${}()|[\]\\]/g, '\\$&');
+      }
+    }
+    return new RegExp(`^${source}$`, 'i');
+  }
+
+  static matchesAnyPattern(url, patterns) {
+    return patterns.some(pattern => (typeof pattern === 'string' ? this.compilePattern(pattern) : pattern).test(url));
+  }
+
+  static shouldSkipUrl(url, excludePatterns = DEFAULT_EXCLUDE_PATTERNS) {
+    return this.matchesAnyPattern(url, excludePatterns);
   }
 }
 
+UrlUtils.DEFAULT_EXCLUDE_PATTERNS = DEFAULT_EXCLUDE_PATTERNS;
+
 module.exports = UrlUtils;
\ No newline at end of file
@@ -0,0 +1,191 @@
+const crypto = require('crypto');
+const http = require('http');
+const zlib = require('zlib');
+
+const CRLF = '\r\n';
+
+// Response headers that describe the bytes on the wire rather than the body stored in the
+// archive (which is already decompressed); they are kept under this prefix instead
+const ORIGINAL_HEADER_PREFIX = 'x-archive-orig-';
+const WIRE_HEADERS = ['content-encoding', 'transfer-encoding'];
+
+// Request headers whose values are secrets and never written to an archive
+const SECRET_HEADERS = ['authorization', 'proxy-authorization', 'cookie'];
+
+// Reading and writing WARC 1.1 records (ISO 28500). A .warc.gz file is a series of gzip
+// members, one per record, so any record can be read on its own from its offset.
+class Warc {
+  static createRecord(type, fields, block = Buffer.alloc(0)) {
+    const header = [
+      'WARC/1.1',
+      `WARC-Type: ${type}`,
+      `WARC-Record-ID: ${fields.id || Warc.createRecordId()}`,
+      `WARC-Date: ${(fields.date || new Date()).toISOString().replace(/\.\d{3}Z$/, 'Z')}`,
+      ...Object.entries(fields.headers || {}).filter(([, value]) => value !== undefined && value !== null).map(([name, value]) => `${name}: ${value}`),
+      `Content-Length: ${block.length}`
+    ].join(CRLF);
+
+    return Buffer.concat([Buffer.from(`${header}${CRLF}${CRLF}`), block, Buffer.from(`${CRLF}${CRLF}`)]);
+  }
+
+  static createRecordId() {
+    return `<urn:uuid:${crypto.randomUUID()}>`;
+  }
+
+  static gzip(record) {
+    return zlib.gzipSync(record);
+  }
+
+  // "GET /path HTTP/1.1" plus headers; secret header values are replaced
+  static formatHttpRequest(url, headers = {}) {
+    const { host, pathname, search } = new URL(url);
+    const lines = [`GET ${pathname}${search} HTTP/1.1`, `Host: ${host}`];
+    Object.entries(headers).forEach(([name, value]) => {
+      if (name.toLowerCase() === 'host') return;
+      lines.push(`${name}: ${SECRET_HEADERS.includes(name.toLowerCase()) ? '[redacted]' : value}`);
+    });
+    return Buffer.from(`${lines.join(CRLF)}${CRLF}${CRLF}`);
+  }
+
+  // The HTTP message for a fetched response. body is null for responses that weren't read
+  // (binaries, bodies over maxResponseSize); Content-Length then keeps the size that was sent.
+  static formatHttpResponse(status, headers = {}, body = null) {
+    const lines = [`HTTP/1.1 ${status} ${http.STATUS_CODES[status] || 'Unknown'}`];
+    for (const [rawName, value] of Object.entries(headers)) {
+      const name = rawName.toLowerCase();
+      if (body !== null && name === 'content-length') continue;
+      const archivedName = WIRE_HEADERS.includes(name) ? `${ORIGINAL_HEADER_PREFIX}${name}` : name;
+      [].concat(value).forEach(item => lines.push(`${archivedName}: ${item}`));
+    }
+    if (body !== null) lines.push(`content-length: ${body.length}`);
+
+    return Buffer.concat([Buffer.from(`${lines.join(CRLF)}${CRLF}${CRLF}`), body || Buffer.alloc(0)]);
+  }
+
+  // { type, headers (lowercased), block } from one uncompressed record
+  static parseRecord(buffer) {
+    const end = buffer.indexOf(`${CRLF}${CRLF}`);
+    if (end === -1 || !buffer.subarray(0, 5).toString().startsWith('WARC/')) {
+      throw new Error('Not a WARC record');
+    }
+
+    const headers = Warc.parseHeaderLines(buffer.subarray(0, end).toString('utf8').split(CRLF).slice(1));
+    const length = Number(headers['content-length']) || 0;
+    const blockStart = end + 4;
+    return {
+      type: headers['warc-type'],
+      headers,
+      block: buffer.subarray(blockStart, blockStart + length),
+      size: blockStart + length + 4
+    };
+  }
+
+  // { status, headers, body } from a response record's block, with headers as they were sent
+  static parseHttpResponse(block) {
+    const end = block.indexOf(`${CRLF}${CRLF}`);
+    const head = (end === -1 ? block : block.subarray(0, end)).toString('latin1').split(CRLF);
+    const status = Number((head[0].match(/^HTTP\/[\d.]+\s+(\d{3})/) || [])[1]);
+    if (!status) throw new Error(`Not an HTTP response: ${head[0]}`);
+
+    const headers = {};
+    const wire = {};
+    Object.entries(Warc.parseHeaderLines(head.slice(1), ['set-cookie'])).forEach(([name, value]) => {
+      if (name.startsWith(ORIGINAL_HEADER_PREFIX) && WIRE_HEADERS.includes(name.slice(ORIGINAL_HEADER_PREFIX.length))) {
+        headers[name.slice(ORIGINAL_HEADER_PREFIX.length)] = value;
+      } else {
+        headers[name] = value;
+        if (WIRE_HEADERS.includes(name)) wire[name] = value;
+      }
+    });
+
+    const body = end === -1 ? Buffer.alloc(0) : Warc.decodeBody(block.subarray(end + 4), wire);
+    return { status, headers, body };
+  }
+
+  // Archives written by other tools keep the body as it was sent (chunked and/or compressed)
+  static decodeBody(body, wire) {
+    let decoded = body;
+    if (/chunked/i.test(wire['transfer-encoding'] || '')) decoded = Warc.dechunk(decoded);
+
+    const encoding = (wire['content-encoding'] || '').toLowerCase().trim();
+    try {
+      if (encoding === 'gzip' || encoding === 'x-gzip') return zlib.gunzipSync(decoded);
+      if (encoding === 'deflate') return zlib.inflateSync(decoded);
+      if (encoding === 'br') return zlib.brotliDecompressSync(decoded);
+    } catch {
+      // Stored undecoded when it can't be decompressed
+    }
+    return decoded;
+  }
+
+  static dechunk(body) {
+    const chunks = [];
+    let position = 0;
+    while (position < body.length) {
+      const lineEnd = body.indexOf(CRLF, position);
+      if (lineEnd === -1) break;
+      const size = parseInt(body.subarray(position, lineEnd).toString(), 16);
+      if (!size) break;
+      chunks.push(body.subarray(lineEnd + 2, lineEnd + 2 + size));
+      position = lineEnd + 2 + size + 2;
+    }
+    return Buffer.concat(chunks);
+  }
+
+  // Lowercased names; the names in `repeated` collect every value in an array
+  static parseHeaderLines(lines, repeated = []) {
+    const headers = {};
+    for (const line of lines) {
+      const separator = line.indexOf(':');
+      if (separator === -1) continue;
+      const name = line.slice(0, separator).trim().toLowerCase();
+      const value = line.slice(separator + 1).trim();
+      if (repeated.includes(name)) {
+        headers[name] = [...(headers[name] || []), value];
+      } else {
+        headers[name] = headers[name] !== undefined ? `${headers[name]}, ${value}` : value;
+      }
+    }
+    return headers;
+  }
+
+  // Splits a whole WARC file into { offset, length, record } without an index. Each gzip
+  // member is inflated on its own to find where the next one starts.
+  static *scan(buffer, compressed) {
+    let offset = 0;
+    while (offset < buffer.length) {
+      if (compressed) {
+        const dataStart = Warc.getGzipDataStart(buffer, offset);
+        const { buffer: record, engine } = zlib.inflateRawSync(buffer.subarray(dataStart), { info: true });
+        const length = dataStart + engine.bytesWritten + 8 - offset; // 8-byte CRC and size trailer
+        yield { offset, length, record: Warc.parseRecord(record) };
+        offset += length;
+      } else {
+        const record = Warc.parseRecord(buffer.subarray(offset));
+        yield { offset, length: record.size, record };
+        offset += record.size;
+      }
+    }
+  }
+
+  // Skips a gzip member header (RFC 1952) with its optional extra field, name, comment and CRC
+  static getGzipDataStart(buffer, offset) {
+    if (buffer[offset] !== 0x1f || buffer[offset + 1] !== 0x8b) {
+      throw new Error(`No gzip member at byte ${offset}`);
+    }
+    const flags = buffer[offset + 3];
+    let position = offset + 10;
+    if (flags & 4) position += 2 + buffer.readUInt16LE(position);
+    if (flags & 8) position = buffer.indexOf(0, position) + 1;
+    if (flags & 16) position = buffer.indexOf(0, position) + 1;
+    if (flags & 2) position += 2;
+    return position;
+  }
+
+  // The record at an offset found by scan() or written to the index
+  static readRecord(bytes, compressed) {
+    return Warc.parseRecord(compressed ? zlib.gunzipSync(bytes) : bytes);
+  }
+}
+
+module.exports = Warc;
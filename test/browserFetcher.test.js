@@ -0,0 +1,53 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const axios = require('axios');
+const BrowserFetcher = require('../src/fetchers/BrowserFetcher');
+
+// A Puppeteer page whose navigation never finishes on its own, like a render stuck
+// waiting for network idle; closing the page makes it fail as Puppeteer does
+function createStuckPage() {
+  let closed = false;
+  let failNavigation;
+  return {
+    setUserAgent: async () => {},
+    evaluateOnNewDocument: async () => {},
+    setRequestInterception: async () => {},
+    on: () => {},
+    goto: () => new Promise((resolve, reject) => {
+      failNavigation = reject;
+    }),
+    close: async () => {
+      closed = true;
+      if (failNavigation) failNavigation(new Error('Navigating frame was detached'));
+    },
+    isClosed: () => closed
+  };
+}
+
+function createFetcher(signal) {
+  const page = createStuckPage();
+  const fetcher = new BrowserFetcher({ signal, userAgent: 'test', timeout: 30000 });
+  fetcher.browser = Promise.resolve({ newPage: async () => page });
+  return { fetcher, page };
+}
+
+test('aborting the crawl closes the page being rendered and cancels the request', async () => {
+  const controller = new AbortController();
+  const { fetcher, page } = createFetcher(controller.signal);
+
+  const request = fetcher.request('https://example.com/');
+  setTimeout(() => controller.abort(), 20);
+
+  await assert.rejects(request, error => axios.isCancel(error) && error.code === 'ERR_CANCELED');
+  assert.equal(page.isClosed(), true);
+});
+
+test('a crawl aborted before the request starts renders nothing', async () => {
+  const controller = new AbortController();
+  controller.abort();
+  const { fetcher, page } = createFetcher(controller.signal);
+  page.goto = () => assert.fail('the page should not be loaded');
+
+  await assert.rejects(fetcher.request('https://example.com/'), error => axios.isCancel(error));
+  assert.equal(page.isClosed(), true);
+});
@@ -0,0 +1,147 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const CrawlDiff = require('../src/CrawlDiff');
+const CrawlHistory = require('../src/CrawlHistory');
+const FileManager = require('../src/utils/FileManager');
+
+let outputDir;
+
+before(async () => {
+  outputDir = await fs.mkdtemp(path.join(os.tmpdir(), 'crawler-test-'));
+});
+
+after(async () => {
+  await fs.rm(outputDir, { recursive: true, force: true });
+});
+
+const page = (url, extra = {}) => ({ url, title: 'Page', meta: {}, headings: [], links: [], wordCount: 100, http: { status: 200 }, ...extra });
+const link = (url, extra = {}) => ({ url, isInternal: true, ...extra });
+
+const run = (runId, extra = {}) => ({
+  runId,
+  domain: 'example.com',
+  startUrl: 'https://example.com/',
+  completed: true,
+  outputFiles: [path.join(outputDir, `example_com_${runId}.json`)],
+  ...extra
+});
+
+test('pages are compared as added, removed, changed or unchanged', () => {
+  const base = {
+    crawlInfo: { runId: 'run-1', startUrl: 'https://example.com/' },
+    pages: [
+      page('https://example.com/', { links: [link('https://example.com/a'), link('https://example.com/old')] }),
+      page('https://example.com/a', { title: 'Pricing', meta: { description: 'Plans' }, headings: [{ level: 1, text: 'Pricing' }] }),
+      page('https://example.com/old'),
+      page('https://example.com/same')
+    ]
+  };
+  const target = {
+    crawlInfo: { runId: 'run-2' },
+    pages: [
+      page('https://example.com/', { links: [link('https://example.com/a'), link('https://example.com/new'), link('https://other.example/', { isInternal: false })] }),
+      page('https://example.com/a', { title: 'Plans', meta: {}, headings: [{ level: 1, text: 'Plans' }], wordCount: 105, http: { status: 500 } }),
+      page('https://example.com/new', { title: 'New' }),
+      page('https://example.com/same')
+    ]
+  };
+
+  const diff = new CrawlDiff().compare(base, target);
+
+  assert.deepEqual(diff.added, [{ url: 'https://example.com/new', title: 'New' }]);
+  assert.deepEqual(diff.removed, [{ url: 'https://example.com/old', title: 'Page' }]);
+  assert.deepEqual(diff.changed, [
+    { url: 'https://example.com/', changes: { links: { added: ['https://example.com/new'], removed: ['https://example.com/old'] } } },
+    {
+      url: 'https://example.com/a',
+      changes: {
+        title: { from: 'Pricing', to: 'Plans' },
+        status: { from: 200, to: 500 },
+        meta: { description: { from: 'Plans', to: null } },
+        headings: { added: ['h1: Plans'], removed: ['h1: Pricing'] }
+      }
+    }
+  ], 'a 5% change in word count is not reported');
+  assert.deepEqual(diff.counts, { added: 1, removed: 1, changed: 2, unchanged: 1, newBroken: 1, fixed: 0, linksAdded: 1, linksRemoved: 1 });
+  assert.deepEqual(diff.base, { runId: 'run-1', file: null, startUrl: 'https://example.com/', timestamp: null, pages: 4 });
+  assert.equal(diff.target.startUrl, 'https://example.com/', 'the first page stands in for a missing start URL');
+});
+
+test('word counts are reported once they move by the configured share', () => {
+  const compare = (from, to, options) => new CrawlDiff(options).comparePages(page('u', { wordCount: from }), page('u', { wordCount: to })).wordCount;
+
+  assert.equal(compare(100, 109), undefined);
+  assert.deepEqual(compare(100, 110), { from: 100, to: 110, delta: 10 });
+  assert.deepEqual(compare(100, 95, { wordCountChange: 0.05 }), { from: 100, to: 95, delta: -5 });
+  assert.deepEqual(compare(0, 3), { from: 0, to: 3, delta: 3 });
+});
+
+test('URLs that broke or were fixed come from failures, skips, error pages and the link audit', () => {
+  const base = {
+    pages: [page('https://example.com/a', { http: { status: 404 } })],
+    failedUrls: [{ url: 'https://example.com/timeout', error: 'ETIMEDOUT', parent: 'https://example.com/' }]
+  };
+  const target = {
+    pages: [page('https://example.com/a')],
+    skippedUrls: [
+      { url: 'https://example.com/gone', statusCode: 410, reason: 'HTTP 410', parent: 'https://example.com/' },
+      { url: 'https://example.com/robots', reason: 'robots.txt' }
+    ],
+    linkAudit: { brokenBySource: [{ page: 'https://example.com/a', links: [{ url: 'https://other.example/x', status: 404, error: null }] }] }
+  };
+
+  const { broken } = new CrawlDiff().compare(base, target);
+
+  assert.deepEqual(broken.new, [
+    { url: 'https://example.com/gone', status: 410, error: 'HTTP 410', source: 'https://example.com/' },
+    { url: 'https://other.example/x', status: 404, error: null, source: 'https://example.com/a' }
+  ]);
+  assert.deepEqual(broken.fixed.map(entry => entry.url), ['https://example.com/timeout', 'https://example.com/a']);
+});
+
+test('run IDs sort in the order the runs started and do not collide', () => {
+  const earlier = FileManager.createRunId(new Date('2024-01-15T09:30:12.345Z'));
+  const later = FileManager.createRunId(new Date('2024-01-15T10:05:00Z'));
+
+  assert.match(earlier, /^2024-01-15_093012_[0-9a-f]{4}$/);
+  assert.ok(earlier.localeCompare(later) < 0);
+
+  const date = new Date();
+  const ids = new Set(Array.from({ length: 20 }, () => FileManager.createRunId(date)));
+  assert.ok(ids.size > 1);
+  assert.match(FileManager.getOutputBase('example.com', outputDir, earlier), /example_com_2024-01-15_093012_[0-9a-f]{4}$/);
+});
+
+test('the history keeps one entry per run, oldest first, even when written at once', async () => {
+  const history = new CrawlHistory(outputDir);
+  await Promise.all([
+    history.record(run('2024-01-16_080000_bbbb')),
+    history.record(run('2024-01-15_080000_aaaa')),
+    history.record(run('2024-01-17_080000_cccc', { completed: false }))
+  ]);
+  await history.record(run('2024-01-17_080000_cccc', { completed: true, pages: 3 }));
+
+  const runs = await history.list('example.com');
+  assert.deepEqual(runs.map(entry => entry.runId), ['2024-01-15_080000_aaaa', '2024-01-16_080000_bbbb', '2024-01-17_080000_cccc']);
+  assert.equal(runs[2].pages, 3, 'a resumed run replaces its entry');
+
+  assert.deepEqual((await history.getLatestPair('example.com')).map(entry => entry.runId), ['2024-01-16_080000_bbbb', '2024-01-17_080000_cccc']);
+  assert.equal((await history.find('2024-01-15_080000_aaaa')).domain, 'example.com');
+  assert.equal(await history.find('2024-01-01_000000_0000'), null);
+  assert.deepEqual(await history.listDomains(), [{ domain: 'example.com', runs: 3, latest: runs[2] }]);
+});
+
+test('runs are resolved to their result files', async () => {
+  const history = new CrawlHistory(outputDir);
+  await history.record(run('2024-01-15_080000_aaaa'));
+
+  assert.equal(await history.resolve('2024-01-15_080000_aaaa'), path.join(outputDir, 'example_com_2024-01-15_080000_aaaa.json'));
+  await assert.rejects(history.resolve('no-such-run'), /neither a run ID/);
+  await assert.rejects(new CrawlHistory(outputDir).getLatestPair('other.example'), /needs two completed runs/);
+
+  assert.equal(CrawlHistory.getResultFile({ runId: 'r', outputFiles: ['a.csv', 'a.ndjson'] }), 'a.ndjson');
+  assert.throws(() => CrawlHistory.getResultFile({ runId: 'r', outputFiles: ['a.csv'] }), /Run r has no JSON or NDJSON output/);
+});
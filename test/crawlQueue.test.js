@@ -0,0 +1,124 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const CrawlQueue = require('../src/CrawlQueue');
+
+const item = url => ({ url, depth: 0, parent: null });
+
+test('each URL is queued once', () => {
+  const queue = new CrawlQueue();
+  assert.equal(queue.push(item('https://a.example/1')), true);
+  assert.equal(queue.push(item('https://a.example/1')), false);
+  assert.equal(queue.length, 1);
+});
+
+test('requests to one host start at least the delay apart', () => {
+  const queue = new CrawlQueue({ delay: 1000, maxConcurrencyPerHost: 2 });
+  queue.push(item('https://a.example/1'));
+  queue.push(item('https://a.example/2'));
+
+  assert.equal(queue.next(0).item.url, 'https://a.example/1');
+  assert.deepEqual(queue.next(400), { waitMs: 600 });
+  assert.equal(queue.next(1000).item.url, 'https://a.example/2');
+});
+
+test('other hosts are not held up by a host that is waiting', () => {
+  const queue = new CrawlQueue({ delay: 1000, maxConcurrencyPerHost: 2 });
+  queue.push(item('https://a.example/1'));
+  queue.push(item('https://a.example/2'));
+  queue.push(item('https://b.example/1'));
+
+  assert.equal(queue.next(0).item.url, 'https://a.example/1');
+  assert.equal(queue.next(0).item.url, 'https://b.example/1');
+  assert.deepEqual(queue.next(0), { waitMs: 1000 });
+});
+
+test('a host at its concurrency cap waits for a release, whatever the delay', () => {
+  const queue = new CrawlQueue({ delay: 0, maxConcurrencyPerHost: 1 });
+  queue.push(item('https://a.example/1'));
+  queue.push(item('https://a.example/2'));
+
+  queue.next(0);
+  assert.deepEqual(queue.next(5000), { waitMs: null });
+
+  queue.release('https://a.example/1');
+  assert.equal(queue.next(5000).item.url, 'https://a.example/2');
+  assert.equal(queue.active, 1);
+});
+
+test('per-host delays, adaptive delays and pauses', () => {
+  const start = 1000000;
+  const queue = new CrawlQueue({ delay: 100, maxConcurrencyPerHost: 5 });
+  queue.setHostDelay('slow.example', 2000);
+  queue.setAdaptiveDelay('busy.example', 500);
+  queue.pauseHost('paused.example', start + 10000);
+
+  assert.equal(queue.getEffectiveDelay('slow.example'), 2000);
+  assert.equal(queue.getEffectiveDelay('busy.example'), 500);
+  assert.equal(queue.getEffectiveDelay('other.example'), 100);
+
+  for (const host of ['slow', 'busy', 'paused']) {
+    queue.push(item(`https://${host}.example/1`));
+    queue.push(item(`https://${host}.example/2`));
+  }
+  const started = [];
+  for (let now = start; now <= start + 10000; now += 50) {
+    let next;
+    while ((next = queue.next(now)).item) started.push([next.item.url, now - start]);
+  }
+
+  assert.deepEqual(started, [
+    ['https://slow.example/1', 0],
+    ['https://busy.example/1', 0],
+    ['https://busy.example/2', 500],
+    ['https://slow.example/2', 2000],
+    ['https://paused.example/1', 10000]
+  ], 'a paused host goes back to its delay once the pause is over');
+});
+
+test('a host concurrency override applies until it is reset', () => {
+  const queue = new CrawlQueue({ maxConcurrencyPerHost: 3 });
+  queue.setHostConcurrency('a.example', 1);
+  ['1', '2', '3'].forEach(path => queue.push(item(`https://a.example/${path}`)));
+
+  assert.ok(queue.next(0).item);
+  assert.deepEqual(queue.next(0), { waitMs: null });
+
+  queue.setHostConcurrency('a.example', null);
+  assert.ok(queue.next(0).item);
+  assert.ok(queue.next(0).item);
+});
+
+test('slots for requests outside the queue share the host delay and cap', () => {
+  const queue = new CrawlQueue({ delay: 1000 });
+  queue.push(item('https://a.example/1'));
+
+  assert.deepEqual(queue.acquireHost('a.example', 0), { acquired: true, waitMs: null });
+  assert.deepEqual(queue.next(0), { waitMs: null }, 'the host is at its cap while the slot is held');
+  assert.deepEqual(queue.acquireHost('a.example', 0), { acquired: false, waitMs: null });
+
+  queue.releaseHost('a.example');
+  assert.deepEqual(queue.acquireHost('a.example', 300), { acquired: false, waitMs: 700 });
+  assert.equal(queue.next(1000).item.url, 'https://a.example/1');
+});
+
+test('in-flight requests are saved as pending and restored', () => {
+  const queue = new CrawlQueue();
+  queue.push(item('https://a.example/1'));
+  queue.push(item('https://a.example/2'));
+  queue.next(0);
+
+  const restored = new CrawlQueue();
+  restored.restore(JSON.parse(JSON.stringify(queue.toJSON())));
+
+  assert.equal(restored.length, 2);
+  assert.equal(restored.has('https://a.example/1'), true);
+  assert.equal(restored.next(0).item.url, 'https://a.example/1');
+});
+
+test('waitForChange resolves when an item is pushed', async () => {
+  const queue = new CrawlQueue();
+  const changed = queue.waitForChange();
+  queue.push(item('https://a.example/1'));
+  await changed;
+  assert.equal(queue.isDrained(), false);
+});
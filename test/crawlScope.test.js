@@ -0,0 +1,84 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const CrawlScope = require('../src/CrawlScope');
+
+const urls = [
+  'https://docs.example.co.uk/guide/intro.html',
+  'https://docs.example.co.uk/guide',
+  'https://docs.example.co.uk/blog/',
+  'https://api.docs.example.co.uk/',
+  'https://www.example.co.uk/',
+  'https://other.example/'
+];
+
+function inScope(options, startUrls = ['https://docs.example.co.uk/guide/start.html']) {
+  const scope = new CrawlScope(options, startUrls);
+  return urls.filter(url => scope.isInScope(url));
+}
+
+test('each scope mode admits the URLs it covers', () => {
+  assert.deepEqual(inScope({}), urls.slice(0, 3), 'host is the default');
+  assert.deepEqual(inScope({ scope: 'host' }), urls.slice(0, 3));
+  assert.deepEqual(inScope({ scope: 'subdomains' }), urls.slice(0, 4));
+  assert.deepEqual(inScope({ scope: 'domain' }), urls.slice(0, 5));
+  assert.deepEqual(inScope({ scope: 'path' }), urls.slice(0, 2), '"/guide" is the prefix without its slash');
+  assert.deepEqual(inScope({ scope: 'any' }), urls);
+});
+
+test('a URL is in scope when it matches any start URL', () => {
+  assert.deepEqual(
+    inScope({ scope: 'host' }, ['https://docs.example.co.uk/', 'https://other.example/']),
+    [...urls.slice(0, 3), 'https://other.example/']
+  );
+});
+
+test('the path prefix can be set explicitly', () => {
+  assert.deepEqual(inScope({ scope: 'path', pathPrefix: '/blog/' }), ['https://docs.example.co.uk/blog/']);
+});
+
+test('include and exclude patterns narrow the scope and are reported by name', () => {
+  const scope = new CrawlScope({ include: ['/guide/**'], exclude: ['regex:draft'] }, ['https://example.com/']);
+
+  assert.equal(scope.check('https://example.com/guide/a'), null);
+  assert.equal(scope.check('https://example.com/blog/a'), 'include');
+  assert.equal(scope.check('https://example.com/guide/draft-1'), 'exclude:regex:draft');
+  assert.equal(scope.check('https://other.example/guide/a'), 'scope:host');
+  assert.equal(scope.check('mailto:someone@example.com'), 'protocol');
+  assert.equal(scope.check('not a url'), 'invalid-url');
+});
+
+test('a single pattern may be given without a list', () => {
+  const scope = new CrawlScope({ include: /\/guide\//, exclude: '*.pdf' }, ['https://example.com/']);
+
+  assert.equal(scope.isInScope('https://example.com/guide/a'), true);
+  assert.equal(scope.isInScope('https://example.com/guide/a.pdf'), false);
+  assert.equal(scope.isInScope('https://example.com/blog/a'), false);
+});
+
+test('the default exclude patterns apply only when none are given', () => {
+  assert.equal(new CrawlScope({}, ['https://example.com/']).isInScope('https://example.com/logo.png'), false);
+  assert.equal(new CrawlScope({ exclude: [] }, ['https://example.com/']).isInScope('https://example.com/logo.png'), true);
+});
+
+test('rejections are counted once per URL and saved', () => {
+  const scope = new CrawlScope({ exclude: ['/private/**'] }, ['https://example.com/']);
+  scope.check('https://other.example/');
+  scope.check('https://other.example/');
+  scope.check('https://example.com/private/a');
+
+  assert.deepEqual(scope.getStats(), { 'scope:host': 1, 'exclude:/private/**': 1 });
+
+  const restored = new CrawlScope({}, ['https://example.com/']);
+  restored.restore(JSON.parse(JSON.stringify(scope.toJSON())));
+  assert.deepEqual(restored.getStats(), scope.getStats());
+});
+
+test('unknown modes and invalid patterns are rejected before a crawl starts', () => {
+  assert.throws(() => CrawlScope.validate({ scope: 'site' }), /Unknown scope "site"/);
+  assert.throws(() => CrawlScope.validate({ include: [42] }), /"include" patterns must be strings/);
+  assert.throws(() => CrawlScope.validate({ exclude: ['regex:('] }), SyntaxError);
+  assert.throws(() => new CrawlScope({ scope: 'site' }, []), /Unknown scope/);
+
+  CrawlScope.validate({});
+  CrawlScope.validate({ scope: 'subdomains', include: 'regex:^https://', exclude: ['*.pdf'] });
+});
@@ -0,0 +1,87 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const CrawlServer = require('../src/CrawlServer');
+const { startFixtureServer } = require('./helpers/fixtureServer');
+
+let server;
+let apiUrl;
+let outputDir;
+
+before(async () => {
+  outputDir = await fs.mkdtemp(path.join(os.tmpdir(), 'crawler-test-'));
+  server = new CrawlServer({ logger: false, crawlerOptions: { outputDir, history: false } });
+  const { port } = await server.listen(0);
+  apiUrl = `http://127.0.0.1:${port}`;
+});
+
+after(async () => {
+  await server.close();
+  await fs.rm(outputDir, { recursive: true, force: true });
+});
+
+async function submit(options, urls = ['http://127.0.0.1:9/']) {
+  const response = await fetch(`${apiUrl}/crawls`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ urls, options })
+  });
+  return { status: response.status, body: await response.json() };
+}
+
+test('an unknown scope is rejected before the crawl is queued', async () => {
+  const { status, body } = await submit({ scope: 'everything' });
+  assert.equal(status, 400);
+  assert.match(body.error, /Unknown scope "everything"/);
+});
+
+test('include and exclude patterns of the wrong type are rejected', async () => {
+  assert.equal((await submit({ include: 5 })).status, 400);
+  assert.equal((await submit({ exclude: [{ path: '/admin' }] })).status, 400);
+  assert.equal((await submit({ include: ['regex:('] })).status, 400);
+});
+
+test('a single include pattern is accepted', async () => {
+  const { status, body } = await submit({ include: '/docs/**', maxPages: 1, retries: 1, sitemaps: false });
+  assert.equal(status, 202);
+  await fetch(`${apiUrl}/crawls/${body.id}`, { method: 'DELETE' });
+});
+
+test('the pages of a running crawl can be streamed', async () => {
+  const slowPage = { body: '<html><head><title>Slow</title></head><body><p>Slow page</p></body></html>', delay: 300 };
+  const site = await startFixtureServer({
+    '/': `<html><head><title>Home</title></head><body>${[1, 2, 3, 4, 5, 6].map(n => `<a href="/${n}">${n}</a>`).join('')}</body></html>`,
+    ...Object.fromEntries([1, 2, 3, 4, 5, 6].map(n => [`/${n}`, slowPage]))
+  });
+
+  try {
+    const { body: job } = await submit({ delay: 1, sitemaps: false, outputs: ['json', 'ndjson'] }, [`${site.baseUrl}/`]);
+    const results = format => fetch(`${apiUrl}/crawls/${job.id}/results?format=${format}`);
+
+    let response;
+    let lines = [];
+    while (lines.length < 2) {
+      await new Promise(resolve => setTimeout(resolve, 100));
+      response = await results('ndjson');
+      assert.equal(response.status, 200);
+      lines = (await response.text()).split('\n').filter(Boolean);
+    }
+    assert.equal(response.headers.get('content-type'), 'application/x-ndjson');
+    assert.equal(JSON.parse(lines[0]).url, `${site.baseUrl}/`);
+
+    const partial = await (await results('json')).json();
+    assert.equal(partial.crawlInfo.completed, false);
+    assert.ok(partial.pages.length >= 2);
+    assert.equal(partial.pages[0].title, 'Home');
+
+    const status = await (await fetch(`${apiUrl}/crawls/${job.id}`)).json();
+    assert.equal(status.status, 'running');
+    assert.equal((await results('csv')).status, 409);
+
+    await fetch(`${apiUrl}/crawls/${job.id}`, { method: 'DELETE' });
+  } finally {
+    await site.close();
+  }
+});
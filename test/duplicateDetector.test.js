@@ -0,0 +1,78 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const DuplicateDetector = require('../src/DuplicateDetector');
+
+const article = 'the quick brown fox jumps over the lazy dog while a small bird sings in the old oak tree near the river bank ' +
+  'where children play every summer afternoon under a bright blue sky and fishermen wait patiently for the evening catch ' +
+  'to arrive along the muddy shore of the slow moving water';
+const edited = article.replace(/water$/, 'stream');
+const other = 'completely different text about tax forms invoices quarterly reports and accounting rules for small businesses ' +
+  'that need to file returns before the deadline every year without fail or penalties from the revenue office';
+
+const page = (url, text) => ({ url, content: { text } });
+
+test('fingerprints are 64-bit SimHashes that barely move for a small edit', () => {
+  const fingerprint = DuplicateDetector.fingerprint(article);
+
+  assert.match(fingerprint, /^[0-9a-f]{16}$/);
+  assert.equal(DuplicateDetector.fingerprint(article.toUpperCase().replace(/ /g, ',  ')), fingerprint, 'case and punctuation are ignored');
+  assert.ok(DuplicateDetector.distance(fingerprint, DuplicateDetector.fingerprint(edited)) <= 3);
+  assert.ok(DuplicateDetector.distance(fingerprint, DuplicateDetector.fingerprint(other)) > 3);
+  assert.equal(DuplicateDetector.fingerprint('too short', 20), null);
+  assert.equal(DuplicateDetector.fingerprint(''), null);
+});
+
+test('distance counts the differing bits', () => {
+  assert.equal(DuplicateDetector.distance('0000000000000000', '0000000000000000'), 0);
+  assert.equal(DuplicateDetector.distance('0000000000000000', '8000000000000001'), 2);
+  assert.equal(DuplicateDetector.distance('0000000000000000', 'ffffffffffffffff'), 64);
+});
+
+test('pages with nearly the same text are clustered, first crawled first', () => {
+  const detector = new DuplicateDetector();
+  const pages = [
+    page('https://example.com/a', article),
+    page('https://example.com/other', other),
+    page('https://example.com/print/a', edited),
+    page('https://example.com/short', 'only a few words'),
+    page('https://example.com/a?copy', article)
+  ];
+  pages.forEach(item => detector.add(item));
+
+  assert.equal(pages[0].simhash, DuplicateDetector.fingerprint(article));
+  assert.equal(pages[3].simhash, undefined, 'pages below minWords are not fingerprinted');
+
+  const report = detector.getReport();
+  assert.equal(report.fingerprinted, 4);
+  assert.equal(report.clusterCount, 1);
+  assert.equal(report.duplicatePages, 2);
+  assert.equal(report.clusters[0].exact, false);
+  assert.deepEqual(report.clusters[0].pages.map(item => [item.url, item.distance > 0]), [
+    ['https://example.com/a', false],
+    ['https://example.com/print/a', true],
+    ['https://example.com/a?copy', false]
+  ]);
+});
+
+test('the threshold sets how many bits may differ, through every band', () => {
+  const fingerprints = ['0000000000000000', '0000000000000007', '000000000000000f', 'f000000000000000', 'ff00000000000000'];
+  const clusterOf = threshold => {
+    const detector = new DuplicateDetector({ threshold });
+    fingerprints.forEach((fingerprint, index) => detector.index(`https://example.com/${index}`, fingerprint));
+    return detector.getReport().clusters.map(cluster => cluster.pages.map(item => item.url.slice(-1)));
+  };
+
+  assert.deepEqual(clusterOf(0), []);
+  assert.deepEqual(clusterOf(3), [['0', '1', '2']], 'pages are joined through their nearest neighbours');
+  assert.deepEqual(clusterOf(4), [['0', '1', '2', '3', '4']]);
+  assert.throws(() => new DuplicateDetector({ threshold: 32 }), /whole number of bits from 0 to 31/);
+});
+
+test('clusters are rebuilt from saved fingerprints', () => {
+  const detector = new DuplicateDetector();
+  [page('https://example.com/a', article), page('https://example.com/b', edited)].forEach(item => detector.add(item));
+
+  const restored = new DuplicateDetector();
+  restored.restore(JSON.parse(JSON.stringify(detector.toJSON())));
+  assert.deepEqual(restored.getReport(), detector.getReport());
+});
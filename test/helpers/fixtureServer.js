@@ -0,0 +1,40 @@
+const http = require('http');
+
+// Serves a small site for a test on a free local port. routes maps a path to its HTML, or to
+// { body, type, delay, status, headers } for other content types, slow responses, redirects
+// and errors; anything else is a 404.
+// requests lists every path asked for, in order.
+async function startFixtureServer(routes) {
+  const requests = [];
+  const server = http.createServer((req, res) => {
+    const { pathname } = new URL(req.url, 'http://localhost');
+    requests.push(pathname);
+
+    const route = routes[pathname];
+    if (route === undefined) {
+      res.writeHead(404, { 'Content-Type': 'text/plain' });
+      res.end('Not found');
+      return;
+    }
+
+    const { body = '', type = 'text/html; charset=utf-8', delay = 0, status = 200, headers = {} } =
+      typeof route === 'string' ? { body: route } : route;
+    setTimeout(() => {
+      res.writeHead(status, { 'Content-Type': type, ...headers });
+      res.end(body);
+    }, delay);
+  });
+
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+
+  return {
+    baseUrl: `http://127.0.0.1:${server.address().port}`,
+    requests,
+    close: () => new Promise(resolve => {
+      server.closeAllConnections();
+      server.close(resolve);
+    })
+  };
+}
+
+module.exports = { startFixtureServer };
@@ -0,0 +1,185 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const Backoff = require('../src/utils/Backoff');
+const HostThrottle = require('../src/HostThrottle');
+
+const logger = { info() {}, warn() {} };
+
+// Records what the throttle asks of the CrawlQueue
+function createQueue() {
+  return {
+    delays: {},
+    pauses: {},
+    concurrency: {},
+    setAdaptiveDelay(hostname, delay) {
+      this.delays[hostname] = delay;
+    },
+    pauseHost(hostname, until) {
+      this.pauses[hostname] = until;
+    },
+    setHostConcurrency(hostname, limit) {
+      this.concurrency[hostname] = limit;
+    }
+  };
+}
+
+function createThrottle(options = {}) {
+  const queue = createQueue();
+  return { queue, throttle: new HostThrottle({ queue, logger, ...options }) };
+}
+
+const wait = ms => new Promise(resolve => setTimeout(resolve, ms));
+const networkError = () => Object.assign(new Error('connect ECONNREFUSED'), { code: 'ECONNREFUSED' });
+
+test('Retry-After is read as seconds or as an HTTP date', () => {
+  const now = Date.parse('2024-01-15T09:00:00Z');
+
+  assert.equal(Backoff.parseRetryAfter('120', now), 120000);
+  assert.equal(Backoff.parseRetryAfter(' 1.5 ', now), 1500);
+  assert.equal(Backoff.parseRetryAfter(['30', '60'], now), 30000);
+  assert.equal(Backoff.parseRetryAfter('Mon, 15 Jan 2024 09:00:45 GMT', now), 45000);
+  assert.equal(Backoff.parseRetryAfter('Mon, 15 Jan 2024 08:00:00 GMT', now), 0, 'a date in the past means no wait');
+  for (const value of [undefined, null, '', 'soon']) {
+    assert.equal(Backoff.parseRetryAfter(value, now), null, String(value));
+  }
+});
+
+test('backoff delays double per attempt, with jitter, up to the maximum', () => {
+  for (let attempt = 0; attempt < 8; attempt++) {
+    const ceiling = Math.min(30000, 1000 * 2 ** attempt);
+    for (let i = 0; i < 20; i++) {
+      const delay = Backoff.getDelay(attempt);
+      assert.ok(delay >= ceiling / 2 && delay <= ceiling, `attempt ${attempt}: ${delay}ms`);
+    }
+  }
+
+  assert.equal(Backoff.getRetryDelay({ headers: { 'retry-after': '5' } }, 3), 5000);
+  assert.equal(Backoff.getRetryDelay({ headers: { 'retry-after': '3600' } }, 0, 1000, 30000), 30000);
+  assert.ok(Backoff.getRetryDelay({ headers: {} }, 0) <= 1000);
+});
+
+test('rate limits and transient errors are told apart from other failures', () => {
+  assert.deepEqual([429, 503, 500, 404].map(Backoff.isRateLimited), [true, true, false, false]);
+
+  assert.equal(Backoff.isTransientError(networkError()), true);
+  assert.equal(Backoff.isTransientError(new Error('timeout of 30000ms exceeded')), true);
+  assert.equal(Backoff.isTransientError(new Error('socket hang up')), true);
+  assert.equal(Backoff.isTransientError(Object.assign(new Error('Request failed'), { code: 'ECONNRESET', response: { status: 502 } })), false);
+  assert.equal(Backoff.isTransientError(new Error('Maximum number of redirects exceeded')), false);
+});
+
+test('a rate-limited response pauses the host for its Retry-After and slows it down', () => {
+  const { queue, throttle } = createThrottle();
+  const before = Date.now();
+  throttle.recordResponse('https://a.example/1', { status: 429, headers: { 'retry-after': '10' } });
+
+  assert.ok(queue.pauses['a.example'] >= before + 10000 && queue.pauses['a.example'] <= Date.now() + 10000);
+  assert.equal(queue.delays['a.example'], 250);
+
+  throttle.recordResponse('https://a.example/2', { status: 503, headers: { 'retry-after': '86400' } });
+  assert.ok(queue.pauses['a.example'] <= Date.now() + 600000, 'Retry-After is capped at maxRetryAfter');
+  assert.equal(queue.delays['a.example'], 500);
+
+  const stats = throttle.getStats();
+  assert.equal(stats.events.rateLimited, 2);
+  assert.equal(stats.events.slowDown, 2);
+  assert.ok(stats.hosts['a.example'].pausedUntil);
+  assert.equal(queue.delays['b.example'], undefined, 'other hosts keep their pace');
+});
+
+test('without Retry-After the pause backs off exponentially', () => {
+  const { queue, throttle } = createThrottle({ backoffBase: 1000 });
+  const pauses = [];
+  for (let i = 0; i < 3; i++) {
+    const before = Date.now();
+    throttle.recordResponse('https://a.example/', { status: 429, headers: {} });
+    pauses.push(queue.pauses['a.example'] - before);
+  }
+
+  assert.ok(pauses[0] >= 500 && pauses[0] <= 1010);
+  assert.ok(pauses[1] >= 1000 && pauses[1] <= 2010);
+  assert.ok(pauses[2] >= 2000 && pauses[2] <= 4010);
+});
+
+test('a host slows down when its latency or error rate rises and speeds up once it recovers', () => {
+  const { queue, throttle } = createThrottle();
+  const respond = (status, latency) => throttle.recordResponse('https://a.example/', { status, headers: {} }, latency);
+
+  for (let i = 0; i < 5; i++) respond(200, 100);
+  assert.equal(queue.delays['a.example'], undefined);
+
+  for (let i = 0; i < 5; i++) respond(200, 2000);
+  assert.equal(queue.delays['a.example'], 250, 'slow responses');
+
+  const { throttle: failing, queue: failingQueue } = createThrottle();
+  for (let i = 0; i < 5; i++) failing.recordResponse('https://b.example/', { status: i % 2 ? 200 : 500, headers: {} }, 100);
+  assert.equal(failingQueue.delays['b.example'], 250, 'failed responses');
+
+  // The failures stay in the error rate until they drop out of the window
+  for (let i = 0; i < 15; i++) failing.recordResponse('https://b.example/', { status: 200, headers: {} }, 100);
+  assert.equal(failingQueue.delays['b.example'], 0);
+  assert.equal(failing.getStats().events.speedUp, 2, 'halved, then dropped once below the smallest step');
+});
+
+test('failures in a row open the circuit, and a probe after the cooldown closes it', async () => {
+  const { queue, throttle } = createThrottle({ failureThreshold: 3, cooldown: 20 });
+  const fail = () => throttle.recordError('https://a.example/', networkError());
+
+  fail();
+  fail();
+  throttle.recordError('https://a.example/', new Error('Maximum number of redirects exceeded'));
+  assert.equal(throttle.getStats().hosts['a.example'].circuit, 'closed', 'errors about the URL itself do not count');
+
+  fail();
+  assert.equal(throttle.getStats().hosts['a.example'].circuit, 'open');
+  assert.equal(queue.concurrency['a.example'], 1, 'one request at a time once the pause is over');
+
+  fail();
+  assert.equal(throttle.getStats().events.circuitOpened, 1, 'requests already running when it opened do not reopen it');
+
+  await wait(30);
+  assert.equal(throttle.getStats().hosts['a.example'].circuit, 'half-open');
+  fail();
+  assert.equal(throttle.getStats().events.circuitOpened, 2, 'a failed probe opens it again');
+  assert.ok(queue.pauses['a.example'] - Date.now() > 20, 'for twice as long');
+
+  await wait(50);
+  throttle.recordResponse('https://a.example/', { status: 200, headers: {} }, 100);
+  assert.equal(throttle.getStats().hosts['a.example'].circuit, 'closed');
+  assert.equal(queue.concurrency['a.example'], null);
+});
+
+test('rate-limited URLs and failures on an open circuit are deferred up to maxDeferrals times', () => {
+  const { throttle } = createThrottle({ failureThreshold: 1, maxDeferrals: 2 });
+  const rateLimited = Object.assign(new Error('Too many requests'), { response: { status: 429 } });
+  const notFound = Object.assign(new Error('Not found'), { response: { status: 404 } });
+
+  assert.equal(throttle.shouldDefer('https://a.example/1', rateLimited), true);
+  assert.equal(throttle.shouldDefer('https://a.example/1', rateLimited), true);
+  assert.equal(throttle.shouldDefer('https://a.example/1', rateLimited), false);
+  assert.equal(throttle.shouldDefer('https://a.example/1', rateLimited), true, 'the count starts over once exhausted');
+  assert.equal(throttle.shouldDefer('https://a.example/2', notFound), false);
+
+  assert.equal(throttle.shouldDefer('https://b.example/1', networkError()), false, 'a closed circuit fails the URL');
+  throttle.recordError('https://b.example/1', networkError());
+  assert.equal(throttle.shouldDefer('https://b.example/1', networkError()), true);
+  assert.equal(throttle.shouldDefer('https://b.example/2', notFound), false);
+
+  const { events } = throttle.getStats();
+  assert.equal(events.deferred, 4);
+  assert.equal(events.deferralsExhausted, 1);
+});
+
+test('saved delays, pauses and open circuits are put back on the queue', () => {
+  const { throttle } = createThrottle({ failureThreshold: 1 });
+  throttle.recordResponse('https://a.example/', { status: 429, headers: { 'retry-after': '60' } });
+  throttle.recordError('https://b.example/', networkError());
+
+  const { queue, throttle: restored } = createThrottle();
+  restored.restore(JSON.parse(JSON.stringify(throttle.toJSON())));
+
+  assert.equal(queue.delays['a.example'], 250);
+  assert.ok(queue.pauses['a.example'] > Date.now() + 50000);
+  assert.equal(queue.concurrency['b.example'], 1);
+  assert.deepEqual(restored.getStats().events, throttle.getStats().events);
+});
@@ -0,0 +1,84 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const cheerio = require('cheerio');
+const MarkdownConverter = require('../src/utils/MarkdownConverter');
+
+const convert = (html, baseUrl = 'https://example.com/docs/') => {
+  const $ = cheerio.load(`<body>${html}</body>`);
+  return MarkdownConverter.convert($, $('body').children().toArray(), baseUrl);
+};
+
+test('whitespace inside neighbouring links stays between them', () => {
+  assert.equal(convert('<p><a href="/a">A </a><a href="/b">B</a></p>'), '[A](https://example.com/a) [B](https://example.com/b)');
+  assert.equal(convert('<p><a href="/a"><span>A</span> </a><a href="/b"> <b>B</b></a></p>'), '[A](https://example.com/a) [**B**](https://example.com/b)');
+  assert.equal(convert('<p>See<a href="/a"> the guide </a>first</p>'), 'See [the guide](https://example.com/a) first');
+});
+
+test('links written next to each other stay next to each other', () => {
+  assert.equal(convert('<p><a href="/a">A</a><a href="/b">B</a></p>'), '[A](https://example.com/a)[B](https://example.com/b)');
+});
+
+test('headings, paragraphs, rules and line breaks', () => {
+  assert.equal(
+    convert('<h1>Guide</h1><p>First   line<br>second line</p><hr><h3>  Details <em>here</em></h3><h2> </h2>'),
+    '# Guide\n\nFirst line  \nsecond line\n\n---\n\n### Details _here_'
+  );
+});
+
+test('inline content outside blocks becomes paragraphs', () => {
+  assert.equal(convert('<div>Loose <b>text</b><p>Block</p>more text</div>'), 'Loose **text**\n\nBlock\n\nmore text');
+});
+
+test('emphasis keeps surrounding whitespace outside its markers', () => {
+  assert.equal(convert('<p>Very<strong> bold </strong>and<i>italic</i><em> </em>text</p>'), 'Very **bold** and_italic_ text');
+});
+
+test('nested, ordered and multi-block list items are indented under their markers', () => {
+  assert.equal(
+    convert('<ul><li>One</li><li>Two<ol start="3"><li>Three</li><li><p>Four</p><p>More</p></li></ol></li><li> </li></ul>'),
+    '- One\n- Two\n  3. Three\n  4. Four\n     More'
+  );
+});
+
+test('block quotes prefix every line', () => {
+  assert.equal(convert('<blockquote><p>Quoted</p><p>Twice</p></blockquote>'), '> Quoted\n>\n> Twice');
+});
+
+test('code blocks are fenced with their language, inline code with enough backticks', () => {
+  assert.equal(
+    convert('<pre class="language-js"><code>const a = `b`;\n```\n</code></pre>'),
+    '````js\nconst a = `b`;\n```\n````'
+  );
+  assert.equal(convert('<pre><code class="lang-sh">\nnpm test\n</code></pre>'), '```sh\nnpm test\n```');
+  assert.equal(convert('<p>Run <code>npm  test</code> or <kbd>a`b</kbd></p>'), 'Run `npm test` or `` a`b ``');
+});
+
+test('data tables get a header row and padded cells; layout tables are rendered as blocks', () => {
+  assert.equal(
+    convert('<table><caption>Plans</caption><tr><th>Name</th><th>Price</th></tr><tr><td>Pro | Team</td><td>10</td><td>Yearly</td></tr></table>'),
+    'Plans\n\n| Name | Price |  |\n| --- | --- | --- |\n| Pro \\| Team | 10 | Yearly |'
+  );
+  assert.equal(convert('<table><tr><td><p>Column one</p></td><td><p>Column two</p></td></tr></table>'), 'Column one\n\nColumn two');
+});
+
+test('links and images are made absolute; unusable ones keep only their text', () => {
+  assert.equal(
+    convert('<p><a href="guide.html">Guide</a> <a href="javascript:void(0)">Menu</a> <a>Anchor</a></p>'),
+    '[Guide](https://example.com/docs/guide.html) Menu Anchor'
+  );
+  assert.equal(
+    convert('<p><img src="/img/a b.png" alt="A [diagram]"><img alt="no source"></p>'),
+    '![A \\[diagram\\]](https://example.com/img/a%20b.png)'
+  );
+  assert.equal(convert('<p><a href="/a(1)">Paren</a></p>', null), '[Paren](</a(1)>)');
+});
+
+test('text that would read as Markdown is escaped', () => {
+  assert.equal(convert('<p>*not bold* [x] `y` snake_case _under_ \\</p>'), '\\*not bold\\* \\[x\\] \\`y\\` snake_case \\_under\\_ \\\\');
+  assert.equal(convert('<p># not a heading</p><p>- not an item</p><p>1. not a list</p><p>&gt; not quoted</p>'),
+    '\\# not a heading\n\n\\- not an item\n\n1\\. not a list\n\n\\> not quoted');
+});
+
+test('scripts, styles and form controls are left out', () => {
+  assert.equal(convert('<p>Text<script>alert(1)</script><style>p{}</style><button>Buy</button><input value="x"></p>'), 'Text');
+});
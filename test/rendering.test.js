@@ -0,0 +1,205 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const WebCrawler = require('../src/WebCrawler');
+const { startFixtureServer } = require('./helpers/fixtureServer');
+
+const page = (body, script = '') => `<!DOCTYPE html>
+<html><head><title>Fixture</title></head>
+<body>${body}${script && `<script>${script}</script>`}</body></html>`;
+
+const SITE = {
+  '/': page(
+    '<a href="/static">Static</a><a href="/app">App</a><a href="/delayed">Delayed</a><a href="/fetching">Fetching</a>',
+    `document.addEventListener('DOMContentLoaded', () => {
+      const link = document.createElement('a');
+      link.href = '/scripted';
+      link.textContent = 'Scripted';
+      document.body.appendChild(link);
+    });`
+  ),
+  '/static': page('<p>Static page</p>'),
+  '/scripted': page('<p>Only linked from script</p>'),
+  // A router that visits its routes while rendering and comes back to the start;
+  // the routes are buttons, not links
+  '/app': page(
+    '<button>Settings</button><button>Profile</button>',
+    `history.pushState({}, '', '/app/settings');
+    history.pushState({}, '', '/app/profile');
+    history.replaceState({}, '', '/app');`
+  ),
+  '/app/settings': page('<p>Settings</p>'),
+  '/app/profile': page('<p>Profile</p>'),
+  '/delayed': page(
+    '<p>Loading</p>',
+    `setTimeout(() => {
+      const late = document.createElement('div');
+      late.id = 'late';
+      late.innerHTML = '<a href="/late-link">Late</a>';
+      document.body.appendChild(late);
+    }, 300);`
+  ),
+  '/late-link': page('<p>Late</p>'),
+  '/fetching': page(
+    '<ul id="list"></ul>',
+    `fetch('/api/links').then(res => res.json()).then(urls => {
+      for (const url of urls) {
+        document.getElementById('list').insertAdjacentHTML('beforeend', '<li><a href="' + url + '">' + url + '</a></li>');
+      }
+    });`
+  ),
+  '/api/links': { body: JSON.stringify(['/from-api']), type: 'application/json', delay: 200 },
+  '/from-api': page('<p>From the API</p>')
+};
+
+let server;
+let outputDir;
+
+before(async () => {
+  server = await startFixtureServer(SITE);
+  outputDir = await fs.mkdtemp(path.join(os.tmpdir(), 'crawler-test-'));
+});
+
+after(async () => {
+  await server.close();
+  await fs.rm(outputDir, { recursive: true, force: true });
+});
+
+function createCrawler(options = {}) {
+  return new WebCrawler({
+    delay: 1,
+    maxPages: 20,
+    maxDepth: 2,
+    concurrency: 1,
+    sitemaps: false,
+    history: false,
+    checkpointInterval: 0,
+    nearDuplicates: false,
+    outputDir,
+    logger: false,
+    ...options
+  });
+}
+
+// Crawls the fixture site and returns the stored pages by path
+async function crawl(crawler, start = '/') {
+  const pages = new Map();
+  crawler.on('pageCrawled', pageData => pages.set(new URL(pageData.url).pathname, pageData));
+  await crawler.crawl(`${server.baseUrl}${start}`);
+  return pages;
+}
+
+const linkPaths = pageData => pageData.links.map(link => new URL(link.url).pathname);
+
+// Resolves to null when headless Chromium can be started, otherwise to the reason it can't
+let browserCheck = null;
+function browserUnavailable() {
+  if (!browserCheck) {
+    browserCheck = (async () => {
+      try {
+        const browser = await require('puppeteer').launch({ headless: true });
+        await browser.close();
+        return null;
+      } catch (error) {
+        return `headless browser unavailable: ${error.message.split('\n')[0]}`;
+      }
+    })();
+  }
+  return browserCheck;
+}
+
+async function skipWithoutBrowser(t) {
+  const reason = await browserUnavailable();
+  if (reason) t.skip(reason);
+  return Boolean(reason);
+}
+
+test('http renderer stores the HTML as served, without script-added links', async () => {
+  const pages = await crawl(createCrawler({ renderer: 'http' }));
+
+  assert.ok(pages.has('/static'));
+  assert.ok(!pages.has('/scripted'));
+  assert.ok(!pages.has('/app/settings'));
+  assert.deepEqual(linkPaths(pages.get('/')).sort(), ['/app', '/delayed', '/fetching', '/static']);
+  assert.ok(!server.requests.includes('/api/links'), 'scripts are not run');
+});
+
+test('renderPatterns sends only matching URLs to the browser fetcher', async () => {
+  const crawler = createCrawler({ renderer: 'http', renderPatterns: ['/app*'] });
+  const rendered = [];
+  // Stands in for the browser so the choice of fetcher is checked without launching one
+  crawler.fetchers.browser = {
+    fetch: (url, headers) => {
+      rendered.push(new URL(url).pathname);
+      return crawler.fetchers.http.fetch(url, headers);
+    },
+    close: async () => {}
+  };
+
+  const pages = await crawl(crawler);
+
+  assert.deepEqual(rendered, ['/app']);
+  assert.ok(pages.has('/static'));
+});
+
+test('renderer option is validated', () => {
+  assert.throws(() => createCrawler({ renderer: 'webkit' }), /Unknown renderer "webkit"/);
+});
+
+test('browser renderer stores links added by scripts', async (t) => {
+  if (await skipWithoutBrowser(t)) return;
+
+  const pages = await crawl(createCrawler({ renderer: 'browser', maxDepth: 1, renderWaitUntil: 'load' }));
+
+  assert.ok(linkPaths(pages.get('/')).includes('/scripted'));
+  assert.ok(pages.has('/scripted'));
+  assert.ok(pages.has('/static'));
+});
+
+test('renderPatterns renders matching pages in the browser', async (t) => {
+  if (await skipWithoutBrowser(t)) return;
+
+  const pages = await crawl(createCrawler({ renderer: 'http', renderPatterns: ['/app'], renderWaitUntil: 'load' }));
+
+  // The start page is fetched over HTTP, so its script-added link is not seen
+  assert.ok(!pages.has('/scripted'));
+  assert.ok(pages.get('/app').links.some(link => link.clientRoute));
+  assert.ok(pages.has('/app/settings'));
+});
+
+test('client-side routes are crawled as links', async (t) => {
+  if (await skipWithoutBrowser(t)) return;
+
+  const pages = await crawl(createCrawler({ renderer: 'browser', maxDepth: 1, renderWaitUntil: 'load' }), '/app');
+
+  const routes = pages.get('/app').links.filter(link => link.clientRoute).map(link => new URL(link.url).pathname);
+  assert.ok(routes.includes('/app/settings'));
+  assert.ok(routes.includes('/app/profile'));
+  assert.ok(pages.has('/app/settings'));
+  assert.ok(pages.has('/app/profile'));
+});
+
+test('renderWaitFor waits for a selector before reading the page', async (t) => {
+  if (await skipWithoutBrowser(t)) return;
+
+  const pages = await crawl(createCrawler({
+    renderer: 'browser',
+    maxDepth: 1,
+    renderWaitUntil: 'domcontentloaded',
+    renderWaitFor: '#late'
+  }), '/delayed');
+
+  assert.ok(linkPaths(pages.get('/delayed')).includes('/late-link'));
+  assert.ok(pages.has('/late-link'));
+});
+
+test('networkidle0 waits for data requests made by the page', async (t) => {
+  if (await skipWithoutBrowser(t)) return;
+
+  const pages = await crawl(createCrawler({ renderer: 'browser', maxDepth: 1, renderWaitUntil: 'networkidle0' }), '/fetching');
+
+  assert.ok(linkPaths(pages.get('/fetching')).includes('/from-api'));
+  assert.ok(pages.has('/from-api'));
+});
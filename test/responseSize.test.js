@@ -0,0 +1,46 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const BrowserFetcher = require('../src/fetchers/BrowserFetcher');
+
+// Stand-ins for a Puppeteer page and its main response
+function render(html, headers) {
+  const page = { content: async () => html };
+  const response = { buffer: async () => Buffer.from(html) };
+  return [page, response, { 'content-type': 'text/html', ...headers }];
+}
+
+const fetcher = new BrowserFetcher({ maxResponseSize: 100 });
+
+test('browser fetcher drops rendered pages over maxResponseSize', async () => {
+  const html = `<html><body>${'x'.repeat(200)}</body></html>`;
+  assert.deepEqual(await fetcher.readBody(...render(html)), { data: null, size: Buffer.byteLength(html), tooLarge: true });
+});
+
+test('browser fetcher does not read pages whose Content-Length is over maxResponseSize', async () => {
+  const [page, response, headers] = render('<html></html>', { 'content-length': '5000' });
+  page.content = async () => assert.fail('the page should not be read');
+
+  assert.deepEqual(await fetcher.readBody(page, response, headers), { data: null, size: 5000, tooLarge: true });
+});
+
+test('browser fetcher keeps pages within maxResponseSize', async () => {
+  const html = '<html><body>Small</body></html>';
+  assert.deepEqual(await fetcher.readBody(...render(html)), { data: html, size: Buffer.byteLength(html), tooLarge: false });
+});
+
+test('browser fetcher only measures binaries', async () => {
+  const [page, response] = render('binary data');
+  const headers = { 'content-type': 'application/octet-stream' };
+
+  assert.deepEqual(await fetcher.readBody(page, response, headers), { data: null, size: 11, tooLarge: false });
+  assert.deepEqual(
+    await fetcher.readBody(page, response, { ...headers, 'content-length': '50000' }),
+    { data: null, size: 50000, tooLarge: false }
+  );
+});
+
+test('maxResponseSize 0 means no limit', async () => {
+  const html = `<html><body>${'x'.repeat(200)}</body></html>`;
+  const unlimited = new BrowserFetcher({ maxResponseSize: 0 });
+  assert.equal((await unlimited.readBody(...render(html))).tooLarge, false);
+});
@@ -0,0 +1,47 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const WebCrawler = require('../src/WebCrawler');
+const CrawlHistory = require('../src/CrawlHistory');
+const { startFixtureServer } = require('./helpers/fixtureServer');
+
+const page = links => `<html><head><title>Page</title></head><body>${links.map(link => `<a href="${link}">${link}</a>`).join('')}</body></html>`;
+
+test('a resumed run keeps the start time it was first started at', async () => {
+  const server = await startFixtureServer({
+    '/': page(['/a', '/b', '/c']),
+    '/a': page([]),
+    '/b': page([]),
+    '/c': page([])
+  });
+  const outputDir = await fs.mkdtemp(path.join(os.tmpdir(), 'crawler-test-'));
+  const options = { delay: 1, concurrency: 1, sitemaps: false, outputDir, logger: false };
+
+  try {
+    const first = new WebCrawler(options);
+    first.once('pageCrawled', () => first.stop());
+    const stopped = await first.crawl(`${server.baseUrl}/`);
+    assert.equal(stopped.completed, false);
+
+    const history = new CrawlHistory(outputDir);
+    const [stoppedRun] = await history.list('127.0.0.1');
+
+    // Long enough for a start time rebuilt from the elapsed time to differ
+    await new Promise(resolve => setTimeout(resolve, 1100));
+
+    const resumed = await WebCrawler.fromCheckpoint(stopped.checkpointFile, { logger: false });
+    const results = await resumed.resume();
+    assert.equal(results.completed, true);
+    assert.equal(results.pages, 4);
+
+    const runs = await history.list('127.0.0.1');
+    assert.equal(runs.length, 1);
+    assert.equal(runs[0].startedAt, stoppedRun.startedAt);
+    assert.ok(results.totalTime < 1100, 'the pause between the runs is not counted as crawl time');
+  } finally {
+    await server.close();
+    await fs.rm(outputDir, { recursive: true, force: true });
+  }
+});
@@ -0,0 +1,159 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const SearchIndex = require('../src/SearchIndex');
+const FileManager = require('../src/utils/FileManager');
+const JsonSink = require('../src/sinks/JsonSink');
+
+let outputDir;
+
+before(async () => {
+  outputDir = await fs.mkdtemp(path.join(os.tmpdir(), 'crawler-test-'));
+});
+
+after(async () => {
+  await fs.rm(outputDir, { recursive: true, force: true });
+});
+
+const page = (url, title, text, extra = {}) => ({ url, title, headings: [], meta: {}, content: { text }, ...extra });
+
+async function collect(pages) {
+  const collected = [];
+  for await (const item of pages) collected.push(item);
+  return collected;
+}
+
+test('readPages streams the pages of a JSON result as loadCrawlData reads them', async () => {
+  const pages = [
+    page('https://example.com/', 'Home', 'Welcome {to} the "shop"\n}', { links: [{ url: 'https://example.com/a' }] }),
+    page('https://example.com/a', 'A', 'Nested [arrays] and { braces }', { headings: [{ level: 1, text: 'A' }] })
+  ];
+  const file = path.join(outputDir, 'result.json');
+  await fs.writeFile(file, JSON.stringify({ crawlInfo: { domain: 'example.com' }, pages, skippedUrls: [] }, null, 2));
+
+  assert.deepEqual(await collect(FileManager.readPages(file)), (await FileManager.loadCrawlData(file)).pages);
+  assert.deepEqual(await collect(FileManager.readPages(file)), pages);
+});
+
+test('readPages reads JSON results written by JsonSink, empty ones included', async () => {
+  for (const pages of [[], [page('https://example.com/', 'Home', 'Hello')]]) {
+    const sink = new JsonSink({ path: path.join(outputDir, `sink-${pages.length}.json`) });
+    await sink.open();
+    for (const item of pages) await sink.write(item);
+    const file = await sink.close({ crawlInfo: { completed: true }, skippedUrls: [] });
+
+    assert.deepEqual(await collect(FileManager.readPages(file)), pages);
+  }
+});
+
+test('readPages reads NDJSON results line by line', async () => {
+  const pages = [page('https://example.com/', 'Home', 'Hello'), page('https://example.com/a', 'A', 'World')];
+  const file = path.join(outputDir, 'result.ndjson');
+  await fs.writeFile(file, `${pages.map(item => JSON.stringify(item)).join('\n')}\n`);
+
+  assert.deepEqual(await collect(FileManager.readPages(file)), pages);
+});
+
+test('the index is updated from streamed pages, replacing changed ones', async () => {
+  const options = { outputDir, domain: 'stream.example' };
+  async function* stream(pages) {
+    yield* pages;
+  }
+
+  await SearchIndex.update({ crawlInfo: { runId: 'run-1' }, pages: stream([
+    page('https://stream.example/', 'Home', 'Garden tools', { contentHash: 'h1' }),
+    page('https://stream.example/a', 'Spades', 'Steel spades', { contentHash: 'a1' })
+  ]) }, options);
+  const update = await SearchIndex.update({ crawlInfo: { runId: 'run-2' }, pages: stream([
+    page('https://stream.example/', 'Home', 'Garden tools', { contentHash: 'h1' }),
+    page('https://stream.example/a', 'Rakes', 'Wooden rakes', { contentHash: 'a2' })
+  ]) }, options);
+
+  assert.deepEqual({ ...update, indexFile: undefined }, { indexFile: undefined, documents: 2, added: 0, updated: 1, unchanged: 1, removed: 0 });
+
+  const index = new SearchIndex('stream.example', options);
+  await index.load();
+  assert.deepEqual([...index.ids.keys()].sort(), ['https://stream.example/', 'https://stream.example/a']);
+  assert.equal(index.postings.has('spade'), false);
+  assert.equal(index.documents.get(index.ids.get('https://stream.example/a')).title, 'Rakes');
+});
+
+function createIndex(pages, options = {}) {
+  const index = new SearchIndex('rank.example', options);
+  pages.forEach(item => index.addPage(item, 'run-1'));
+  return index;
+}
+
+test('a match in the title ranks above the same match in the text', () => {
+  const index = createIndex([
+    page('https://rank.example/text', 'Garden', 'We sell rakes and other tools'),
+    page('https://rank.example/title', 'Rakes', 'We sell tools for the garden'),
+    page('https://rank.example/none', 'Shovels', 'Digging made easy')
+  ]);
+
+  const { total, results } = index.search('rake');
+  assert.equal(total, 2);
+  assert.deepEqual(results.map(result => result.url), ['https://rank.example/title', 'https://rank.example/text']);
+  assert.ok(results[0].score > results[1].score);
+
+  const flat = createIndex([...index.documents.values()].map(document => page(document.url, document.title, document.text)), {
+    boosts: { title: 1 }
+  });
+  assert.ok(flat.search('rake').results[0].score < results[0].score, 'boosts can be configured');
+});
+
+test('rare terms weigh more, and matching more terms ranks higher', () => {
+  const index = createIndex([
+    page('https://rank.example/1', 'One', 'garden garden garden'),
+    page('https://rank.example/2', 'Two', 'garden hose'),
+    page('https://rank.example/3', 'Three', 'garden party'),
+    page('https://rank.example/4', 'Four', 'hose reel')
+  ]);
+
+  assert.deepEqual(index.search('garden hose').results.map(result => result.url).slice(0, 2), ['https://rank.example/2', 'https://rank.example/4']);
+  assert.equal(index.search('hose').results.length, 2);
+  assert.deepEqual(index.search('the and of').results, [], 'stop words match nothing');
+});
+
+test('queries and pages are matched without case, accents or plural endings', () => {
+  const index = createIndex([page('https://rank.example/cafe', 'Café', 'Our berries and glasses')]);
+
+  for (const query of ['CAFE', 'café', 'berry', 'glasses']) {
+    assert.equal(index.search(query).total, 1, query);
+  }
+  assert.deepEqual(SearchIndex.tokenize('The Companies\' bus is running'), ['company', 'bus', 'running']);
+});
+
+test('results are paged and tell the total', () => {
+  const index = createIndex(Array.from({ length: 5 }, (_, i) => page(`https://rank.example/${i}`, `Page ${i}`, 'lawn care')));
+  const results = index.search('lawn', { limit: 2, offset: 2 });
+
+  assert.equal(results.total, 5);
+  assert.deepEqual(results.results.map(result => result.url), ['https://rank.example/2', 'https://rank.example/3'], 'ties keep the order pages were indexed in');
+});
+
+test('snippets show the densest matches, highlighted and cut at word boundaries', () => {
+  const filler = 'Lorem ipsum dolor sit amet consectetur. '.repeat(10);
+  const text = `${filler}Our compost turns kitchen scraps into compost for <your> garden. ${filler}`;
+  const index = createIndex([page('https://rank.example/compost', 'Soil', text)]);
+
+  const [result] = index.search('compost', { highlight: { pre: '[', post: ']' }, escapeHtml: true }).results;
+  assert.match(result.snippet, /^… \S/);
+  assert.match(result.snippet, /\S …$/);
+  assert.match(result.snippet, /Our \[compost\] turns kitchen scraps into \[compost\] for &#60;your&#62; garden/);
+  assert.ok(result.snippet.length < 220);
+
+  assert.equal(
+    SearchIndex.createSnippet('Short text about mulch', ['mulch']),
+    'Short text about <mark>mulch</mark>'
+  );
+});
+
+test('a snippet falls back to the description or title when the text does not match', () => {
+  const index = createIndex([page('https://rank.example/', 'Seeds shop', 'Welcome', { meta: { description: 'Buy seeds online' } })]);
+
+  assert.equal(index.search('seed').results[0].snippet, 'Buy <mark>seeds</mark> online');
+  assert.equal(index.search('shop').results[0].snippet, 'Seeds <mark>shop</mark>');
+});
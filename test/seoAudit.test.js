@@ -0,0 +1,75 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const cheerio = require('cheerio');
+const WebCrawler = require('../src/WebCrawler');
+const ExtractionPipeline = require('../src/ExtractionPipeline');
+const SeoAuditor = require('../src/SeoAuditor');
+const UrlNormalizer = require('../src/UrlNormalizer');
+const { startFixtureServer } = require('./helpers/fixtureServer');
+
+const issueTypes = (report, url) => report.issues.filter(issue => issue.url === url).map(issue => issue.type);
+
+test('canonical URLs are compared after the normalization rules', () => {
+  const normalizer = new UrlNormalizer({ trailingSlash: 'remove' });
+  const auditor = new SeoAuditor({ normalize: url => normalizer.normalize(url) });
+  const page = canonical => ({ url: 'https://example.com/shoes', title: 'Shoes', titleSource: 'title', meta: { canonical } });
+
+  auditor.addPage(page('https://example.com/shoes/?utm_source=mail'));
+  auditor.addPage({ ...page('/boots'), url: 'https://example.com/shoes?color=red' });
+
+  const mismatches = auditor.getReport().issues.filter(issue => issue.type === 'canonical-mismatch');
+  assert.deepEqual(mismatches.map(issue => issue.url), ['https://example.com/shoes?color=red']);
+});
+
+test('a page without <title> is reported even when an h1 stands in for it', () => {
+  const auditor = new SeoAuditor();
+  auditor.addPage({ url: 'https://example.com/', title: 'Welcome', titleSource: 'h1' });
+
+  assert.ok(issueTypes(auditor.getReport(), 'https://example.com/').includes('title-missing'));
+});
+
+test('pages skipped as canonical duplicates are audited', async () => {
+  const server = await startFixtureServer({
+    '/': '<html><head><title>Home</title></head><body><h1>Home</h1><a href="/print">Print</a></body></html>',
+    '/print': '<html><head><link rel="canonical" href="/"></head><body><h1>Print</h1></body></html>'
+  });
+  const outputDir = await fs.mkdtemp(path.join(os.tmpdir(), 'crawler-test-'));
+
+  try {
+    const crawler = new WebCrawler({
+      delay: 1,
+      sitemaps: false,
+      history: false,
+      checkpointInterval: 0,
+      seoAudit: true,
+      outputDir,
+      logger: false
+    });
+    await crawler.crawl(`${server.baseUrl}/`);
+
+    const report = crawler.seoAuditor.getReport();
+    assert.equal(report.pagesAudited, 2);
+    const printIssues = issueTypes(report, `${server.baseUrl}/print`);
+    assert.ok(printIssues.includes('canonical-mismatch'));
+    assert.ok(printIssues.includes('title-missing'));
+  } finally {
+    await server.close();
+    await fs.rm(outputDir, { recursive: true, force: true });
+  }
+});
+
+test('only images without an alt attribute are flagged, not decorative ones with alt=""', async () => {
+  const pipeline = new ExtractionPipeline();
+  const $ = cheerio.load(`<html><head><title>Gallery</title></head><body><h1>Gallery</h1>
+    <img src="/photo.jpg" alt="A photo"><img src="/divider.png" alt=""><img src="/chart.png"></body></html>`);
+  const page = await pipeline.extractPageData($, 'https://example.com/gallery', 0, null);
+  assert.deepEqual(page.images.map(image => image.alt), ['A photo', '', null]);
+
+  const auditor = new SeoAuditor();
+  auditor.addPage(page);
+  const [missing] = auditor.getReport().issues.filter(issue => issue.type === 'image-missing-alt');
+  assert.deepEqual(missing.details.images, ['https://example.com/chart.png']);
+});
@@ -0,0 +1,69 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const UrlNormalizer = require('../src/UrlNormalizer');
+
+test('tracking and session parameters are stripped by default, the rest kept sorted', () => {
+  const normalizer = new UrlNormalizer();
+
+  assert.equal(
+    normalizer.normalize('https://example.com/shop?utm_source=mail&page=2&gclid=abc&sort=price#reviews'),
+    'https://example.com/shop?page=2&sort=price'
+  );
+  assert.equal(normalizer.normalize('https://example.com/?UTM_Campaign=x&PHPSESSID=1'), 'https://example.com/');
+  assert.equal(normalizer.normalize('https://example.com/cart;jsessionid=ABC123'), 'https://example.com/cart');
+  assert.equal(normalizer.normalize('https://example.com/a;v=2'), 'https://example.com/a;v=2');
+});
+
+test('stripParams replaces the default list and supports prefixes', () => {
+  const normalizer = new UrlNormalizer({ stripParams: ['ref', 'track_*'] });
+
+  assert.equal(
+    normalizer.normalize('https://example.com/?ref=home&track_id=1&Track_src=2&utm_source=mail'),
+    'https://example.com/?utm_source=mail'
+  );
+});
+
+test('trailing slashes are kept, added or removed on paths without a file extension', () => {
+  const urls = ['https://example.com/docs', 'https://example.com/docs/', 'https://example.com/docs/a.html', 'https://example.com/'];
+  const normalizeAll = rules => urls.map(url => new UrlNormalizer(rules).normalize(url));
+
+  assert.deepEqual(normalizeAll({}), urls);
+  assert.deepEqual(normalizeAll({ trailingSlash: 'add' }), [
+    'https://example.com/docs/', 'https://example.com/docs/', 'https://example.com/docs/a.html', 'https://example.com/'
+  ]);
+  assert.deepEqual(normalizeAll({ trailingSlash: 'remove' }), [
+    'https://example.com/docs', 'https://example.com/docs', 'https://example.com/docs/a.html', 'https://example.com/'
+  ]);
+  assert.throws(() => new UrlNormalizer({ trailingSlash: 'always' }), /Unknown trailingSlash "always"/);
+});
+
+test('default documents are the same URL as their directory', () => {
+  const normalizer = new UrlNormalizer({ defaultDocuments: ['index.html'], trailingSlash: 'remove' });
+
+  assert.equal(normalizer.normalize('https://example.com/docs/INDEX.html?x=1'), 'https://example.com/docs?x=1');
+  assert.equal(normalizer.normalize('https://example.com/index.html'), 'https://example.com/');
+  assert.equal(normalizer.normalize('https://example.com/docs/index.htm'), 'https://example.com/docs/index.htm');
+});
+
+test('host aliases rewrite the host, with or without a port', () => {
+  const normalizer = new UrlNormalizer({
+    hostAliases: { 'WWW.example.com': 'example.com', 'localhost:8080': 'example.com' }
+  });
+
+  assert.equal(normalizer.normalize('https://www.example.com/a'), 'https://example.com/a');
+  assert.equal(normalizer.normalize('http://localhost:8080/a'), 'http://example.com/a');
+  assert.equal(normalizer.normalize('http://localhost:3000/a'), 'http://localhost:3000/a');
+});
+
+test('normalization: false only drops the fragment and sorts the query', () => {
+  const normalizer = new UrlNormalizer(false);
+
+  assert.equal(normalizer.normalize('https://example.com/a/?utm_source=x&b=1#top'), 'https://example.com/a/?b=1&utm_source=x');
+});
+
+test('non-HTTP and invalid URLs are left alone', () => {
+  const normalizer = new UrlNormalizer({ trailingSlash: 'add' });
+
+  assert.equal(normalizer.normalize('mailto:someone@example.com?utm_source=x'), 'mailto:someone@example.com?utm_source=x');
+  assert.equal(normalizer.normalize('not a url'), 'not a url');
+});
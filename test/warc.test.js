@@ -0,0 +1,87 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const WebCrawler = require('../src/WebCrawler');
+const CrawlHistory = require('../src/CrawlHistory');
+const { startFixtureServer } = require('./helpers/fixtureServer');
+
+let server;
+let outputDir;
+
+before(async () => {
+  server = await startFixtureServer({
+    '/': '<html><head><title>Home</title></head><body><a href="/a">A</a><a href="/missing">Missing</a><a href="https://example.invalid/">Elsewhere</a></body></html>',
+    '/a': '<html><head><title>A</title></head><body><p>Page A</p></body></html>',
+    '/site/': '<html><head><title>Site</title></head><body><a href="/site/moved">Moved</a><a href="/site/gone">Gone</a>' +
+      '<a href="/site/missing">Missing</a><a href="/site/notes.txt">Notes</a></body></html>',
+    '/site/moved': { status: 301, headers: { Location: '/site/b' } },
+    '/site/b': '<html><head><title>B</title></head><body><a href="/site/">Back</a></body></html>',
+    '/site/gone': { status: 410, body: 'Gone' },
+    '/site/notes.txt': { type: 'text/plain', body: 'Plain notes' }
+  });
+  outputDir = await fs.mkdtemp(path.join(os.tmpdir(), 'crawler-test-'));
+});
+
+after(async () => {
+  await server.close();
+  await fs.rm(outputDir, { recursive: true, force: true });
+});
+
+function createCrawler(options = {}) {
+  return new WebCrawler({ delay: 1, sitemaps: false, checkpointInterval: 0, outputDir, logger: false, ...options });
+}
+
+test('a replay with a link audit answers the checks from the archive', async () => {
+  const live = await createCrawler({ warc: true }).crawl(`${server.baseUrl}/`);
+  const liveRequests = server.requests.length;
+
+  const replay = createCrawler({ replay: live.warcFile, auditLinks: true, outputs: ['ndjson'] });
+  await replay.crawl(`${server.baseUrl}/`);
+
+  assert.equal(server.requests.length, liveRequests, 'the replay sent no request to the site');
+  const report = replay.linkAuditor.getReport();
+  assert.deepEqual(report.statusCodes, { 200: 1, 404: 1, notArchived: 1 });
+  assert.deepEqual(report.brokenBySource.flatMap(source => source.links.map(link => link.url)), [`${server.baseUrl}/missing`]);
+
+  const runs = await new CrawlHistory(outputDir).list('127.0.0.1');
+  assert.deepEqual(runs.map(run => run.runId), [live.runId], 'the replay is not recorded as a crawl');
+});
+
+test('a replay serves the archived pages, redirects and status codes of the live crawl', async () => {
+  const crawlDir = path.join(outputDir, 'round-trip');
+  async function crawl(options) {
+    const crawler = createCrawler({ outputDir: crawlDir, history: false, ...options });
+    const pages = [];
+    crawler.on('pageCrawled', item => pages.push({
+      url: item.url,
+      title: item.title ?? null,
+      status: item.http.status,
+      finalUrl: item.http.finalUrl,
+      redirects: item.redirects || [],
+      contentHash: item.contentHash
+    }));
+    const results = await crawler.crawl(`${server.baseUrl}/site/`);
+    const skipped = crawler.skippedUrls.map(({ url, reason, statusCode }) => ({ url, reason, statusCode }));
+    const sort = list => list.sort((a, b) => a.url.localeCompare(b.url));
+    return { results, pages: sort(pages), skipped: sort(skipped) };
+  }
+
+  const live = await crawl({ warc: true });
+  const liveRequests = server.requests.length;
+  const replay = await crawl({ replay: live.results.warcFile });
+
+  assert.equal(server.requests.length, liveRequests, 'the replay sent no request to the site');
+  assert.deepEqual(replay.pages, live.pages);
+  assert.deepEqual(replay.skipped, live.skipped);
+
+  assert.deepEqual(live.pages.map(item => [item.url, item.status]), [
+    [`${server.baseUrl}/site/`, 200],
+    [`${server.baseUrl}/site/gone`, 410],
+    [`${server.baseUrl}/site/missing`, 404],
+    [`${server.baseUrl}/site/moved`, 200],
+    [`${server.baseUrl}/site/notes.txt`, 200]
+  ]);
+  assert.deepEqual(live.pages[3].redirects, [{ url: `${server.baseUrl}/site/moved`, status: 301, location: `${server.baseUrl}/site/b` }]);
+});